@@ -0,0 +1,138 @@
+// Anki deck builder for VimCraft
+// Collects conversions as cards (front: before state + keys to press, back: after
+// state) and exports them as an importable TSV plus the note type CSS
+
+import { CssCollector } from './css-collector.js';
+import { StandaloneHtmlExporter } from './html-exporter.js';
+import { HtmlEscaper } from './html-escape.js';
+
+// Wrapper class used by the card templates; the note type CSS is scoped under it
+const CARD_SCOPE_CLASS = 'vimcraft-card';
+const NOTE_FIELDS = ['Front', 'Keys', 'Back', 'Tags'];
+
+const CARD_TEMPLATES = {
+  front: `<div class="${CARD_SCOPE_CLASS}"><div class="vc-editor">{{Front}}</div><div class="vc-keys">{{Keys}}</div></div>`,
+  back: `{{FrontSide}}\n<hr id="answer">\n<div class="${CARD_SCOPE_CLASS}"><div class="vc-editor">{{Back}}</div></div>`
+};
+
+class AnkiDeckBuilder {
+  constructor(cssCollector = new CssCollector()) {
+    this.cssCollector = cssCollector;
+    this.cards = [];
+  }
+
+  /**
+   * card: { front, back, keys, tags? } - front/back are processCode output
+   */
+  addCard(card) {
+    if (!card.front || !card.back) {
+      throw new Error('A card needs both a front (before) and a back (after) state');
+    }
+    this.cards.push({ tags: [], ...card });
+    return this.cards.length;
+  }
+
+  /**
+   * Card from KeystrokeTimeline frames: first frame on the front, last on the back
+   */
+  addCardFromFrames(frames, keys, tags = []) {
+    return this.addCard({
+      front: frames[0].html,
+      back: frames[frames.length - 1].html,
+      keys,
+      tags
+    });
+  }
+
+  clear() {
+    this.cards = [];
+  }
+
+  /**
+   * Tab-separated notes with Anki's file headers (Anki 2.1.55+ import options)
+   */
+  toTsv() {
+    const header = [
+      '#separator:tab',
+      '#html:true',
+      `#tags column:${NOTE_FIELDS.indexOf('Tags') + 1}`,
+      `#columns:${NOTE_FIELDS.join('\t')}`
+    ];
+
+    const rows = this.cards.map(card => [
+      card.front,
+      this.renderKeys(card.keys),
+      card.back,
+      card.tags.join(' ')
+    ].map(field => this.quoteField(field)).join('\t'));
+
+    console.log('🗂️ [ANKI DEBUG] Built TSV', { cards: this.cards.length });
+    return [...header, ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Note type CSS: editor frame + the rules the cards use + the keys caption,
+   * with the field names and card templates to set up the note type;
+   * editorOptions are the frame options (colors) of StandaloneHtmlExporter
+   */
+  getNoteTypeCss(editorOptions = {}) {
+    const scope = `.${CARD_SCOPE_CLASS}`;
+    const allHtml = this.cards.map(card => `${card.front}\n${card.back}`).join('\n');
+
+    return [
+      '/* VimCraft note type',
+      ` * Fields: ${NOTE_FIELDS.filter(field => field !== 'Tags').join(', ')}`,
+      ' * Front template:',
+      ...CARD_TEMPLATES.front.split('\n').map(line => ` *   ${line}`),
+      ' * Back template:',
+      ...CARD_TEMPLATES.back.split('\n').map(line => ` *   ${line}`),
+      ' */',
+      new StandaloneHtmlExporter(editorOptions).getEditorCss(scope),
+      // The key caps use the page variables that collect() moves from :root to the scope
+      `${scope} .vc-keys {
+  margin-top: 12px;
+  font-family: 'JetBrains Mono', 'Fira Code', Consolas, monospace;
+  font-size: 18px;
+  text-align: center;
+}
+${scope} .vc-keys kbd {
+  display: inline-block;
+  margin: 0 2px;
+  padding: 2px 6px;
+  border: 1px solid var(--bg3);
+  border-radius: 4px;
+  background: var(--bg1);
+  color: var(--fg0);
+}`,
+      this.cssCollector.collect(allHtml, scope)
+    ].join('\n');
+  }
+
+  getCardTemplates() {
+    return { ...CARD_TEMPLATES };
+  }
+
+  /**
+   * "ciw<Esc>" -> <kbd>c</kbd><kbd>i</kbd><kbd>w</kbd><kbd>&lt;Esc&gt;</kbd>
+   */
+  renderKeys(keys) {
+    const keyList = (keys.match(/<[^<>]+>|[\s\S]/g) || []);
+    return keyList.map(key => `<kbd>${HtmlEscaper.escape(key === ' ' ? '<Space>' : key)}</kbd>`).join('');
+  }
+
+  /**
+   * Fields hold newlines (the code keeps its line breaks), so they are quoted CSV-style
+   */
+  quoteField(value) {
+    const text = String(value);
+    if (!/[\t\n"]/.test(text)) {
+      return text;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+}
+
+// Export for ES module usage
+export {
+    AnkiDeckBuilder
+};
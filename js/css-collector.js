@@ -0,0 +1,135 @@
+// CSS collector for VimCraft exports
+// Copies the rules a piece of rendered HTML actually uses out of the page's
+// stylesheets (Prism theme + Vim effects), so exports do not need the CSS files
+
+class CssCollector {
+  constructor(styleSheets = document.styleSheets) {
+    this.styleSheets = styleSheets;
+  }
+
+  /**
+   * CSS text for the classes used in html, every selector prefixed with scope
+   * (e.g. ".vimcraft-export"). Custom properties from :root move to the scope,
+   * and @keyframes referenced by the kept rules are included.
+   */
+  collect(html, scope) {
+    const usedClasses = this.getUsedClasses(html);
+    const rules = this.getRules();
+    const styleRules = [];
+    const keyframes = new Map();
+    const customProperties = [];
+
+    for (const rule of rules) {
+      if (rule.selectorText !== undefined) {
+        if (rule.selectorText.trim() === ':root') {
+          customProperties.push(...this.getCustomProperties(rule.style));
+          continue;
+        }
+
+        const selectors = this.splitSelectors(rule.selectorText)
+          .filter(selector => this.selectorUsesOnly(selector, usedClasses));
+
+        if (selectors.length > 0) {
+          const scoped = selectors.map(selector => `${scope} ${selector}`).join(',\n');
+          styleRules.push(`${scoped} { ${rule.style.cssText} }`);
+        }
+      } else if (rule.name && rule.cssRules) {
+        keyframes.set(rule.name, rule.cssText);
+      }
+    }
+
+    const usedKeyframes = [...keyframes.entries()]
+      .filter(([name]) => styleRules.some(rule => new RegExp(`animation[^;]*\\b${name}\\b`).test(rule)))
+      .map(([, cssText]) => cssText);
+
+    console.log('🎨 [CSS COLLECTOR DEBUG] Collected rules', {
+      usedClasses: usedClasses.size,
+      styleRules: styleRules.length,
+      keyframes: usedKeyframes.length,
+      customProperties: customProperties.length
+    });
+
+    const variables = customProperties.length > 0
+      ? [`${scope} { ${customProperties.join(' ')} }`]
+      : [];
+
+    return [...variables, ...styleRules, ...usedKeyframes].join('\n');
+  }
+
+  getUsedClasses(html) {
+    const classes = new Set();
+    const classPattern = /class="([^"]*)"/g;
+    let match;
+
+    while ((match = classPattern.exec(html)) !== null) {
+      match[1].split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+    }
+    return classes;
+  }
+
+  /**
+   * Flatten the readable stylesheets; sheets from other origins throw on access
+   */
+  getRules() {
+    const rules = [];
+
+    for (const sheet of Array.from(this.styleSheets)) {
+      // Switched-off themes (the light palette on a dark background) stay out
+      if (sheet.disabled) continue;
+
+      try {
+        rules.push(...Array.from(sheet.cssRules));
+      } catch (error) {
+        console.warn('⚠️ [CSS COLLECTOR DEBUG] Cannot read stylesheet:', sheet.href, error.message);
+      }
+    }
+    return rules;
+  }
+
+  getCustomProperties(style) {
+    const declarations = [];
+    for (let i = 0; i < style.length; i++) {
+      const property = style[i];
+      if (property.startsWith('--')) {
+        declarations.push(`${property}: ${style.getPropertyValue(property).trim()};`);
+      }
+    }
+    return declarations;
+  }
+
+  /**
+   * Split "a, b" selector lists, ignoring commas inside :not(...) and [...]
+   */
+  splitSelectors(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of selectorText) {
+      if (char === '(' || char === '[') depth++;
+      if (char === ')' || char === ']') depth--;
+      if (char === ',' && depth === 0) {
+        selectors.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) selectors.push(current.trim());
+    return selectors;
+  }
+
+  /**
+   * Keep a selector only if it is class-based and every class it needs is used
+   */
+  selectorUsesOnly(selector, usedClasses) {
+    const withoutAttributes = selector.replace(/\[[^\]]*\]/g, '');
+    const classes = (withoutAttributes.match(/\.-?[_a-zA-Z][\w-]*/g) || []).map(name => name.substring(1));
+    return classes.length > 0 && classes.every(name => usedClasses.has(name));
+  }
+}
+
+// Export for ES module usage
+export {
+    CssCollector
+};
@@ -0,0 +1,20 @@
+// HTML escaping for VimCraft
+// String-based, so the modules that turn buffer text, messages and keys into
+// markup share one helper and no element is created per call
+
+// What a text node escapes (textContent -> innerHTML)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+/**
+ * Escapes text for use as HTML content
+ */
+class HtmlEscaper {
+  static escape(text) {
+    return String(text ?? '').replace(/[&<>]/g, char => HTML_ESCAPES[char]);
+  }
+}
+
+// Export for ES module usage
+export {
+    HtmlEscaper
+};
@@ -0,0 +1,82 @@
+// Standalone HTML export for VimCraft
+// Wraps a rendered result in the editor frame with only the CSS rules it uses,
+// scoped under a unique class, so it can be pasted into an Anki note or a blog
+// post that loads none of this page's stylesheets
+
+import { CssCollector } from './css-collector.js';
+
+const EXPORT_CLASS_PREFIX = 'vimcraft-export';
+
+const DEFAULT_HTML_OPTIONS = {
+  fontSize: 14,
+  lineHeight: 1.5,
+  padding: 16,
+  statusBarHeight: 24,
+  tabSize: 4,
+  borderRadius: 6,
+  fontFamily: "'JetBrains Mono', 'Fira Code', Consolas, monospace",
+  background: '#1d2021',
+  foreground: '#ebdbb2'
+};
+
+class StandaloneHtmlExporter {
+  constructor(options = {}, cssCollector = new CssCollector()) {
+    this.options = { ...DEFAULT_HTML_OPTIONS, ...options };
+    this.cssCollector = cssCollector;
+  }
+
+  /**
+   * Self-contained fragment: <div class="vimcraft-export-xxxxxx"><style>...</style>editor</div>
+   */
+  export(html) {
+    const scopeClass = this.createScopeClass();
+    const scope = `.${scopeClass}`;
+    const css = [
+      this.getEditorCss(scope),
+      this.cssCollector.collect(html, scope)
+    ].join('\n');
+
+    console.log('📦 [HTML EXPORT DEBUG] Exported standalone fragment', {
+      scopeClass,
+      htmlLength: html.length,
+      cssLength: css.length
+    });
+
+    return `<div class="${scopeClass}"><style>\n${css}\n</style><div class="vc-editor">${html}</div></div>`;
+  }
+
+  /**
+   * A new class per export, so two snippets on one page never share rules
+   */
+  createScopeClass() {
+    return `${EXPORT_CLASS_PREFIX}-${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  /**
+   * Editor frame equivalent to the preview panel (.code-block + status bar room)
+   */
+  getEditorCss(scope) {
+    const { fontSize, lineHeight, padding, statusBarHeight, tabSize, borderRadius, fontFamily, background, foreground } = this.options;
+
+    return `${scope} .vc-editor {
+  position: relative;
+  margin: 0;
+  padding: ${padding}px ${padding}px ${padding + statusBarHeight}px;
+  background: ${background};
+  color: ${foreground};
+  font-family: ${fontFamily};
+  font-size: ${fontSize}px;
+  line-height: ${lineHeight};
+  tab-size: ${tabSize};
+  white-space: pre-wrap;
+  text-align: left;
+  border-radius: ${borderRadius}px;
+  overflow: hidden;
+}`;
+  }
+}
+
+// Export for ES module usage
+export {
+    StandaloneHtmlExporter
+};
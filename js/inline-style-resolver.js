@@ -0,0 +1,241 @@
+// Inline-style output for VimCraft
+// Resolves the page CSS of rendered HTML into style="..." attributes and drops
+// every class, for targets that strip <style> and class (email, Notion, some
+// Anki clients). Animations cannot survive there, so cursors become static.
+
+const TRANSPARENT_COLORS = ['transparent', 'rgba(0, 0, 0, 0)'];
+
+// Cursor classes and how each one is drawn without animations or pseudo-elements
+const STATIC_CURSOR_CLASSES = ['cursor', 'cursor-insert', 'cursor-replace', 'visual-block-cursor'];
+
+// Boxes of a window layout (splits) that keep their flex layout
+const WINDOW_LAYOUT_CLASSES = ['vim-layout', 'vim-window', 'vim-window-buffer', 'WinSeparator'];
+
+class InlineStyleResolver {
+  constructor(doc = document) {
+    this.document = doc;
+  }
+
+  /**
+   * html rendered with classes -> same markup with inline styles only
+   */
+  resolve(html) {
+    const view = this.document.defaultView;
+    if (!view || typeof view.getComputedStyle !== 'function') {
+      throw new Error('Inline styles need a browser DOM to compute styles');
+    }
+
+    // Measure inside the same context as the preview panel
+    const container = this.document.createElement('div');
+    container.className = 'code-block';
+    container.style.cssText = 'position: absolute; left: -99999px; top: 0; white-space: pre;';
+    container.innerHTML = html;
+    this.document.body.appendChild(container);
+
+    try {
+      this.flattenCursorOverlays(container, view);
+
+      // Read every computed style before touching any class
+      const elements = Array.from(container.querySelectorAll('*'));
+      const styles = elements.map(element => element.dataset.inlineStyle || this.getInlineStyle(element, view));
+
+      elements.forEach((element, i) => {
+        element.removeAttribute('class');
+        element.removeAttribute('data-inline-style');
+        if (styles[i]) {
+          element.setAttribute('style', styles[i]);
+        } else {
+          element.removeAttribute('style');
+        }
+      });
+
+      const wrapperStyle = this.getWrapperStyle(container, view);
+      console.log('🖌️ [INLINE STYLE DEBUG] Resolved inline styles', {
+        elements: elements.length,
+        htmlLength: html.length
+      });
+
+      return `<div style="${wrapperStyle}">${container.innerHTML}</div>`;
+    } finally {
+      this.document.body.removeChild(container);
+    }
+  }
+
+  /**
+   * The blinking cursor is two stacked characters (original + overlay);
+   * keep one span with the overlay colors, as a static block
+   */
+  flattenCursorOverlays(container, view) {
+    container.querySelectorAll('.cursor-overlay').forEach(wrapper => {
+      const original = wrapper.querySelector('.cursor-char-original');
+      const overlay = wrapper.querySelector('.cursor-char-overlay');
+      if (!original || !overlay) return;
+
+      const overlayStyle = view.getComputedStyle(overlay);
+      const originalStyle = view.getComputedStyle(original);
+      const span = this.document.createElement('span');
+      span.textContent = original.textContent;
+      span.dataset.inlineStyle = this.joinDeclarations([
+        ['background-color', overlayStyle.backgroundColor],
+        ['color', overlayStyle.color],
+        ['font-weight', originalStyle.fontWeight !== '400' ? originalStyle.fontWeight : null],
+        ['font-style', originalStyle.fontStyle !== 'normal' ? originalStyle.fontStyle : null]
+      ]);
+      wrapper.replaceWith(span);
+    });
+  }
+
+  getInlineStyle(element, view) {
+    const style = view.getComputedStyle(element);
+    const declarations = [
+      ['color', style.color],
+      ['background-color', TRANSPARENT_COLORS.includes(style.backgroundColor) ? null : style.backgroundColor],
+      ['font-weight', style.fontWeight !== '400' && style.fontWeight !== 'normal' ? style.fontWeight : null],
+      ['font-style', style.fontStyle !== 'normal' ? style.fontStyle : null]
+    ];
+
+    const decoration = style.textDecorationLine;
+    if (decoration && decoration !== 'none') {
+      declarations.push(['text-decoration', `${decoration} ${style.textDecorationStyle} ${style.textDecorationColor}`]);
+    }
+
+    if (style.borderBottomStyle && style.borderBottomStyle !== 'none') {
+      declarations.push(['border-bottom', `${style.borderBottomWidth} ${style.borderBottomStyle} ${style.borderBottomColor}`]);
+    }
+
+    declarations.push(...this.getStaticCursorDeclarations(element, view));
+
+    // Gutter rows (line numbers) keep their layout so wrapped lines stay aligned
+    if (style.display === 'flex') {
+      declarations.push(['display', 'flex']);
+    }
+    // Statusline spacers push the right segments to the edge
+    if (style.flexGrow && style.flexGrow !== '0') {
+      declarations.push(['flex-grow', style.flexGrow]);
+    }
+
+    // The status row is absolutely positioned in the preview; here it just follows the text
+    if (element.classList.contains('status-bar-ide') && !element.classList.contains('statusline-ide')) {
+      declarations.push(
+        ['display', 'block'],
+        ['margin-top', '8px'],
+        ['padding', style.padding],
+        ['font-size', style.fontSize],
+        ['border-top', `${style.borderTopWidth} ${style.borderTopStyle} ${style.borderTopColor}`]
+      );
+    }
+
+    // Statusline presets already follow the text; keep their row layout
+    if (element.classList.contains('statusline-ide')) {
+      declarations.push(['display', 'block'], ['margin-top', style.marginTop], ['font-size', style.fontSize]);
+    }
+
+    // Split windows: flex boxes sized by their share, separated by a bordered column
+    if (WINDOW_LAYOUT_CLASSES.some(name => element.classList.contains(name))) {
+      declarations.push(
+        ['display', style.display],
+        ['flex-direction', style.flexDirection],
+        ['flex', `${style.flexGrow} ${style.flexShrink} ${style.flexBasis}`],
+        ['min-width', '0'],
+        ['overflow', style.overflow !== 'visible' ? style.overflow : null],
+        ['border-left', style.borderLeftStyle !== 'none' ? `${style.borderLeftWidth} ${style.borderLeftStyle} ${style.borderLeftColor}` : null],
+        ['margin', style.margin]
+      );
+    }
+
+    if (element.classList.contains('statusline-segment') || element.classList.contains('statusline-message')) {
+      declarations.push(['padding', style.padding]);
+    }
+
+    // The completion popup and floating windows sit over the code: keep their box and position
+    if (element.closest('.pmenu-anchor, .float-anchor, .float-editor-layer')) {
+      const offset = value => (style.position === 'absolute' && value !== 'auto' ? value : null);
+      declarations.push(
+        ['display', style.display],
+        ['position', style.position !== 'static' ? style.position : null],
+        ['top', offset(style.top)],
+        ['right', offset(style.right)],
+        ['bottom', offset(style.bottom)],
+        ['left', offset(style.left)],
+        ['transform', style.transform !== 'none' ? style.transform : null],
+        ['z-index', style.zIndex !== 'auto' ? style.zIndex : null]
+      );
+      if (element.classList.contains('pmenu-anchor') || element.classList.contains('float-anchor')) {
+        declarations.push(['width', '0'], ['height', style.height], ['vertical-align', 'top']);
+      }
+      if (element.classList.contains('float-editor-layer')) {
+        declarations.push(['height', '0']);
+      }
+    }
+
+    if (element.classList.contains('search-count')) {
+      declarations.push(['float', 'right']);
+    }
+
+    return this.joinDeclarations(declarations);
+  }
+
+  /**
+   * Cursors drawn with ::before / ::after become borders or backgrounds
+   */
+  getStaticCursorDeclarations(element, view) {
+    const cursorClass = STATIC_CURSOR_CLASSES.find(name => element.classList.contains(name));
+    if (!cursorClass) return [];
+
+    switch (cursorClass) {
+      case 'cursor-insert': {
+        const color = this.getPseudoBackground(element, '::before', view);
+        return [['border-left', `2px solid ${color}`], ['margin-right', '-2px']];
+      }
+      case 'cursor-replace': {
+        const color = this.getPseudoBackground(element, '::after', view);
+        return [['border-bottom', `3px solid ${color}`]];
+      }
+      case 'visual-block-cursor': {
+        const color = this.getPseudoBackground(element, '::before', view);
+        return [['background-color', color]];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Color of a cursor drawn by a pseudo-element (falls back to the text color)
+   */
+  getPseudoBackground(element, pseudo, view) {
+    const color = view.getComputedStyle(element, pseudo).backgroundColor;
+    return color && !TRANSPARENT_COLORS.includes(color) ? color : view.getComputedStyle(element).color;
+  }
+
+  getWrapperStyle(container, view) {
+    const style = view.getComputedStyle(container);
+    return this.joinDeclarations([
+      ['background-color', style.backgroundColor],
+      ['color', style.color],
+      ['font-family', style.fontFamily.replace(/"/g, "'")],
+      ['font-size', style.fontSize],
+      ['line-height', style.lineHeight],
+      ['padding', style.padding],
+      ['border-radius', style.borderRadius],
+      ['white-space', 'pre'],
+      ['overflow-x', 'auto']
+    ]);
+  }
+
+  /**
+   * [[property, value], ...] -> "property: value; ..." (later entries win, empty values skipped)
+   */
+  joinDeclarations(declarations) {
+    const merged = new Map();
+    declarations.forEach(([property, value]) => {
+      if (value) merged.set(property, value.replace(/"/g, "'"));
+    });
+    return [...merged.entries()].map(([property, value]) => `${property}: ${value}`).join('; ');
+  }
+}
+
+// Export for ES module usage
+export {
+    InlineStyleResolver
+};
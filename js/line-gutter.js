@@ -0,0 +1,244 @@
+// Line number gutter for VimCraft ('number' / 'relativenumber' / 'cursorline' / signs)
+// Splits rendered HTML into one row per buffer line and prefixes each row
+// with its sign and its number, highlighted with the LineNr / CursorLineNr
+// groups; the cursor row gets the CursorLine group, rows can end with
+// virtual text and carry overlays (floating windows) from their start
+
+import { HtmlEscaper } from './html-escape.js';
+
+// nonumber, number, relativenumber, and number + relativenumber ("hybrid")
+const LINE_NUMBER_MODES = ['nonumber', 'number', 'relativenumber', 'hybrid'];
+
+// 'signcolumn': auto (only when a line has a sign), yes (always), no
+const SIGN_COLUMN_MODES = ['auto', 'yes', 'no'];
+
+const DEFAULT_GUTTER_OPTIONS = {
+  lineNumbers: 'nonumber',
+  numberwidth: 4, // Vim's 'numberwidth': minimal columns, including the separating space
+  cursorline: false,
+  signcolumn: 'auto'
+};
+
+// Sign types: default text, highlight group and priority (the highest one wins on a line)
+const SIGN_TYPES = {
+  'error': { text: 'E', hl: 'DiagnosticSignError', priority: 14 },
+  'warn': { text: 'W', hl: 'DiagnosticSignWarn', priority: 13 },
+  'info': { text: 'I', hl: 'DiagnosticSignInfo', priority: 12 },
+  'hint': { text: 'H', hl: 'DiagnosticSignHint', priority: 11 },
+  'mark': { text: 'a', hl: 'MarkSign', priority: 10 },
+  'add': { text: '│', hl: 'GitSignsAdd', priority: 6 },
+  'change': { text: '│', hl: 'GitSignsChange', priority: 6 },
+  'delete': { text: '_', hl: 'GitSignsDelete', priority: 6 },
+  'topdelete': { text: '‾', hl: 'GitSignsDelete', priority: 6 },
+  'changedelete': { text: '~', hl: 'GitSignsChange', priority: 6 }
+};
+
+// Short notation for parseSigns: "3:E 7:+ 8:~ 9:- 2:'a"
+const SIGN_SHORTCUTS = {
+  'E': 'error', 'W': 'warn', 'I': 'info', 'H': 'hint',
+  '+': 'add', '~': 'change', '-': 'delete'
+};
+
+// A sign takes two screen cells
+const SIGN_WIDTH = 2;
+
+const TAG_OR_TEXT = /(<[^>]+>)|([^<]+)/g;
+
+class LineGutter {
+  constructor(options = {}) {
+    this.options = {
+      lineNumbers: LINE_NUMBER_MODES.includes(options.lineNumbers) ? options.lineNumbers : DEFAULT_GUTTER_OPTIONS.lineNumbers,
+      numberwidth: options.numberwidth || DEFAULT_GUTTER_OPTIONS.numberwidth,
+      cursorline: !!options.cursorline,
+      signcolumn: SIGN_COLUMN_MODES.includes(options.signcolumn) ? options.signcolumn : DEFAULT_GUTTER_OPTIONS.signcolumn
+    };
+    // Signs come as [{ line, type, text?, hl? }] or in the parseSigns notation
+    const signs = typeof options.signs === 'string' ? LineGutter.parseSigns(options.signs) : options.signs;
+    this.signs = this.indexSigns(signs || []);
+    // End-of-line virtual text: Map(line -> html), e.g. diagnostic messages
+    this.virtualText = options.virtualText || new Map();
+    // Zero-width elements at the start of a line: Map(line -> html), e.g. floating windows
+    this.overlays = options.overlays || new Map();
+  }
+
+  /**
+   * "3:E 7:+ 8:~ 9:- 2:'a" -> [{ line: 3, type: 'error' }, ..., { line: 2, type: 'mark', text: 'a' }]
+   */
+  static parseSigns(spec) {
+    return (spec || '').split(/[\s,]+/).filter(Boolean).map(entry => {
+      const match = entry.match(/^(\d+):(.+)$/);
+      if (!match) {
+        console.warn('Ignoring invalid sign notation:', entry);
+        return null;
+      }
+
+      const line = parseInt(match[1], 10);
+      const code = match[2];
+      if (code.startsWith("'") && code.length === 2) {
+        return { line, type: 'mark', text: code.charAt(1) };
+      }
+      return { line, type: SIGN_SHORTCUTS[code.toUpperCase()] || SIGN_SHORTCUTS[code] || code.toLowerCase() };
+    }).filter(Boolean);
+  }
+
+  /**
+   * [{ line, type, text?, hl? }] -> Map(line -> highest priority sign)
+   */
+  indexSigns(signs) {
+    const byLine = new Map();
+    for (const sign of signs) {
+      const definition = SIGN_TYPES[sign.type];
+      if (!definition || !sign.line) {
+        console.warn('Ignoring invalid sign:', sign);
+        continue;
+      }
+
+      const resolved = {
+        text: sign.text || definition.text,
+        hl: sign.hl || definition.hl,
+        priority: definition.priority
+      };
+      const current = byLine.get(sign.line);
+      if (!current || resolved.priority > current.priority) {
+        byLine.set(sign.line, resolved);
+      }
+    }
+    return byLine;
+  }
+
+  hasSignColumn() {
+    return this.options.signcolumn === 'yes' || (this.options.signcolumn === 'auto' && this.signs.size > 0);
+  }
+
+  hasNumbers() {
+    return this.options.lineNumbers !== 'nonumber';
+  }
+
+  isEnabled() {
+    return this.hasNumbers() || this.options.cursorline || this.hasSignColumn() || this.virtualText.size > 0 || this.overlays.size > 0;
+  }
+
+  /**
+   * html: rendered buffer (no status row), cursorLine: 1-based line of the cursor
+   * Returns <div class="code-line"><span class="LineNr">  3 </span><span class="line-content">...</span></div> rows
+   */
+  apply(html, cursorLine) {
+    if (!this.isEnabled()) {
+      return html;
+    }
+
+    const lines = this.splitLines(html);
+    const width = this.getNumberWidth(lines.length);
+
+    console.log('🔢 [GUTTER DEBUG] Splitting rows', {
+      mode: this.options.lineNumbers,
+      cursorline: this.options.cursorline,
+      signs: this.signs.size,
+      lines: lines.length,
+      cursorLine,
+      width
+    });
+
+    return lines.map((line, i) => {
+      const lineNumber = i + 1;
+      const isCursorLine = lineNumber === cursorLine;
+      const rowClass = isCursorLine && this.options.cursorline ? 'code-line CursorLine' : 'code-line';
+      const sign = this.hasSignColumn() ? this.renderSign(this.signs.get(lineNumber)) : '';
+      const number = this.hasNumbers()
+        ? `<span class="${isCursorLine ? 'CursorLineNr' : 'LineNr'}">${this.formatNumber(lineNumber, cursorLine, width)}</span>`
+        : '';
+      const virtualText = this.virtualText.get(lineNumber) || '';
+      const overlay = this.overlays.get(lineNumber) || '';
+      const content = `${overlay}${line.html}${virtualText}${line.newline ? '\n' : ''}`;
+      return `<div class="${rowClass}">${sign}${number}<span class="line-content">${content}</span></div>`;
+    }).join('');
+  }
+
+  renderSign(sign) {
+    if (!sign) {
+      return `<span class="SignColumn">${' '.repeat(SIGN_WIDTH)}</span>`;
+    }
+    // Cut to the column width before escaping, so '<' or '&' never leaves half an entity
+    const text = HtmlEscaper.escape(sign.text.padEnd(SIGN_WIDTH).substring(0, SIGN_WIDTH));
+    return `<span class="SignColumn ${sign.hl}">${text}</span>`;
+  }
+
+  /**
+   * Number shown for a line; in hybrid mode the cursor line is absolute and
+   * left-aligned, like Neovim with both 'number' and 'relativenumber'
+   */
+  formatNumber(lineNumber, cursorLine, width) {
+    const isCursorLine = lineNumber === cursorLine;
+
+    switch (this.options.lineNumbers) {
+      case 'number':
+        return `${String(lineNumber).padStart(width)} `;
+      case 'relativenumber':
+        return `${String(Math.abs(lineNumber - cursorLine)).padStart(width)} `;
+      case 'hybrid':
+        return isCursorLine
+          ? `${String(lineNumber).padEnd(width)} `
+          : `${String(Math.abs(lineNumber - cursorLine)).padStart(width)} `;
+      default:
+        return '';
+    }
+  }
+
+  getNumberWidth(lineCount) {
+    return Math.max(this.options.numberwidth - 1, String(lineCount).length);
+  }
+
+  /**
+   * Split at every newline, closing the open tags at the end of a line and
+   * reopening them on the next one (multi-line comments, selections...).
+   * Returns [{ html, newline }]; apply puts the newline back at the end of the
+   * row so empty lines keep their height.
+   */
+  splitLines(html) {
+    const lines = [];
+    const openTags = [];
+    let current = '';
+
+    for (const [, tag, text] of html.matchAll(TAG_OR_TEXT)) {
+      if (tag) {
+        current += tag;
+        if (tag.startsWith('</')) {
+          openTags.pop();
+        } else if (!tag.endsWith('/>')) {
+          openTags.push(tag);
+        }
+        continue;
+      }
+
+      const parts = text.split('\n');
+      parts.forEach((part, i) => {
+        if (i > 0) {
+          lines.push({ html: current + this.closeTags(openTags), newline: true });
+          current = openTags.join('');
+        }
+        current += part;
+      });
+    }
+
+    // A trailing newline does not start another line (unless the cursor sits there)
+    if (lines.length === 0 || current.replace(/<[^>]+>/g, '') !== '' || current.includes('cursor')) {
+      lines.push({ html: current, newline: false });
+    }
+
+    return lines;
+  }
+
+  closeTags(openTags) {
+    return openTags
+      .slice()
+      .reverse()
+      .map(tag => `</${tag.match(/^<([\w-]+)/)[1]}>`)
+      .join('');
+  }
+}
+
+// Export for ES module usage
+export {
+    LineGutter,
+    LINE_NUMBER_MODES
+};
@@ -2,6 +2,12 @@
 // Syntax highlighters are now in syntax-highlighters.js
 // Neovim simulation logic is now in neovim-simulator.js
 
+// Prism theme for each 'background'
+const PRISM_THEMES = {
+  dark: './vendor/prism/themes/prism-tomorrow.css',
+  light: './vendor/prism/themes/prism.css'
+};
+
 // Main application class
 class NeovimHandler {
   constructor() {
@@ -12,12 +18,49 @@ class NeovimHandler {
     this.initializeProcessors();
     this.initEventListeners();
     this.updateUI();
+    this.applyColorscheme();
     console.log('NeovimHandler initialized successfully');
   }
 
   initializeElements() {
     this.languageSelect = document.getElementById('language-select');
     this.modeSelect = document.getElementById('mode-select');
+    this.blockEolOption = document.getElementById('block-eol-option');
+    this.blockEolToggle = document.getElementById('block-eol-toggle');
+    this.commandOptions = document.getElementById('command-options');
+    this.commandTypeSelect = document.getElementById('command-type-select');
+    this.commandInput = document.getElementById('command-input');
+    this.searchInput = document.getElementById('search-input');
+    this.lineNumbersSelect = document.getElementById('line-numbers-select');
+    this.cursorlineToggle = document.getElementById('cursorline-toggle');
+    this.cursorcolumnToggle = document.getElementById('cursorcolumn-toggle');
+    this.matchparenToggle = document.getElementById('matchparen-toggle');
+    this.statuslineSelect = document.getElementById('statusline-select');
+    this.signsInput = document.getElementById('signs-input');
+    this.diagnosticsInput = document.getElementById('diagnostics-input');
+    this.undercurlToggle = document.getElementById('undercurl-toggle');
+    this.completionSelect = document.getElementById('completion-select');
+    this.completionItemsInput = document.getElementById('completion-items-input');
+    this.floatContentInput = document.getElementById('float-content');
+    this.floatBorderSelect = document.getElementById('float-border-select');
+    this.floatTitleInput = document.getElementById('float-title-input');
+    this.fileNameInput = document.getElementById('filename-input');
+    this.splitSelect = document.getElementById('split-select');
+    this.backgroundSelect = document.getElementById('background-select');
+    this.prismTheme = document.getElementById('prism-theme');
+    this.lightTheme = document.getElementById('light-theme');
+    this.colorschemeGroup = document.getElementById('colorscheme-group');
+    this.colorschemeSelect = document.getElementById('colorscheme-select');
+    this.colorschemeFileInput = document.getElementById('colorscheme-file');
+    this.colorschemeReport = document.getElementById('colorscheme-report');
+    this.keystrokesInput = document.getElementById('keystrokes-input');
+    this.timelinePanel = document.getElementById('timeline-panel');
+    this.exportSvgBtn = document.getElementById('export-svg-btn');
+    this.addCardBtn = document.getElementById('add-card-btn');
+    this.exportDeckBtn = document.getElementById('export-deck-btn');
+    this.exportNoteTypeBtn = document.getElementById('export-note-type-btn');
+    this.clearDeckBtn = document.getElementById('clear-deck-btn');
+    this.deckCount = document.getElementById('deck-count');
     this.sourceCodeTextarea = document.getElementById('source-code');
     this.convertBtn = document.getElementById('convert-btn');
     this.clearBtn = document.getElementById('clear-btn');
@@ -25,6 +68,7 @@ class NeovimHandler {
     this.copyPreviewBtn = document.getElementById('copy-preview-btn');
     this.previewOutput = document.getElementById('preview-output');
     this.sourceOutput = document.getElementById('source-output');
+    this.outputFormatSelect = document.getElementById('output-format-select');
     this.statusBar = document.getElementById('status-bar');
     this.selectionText = document.getElementById('selection-text');
   }
@@ -32,6 +76,18 @@ class NeovimHandler {
   initializeProcessors() {
     // Neovim simulator will be initialized in handleConvert based on language
     this.neovimSimulator = null;
+    // Timeline player is created the first time keystrokes are converted
+    this.timelinePlayer = null;
+    this.timelineFrames = [];
+    this.timelineKeys = '';
+    // Anki deck is created on the first "Add to deck"
+    this.deckBuilder = null;
+    // Last rendered HTML and its processCode arguments, kept for the export formats
+    this.lastResultHtml = null;
+    this.lastRenderArgs = null;
+    // Current Colorscheme, loaded with its module, and the imported ones by select value
+    this.colorscheme = null;
+    this.importedColorschemes = new Map();
   }
 
   initEventListeners() {
@@ -39,16 +95,117 @@ class NeovimHandler {
     this.clearBtn.addEventListener('click', () => this.handleClear());
     this.copyBtn.addEventListener('click', () => this.copyToClipboard());
     this.copyPreviewBtn.addEventListener('click', () => this.copyPreviewToClipboard());
+    this.exportSvgBtn.addEventListener('click', () => this.exportAnimatedSvg());
+    this.addCardBtn.addEventListener('click', () => this.addTimelineToDeck());
+    this.exportDeckBtn.addEventListener('click', () => this.exportDeck());
+    this.exportNoteTypeBtn.addEventListener('click', () => this.exportNoteType());
+    this.clearDeckBtn.addEventListener('click', () => this.clearDeck());
+    this.outputFormatSelect.addEventListener('change', () => this.updateSourceOutput());
+    this.backgroundSelect.addEventListener('change', () => this.applyColorscheme());
+    this.colorschemeSelect.addEventListener('change', () => this.applyColorscheme());
+    this.colorschemeFileInput.addEventListener('change', () => this.importColorscheme(this.colorschemeFileInput.files[0]));
+    this.colorschemeGroup.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      this.colorschemeGroup.classList.add('drop-active');
+    });
+    this.colorschemeGroup.addEventListener('dragleave', () => this.colorschemeGroup.classList.remove('drop-active'));
+    this.colorschemeGroup.addEventListener('drop', (event) => {
+      event.preventDefault();
+      this.colorschemeGroup.classList.remove('drop-active');
+      this.importColorscheme(event.dataTransfer.files[0]);
+    });
     
     this.sourceCodeTextarea.addEventListener('select', () => this.updateUI());
     this.sourceCodeTextarea.addEventListener('mouseup', () => this.updateUI());
     this.sourceCodeTextarea.addEventListener('keyup', () => this.updateUI());
     this.modeSelect.addEventListener('change', () => this.updateUI());
+    this.commandInput.addEventListener('input', () => this.updateUI());
+    this.commandTypeSelect.addEventListener('change', () => this.updateUI());
+    this.keystrokesInput.addEventListener('input', () => this.updateUI());
   }
 
   updateUI() {
     this.updateSelectionInfo();
     this.updateStatusBar();
+    this.updateModeOptions();
+  }
+
+  updateModeOptions() {
+    // `$` only makes sense for blockwise selections
+    this.blockEolOption.style.display = this.modeSelect.value === 'visual-block' ? 'flex' : 'none';
+    this.commandOptions.style.display = this.modeSelect.value === 'command' ? 'flex' : 'none';
+    // Keystroke replays render a single window, so the split does not apply to them
+    this.splitSelect.disabled = this.keystrokesInput.value !== '';
+    this.splitSelect.title = this.splitSelect.disabled ? 'Not available while keystrokes are replayed' : '';
+  }
+
+  getModeOptions() {
+    const options = this.getDisplayOptions();
+    if (this.modeSelect.value === 'visual-block') {
+      options.blockToEol = this.blockEolToggle.checked;
+    } else if (this.modeSelect.value === 'command') {
+      options.command = this.commandInput.value;
+      options.commandType = this.commandTypeSelect.value;
+    }
+
+    // hlsearch: highlight every match of the last search pattern
+    if (this.searchInput.value) {
+      options.search = { pattern: this.searchInput.value };
+    }
+    return options;
+  }
+
+  /**
+   * Editor options that apply to every mode (and every playback frame)
+   */
+  getDisplayOptions() {
+    return {
+      lineNumbers: this.lineNumbersSelect.value,
+      cursorline: this.cursorlineToggle.checked,
+      cursorcolumn: this.cursorcolumnToggle.checked,
+      matchparen: this.matchparenToggle.checked,
+      signs: this.signsInput.value,
+      diagnostics: this.diagnosticsInput.value,
+      undercurl: this.undercurlToggle.checked,
+      completion: this.completionSelect.value === 'none'
+        ? null
+        : { style: this.completionSelect.value, items: this.completionItemsInput.value },
+      floats: this.getFloatOptions(),
+      statusline: this.statuslineSelect.value,
+      fileName: this.fileNameInput.value || null
+    };
+  }
+
+  /**
+   * :split / :vsplit of the buffer: the new window (above / on the left) is the current one
+   */
+  getSplitLayout(sourceCode, mode, selectionStart, selectionEnd, options) {
+    const split = this.splitSelect.value;
+    if (split === 'none') {
+      return null;
+    }
+
+    const buffer = { sourceCode, selectionStart, selectionEnd, options };
+    return {
+      type: split === 'vsplit' ? 'row' : 'col',
+      children: [{ ...buffer, mode, active: true }, { ...buffer }]
+    };
+  }
+
+  /**
+   * Hover window under the cursor, highlighted like the buffer
+   */
+  getFloatOptions() {
+    const content = this.floatContentInput.value;
+    if (!content.trim()) {
+      return [];
+    }
+    return [{
+      content,
+      language: this.languageSelect.value,
+      border: this.floatBorderSelect.value,
+      title: this.floatTitleInput.value
+    }];
   }
 
   updateSelectionInfo() {
@@ -61,8 +218,8 @@ class NeovimHandler {
     if (selectedText.length > 0) {
       this.selectionText.textContent = `Selected: "${selectedText}" (${selectedText.length} chars)`;
     } else {
-      // Show cursor position for insert mode
-      if (mode === 'insert') {
+      // Show cursor position for insert mode and linewise visual mode
+      if (['insert', 'visual-line', 'visual-block', 'replace', 'vreplace'].includes(mode)) {
         this.selectionText.textContent = `Cursor position: ${start}`;
       } else {
         this.selectionText.textContent = 'No text selected';
@@ -71,7 +228,13 @@ class NeovimHandler {
   }
 
   updateStatusBar() {
-    const mode = this.modeSelect.value.toUpperCase();
+    // Command-line mode shows the command being typed instead of a mode message
+    if (this.modeSelect.value === 'command') {
+      this.statusBar.textContent = `${this.commandTypeSelect.value}${this.commandInput.value}`;
+      return;
+    }
+
+    const mode = this.modeSelect.value.toUpperCase().replace(/-/g, ' ');
     this.statusBar.textContent = `-- ${mode} --`;
   }
 
@@ -104,6 +267,14 @@ class NeovimHandler {
       if (start === end) {
         console.warn('⚠️ Visual mode selected but no text selected (start === end)');
       }
+    } else if (mode === 'visual-line') {
+      console.log('📏 Visual Line mode - Selection will be widened to whole lines:', { start, end });
+    } else if (mode === 'visual-block') {
+      console.log('🧱 Visual Block mode - Rectangle corners:', { start, end, blockToEol: this.blockEolToggle.checked });
+    } else if (mode === 'command') {
+      console.log('⌨️ Command-line mode - Command:', JSON.stringify(this.commandTypeSelect.value + this.commandInput.value));
+    } else if (mode === 'replace' || mode === 'vreplace') {
+      console.log('🔁 Replace mode - Overtyped text:', JSON.stringify(sourceCode.substring(start, end)), 'Cursor at position:', end);
     } else if (mode === 'insert') {
       console.log('📝 Insert mode - Cursor at position:', start);
       if (start !== end) {
@@ -136,19 +307,35 @@ class NeovimHandler {
         console.log('Using existing simulator');
       }
 
-      // Validate mode input
-      console.log('Validating mode input...');
-      const validation = this.neovimSimulator.validateModeInput(mode, start, end);
-      if (!validation.valid) {
-        console.log('Validation failed:', validation.errors);
-        alert(validation.errors.join('\n'));
-        return;
-      }
-      console.log('Validation passed');
+      let result;
+      const keystrokes = this.keystrokesInput.value;
 
-      // Process the code using the Neovim simulator
-      console.log('🔄 Processing code with Neovim simulator...');
-      const result = this.neovimSimulator.processCode(sourceCode, mode, start, end);
+      if (keystrokes) {
+        // Keystrokes drive the buffer, cursor and mode from the textarea's cursor
+        console.log('⌨️ Replaying keystrokes from cursor position:', start, JSON.stringify(keystrokes));
+        result = await this.processKeystrokes(sourceCode, start, keystrokes);
+      } else {
+        this.hideTimeline();
+
+        // Validate mode input
+        console.log('Validating mode input...');
+        const modeOptions = this.getModeOptions();
+        const validation = this.neovimSimulator.validateModeInput(mode, start, end, modeOptions);
+        if (!validation.valid) {
+          console.log('Validation failed:', validation.errors);
+          alert(validation.errors.join('\n'));
+          return;
+        }
+        console.log('Validation passed');
+
+        // Process the code using the Neovim simulator
+        console.log('🔄 Processing code with Neovim simulator...');
+        const layout = this.getSplitLayout(sourceCode, mode, start, end, modeOptions);
+        result = layout
+          ? this.neovimSimulator.processLayout(layout)
+          : this.neovimSimulator.processCode(sourceCode, mode, start, end, modeOptions);
+        this.lastRenderArgs = { sourceCode, mode, selectionStart: start, selectionEnd: end, options: modeOptions, layout };
+      }
 
       // === DEBUG RESULTADO ===
       console.group('🎯 [DEBUG RESULTADO] Final Output');
@@ -180,13 +367,260 @@ class NeovimHandler {
     }
   }
 
+  /**
+   * Render every intermediate state of the keystrokes into the player;
+   * the preview shows the final state
+   */
+  async processKeystrokes(sourceCode, cursor, keystrokes) {
+    const { KeystrokeTimeline } = await import('./vim-timeline.js');
+    const timeline = new KeystrokeTimeline(this.neovimSimulator);
+
+    // The search field still works as hlsearch when the keys did not search
+    const frames = timeline.build({ text: sourceCode, cursor }, keystrokes, {
+      search: this.searchInput.value || null,
+      render: this.getDisplayOptions()
+    });
+
+    const lastFrame = frames[frames.length - 1];
+    console.log('⌨️ [KEYSTROKE DEBUG] Final state after keystrokes:', {
+      frames: frames.length,
+      mode: lastFrame.mode,
+      cursor: lastFrame.cursor
+    });
+
+    await this.showTimeline(frames);
+    this.timelineKeys = keystrokes;
+    this.lastRenderArgs = lastFrame.renderArgs;
+    return lastFrame.html;
+  }
+
+  async showTimeline(frames) {
+    if (!this.timelinePlayer) {
+      const { TimelinePlayer } = await import('./timeline-player.js');
+      this.timelinePlayer = new TimelinePlayer({
+        screen: document.getElementById('timeline-screen'),
+        caption: document.getElementById('keystroke-caption'),
+        counter: document.getElementById('timeline-counter'),
+        firstButton: document.getElementById('timeline-first-btn'),
+        prevButton: document.getElementById('timeline-prev-btn'),
+        playButton: document.getElementById('timeline-play-btn'),
+        nextButton: document.getElementById('timeline-next-btn')
+      });
+    }
+
+    this.timelineFrames = frames;
+    this.timelinePanel.style.display = 'block';
+    this.timelinePlayer.load(frames);
+  }
+
+  async exportAnimatedSvg() {
+    if (this.timelineFrames.length === 0) return;
+
+    try {
+      const { AnimatedSvgExporter } = await import('./svg-exporter.js');
+      const svg = new AnimatedSvgExporter(this.getEditorColors()).export(this.timelineFrames);
+      this.downloadFile('vimcraft.svg', svg, 'image/svg+xml');
+    } catch (error) {
+      console.error('Failed to export SVG:', error);
+      alert('Error exporting SVG. Please check the console for details.');
+    }
+  }
+
+  /**
+   * Current edit as a flashcard: before state + keys on the front, after state on the back
+   */
+  async addTimelineToDeck() {
+    if (this.timelineFrames.length === 0) return;
+
+    if (!this.deckBuilder) {
+      const { AnkiDeckBuilder } = await import('./anki-deck-builder.js');
+      this.deckBuilder = new AnkiDeckBuilder();
+    }
+
+    const count = this.deckBuilder.addCardFromFrames(this.timelineFrames, this.timelineKeys, [`vimcraft::${this.languageSelect.value}`]);
+    console.log('🗂️ [ANKI DEBUG] Card added', { cards: count, keys: this.timelineKeys });
+    this.updateDeckControls();
+  }
+
+  /**
+   * The deck and the note type are separate buttons: browsers block a second
+   * download started by the same click
+   */
+  exportDeck() {
+    if (!this.deckBuilder || this.deckBuilder.cards.length === 0) return;
+
+    try {
+      this.downloadFile('vimcraft-deck.txt', this.deckBuilder.toTsv(), 'text/tab-separated-values');
+    } catch (error) {
+      console.error('Failed to export deck:', error);
+      alert('Error exporting the deck. Please check the console for details.');
+    }
+  }
+
+  exportNoteType() {
+    if (!this.deckBuilder || this.deckBuilder.cards.length === 0) return;
+
+    try {
+      this.downloadFile('vimcraft-note-type.css', this.deckBuilder.getNoteTypeCss(this.getEditorColors()), 'text/css');
+    } catch (error) {
+      console.error('Failed to export the note type:', error);
+      alert('Error exporting the note type. Please check the console for details.');
+    }
+  }
+
+  clearDeck() {
+    if (this.deckBuilder) {
+      this.deckBuilder.clear();
+    }
+    this.updateDeckControls();
+  }
+
+  updateDeckControls() {
+    const count = this.deckBuilder ? this.deckBuilder.cards.length : 0;
+    this.deckCount.textContent = `${count} ${count === 1 ? 'card' : 'cards'}`;
+    this.exportDeckBtn.disabled = count === 0;
+    this.exportNoteTypeBtn.disabled = count === 0;
+    this.clearDeckBtn.disabled = count === 0;
+  }
+
+  /**
+   * Save generated content through a temporary link (works offline)
+   */
+  downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  hideTimeline() {
+    if (this.timelinePlayer) {
+      this.timelinePlayer.pause();
+    }
+    this.timelinePanel.style.display = 'none';
+  }
+
   handleClear() {
     this.sourceCodeTextarea.value = '';
+    this.hideTimeline();
     this.sourceCodeTextarea.focus();
     this.updateUI(); // Update selection info
     console.log('Source code cleared');
   }
 
+  /**
+   * :colorscheme - swaps the scheme's <style> element, no CSS file is reloaded;
+   * the cursor's text color is picked for the scheme while rendering, so the
+   * results are rendered again
+   */
+  async applyColorscheme() {
+    try {
+      const { Colorscheme } = await import('./vim-colorscheme.js');
+      const name = this.colorschemeSelect.value;
+      const imported = this.importedColorschemes.get(name);
+      this.colorscheme = imported || Colorscheme.load(name, this.backgroundSelect.value);
+      this.applyBackground(this.colorscheme.background);
+      // An imported file defines one background only, so it cannot be switched
+      this.backgroundSelect.disabled = !!imported;
+      this.backgroundSelect.title = imported
+        ? `${this.colorscheme.name} only defines a ${this.colorscheme.background} background`
+        : '';
+      this.colorscheme.apply();
+      this.rerenderResults();
+    } catch (error) {
+      console.error('Failed to apply the colorscheme:', error);
+    }
+  }
+
+  /**
+   * Render the preview and the timeline frames again from their processCode
+   * arguments (the source output follows the preview)
+   */
+  rerenderResults() {
+    if (!this.neovimSimulator || !this.lastRenderArgs) {
+      this.updateSourceOutput();
+      return;
+    }
+
+    const render = ({ sourceCode, mode, selectionStart, selectionEnd, options, layout }) => (layout
+      ? this.neovimSimulator.processLayout(layout)
+      : this.neovimSimulator.processCode(sourceCode, mode, selectionStart, selectionEnd, options));
+
+    if (this.timelinePlayer && this.timelinePanel.style.display !== 'none') {
+      this.timelineFrames.forEach(frame => {
+        frame.html = render(frame.renderArgs);
+      });
+      this.timelinePlayer.goTo(this.timelinePlayer.index);
+    }
+
+    this.displayResults(render(this.lastRenderArgs));
+  }
+
+  /**
+   * 'background': the Prism theme and the page palette (which the Vim effects
+   * use too) switch together; an imported scheme brings its own background
+   */
+  applyBackground(background) {
+    this.backgroundSelect.value = background;
+    if (this.prismTheme.getAttribute('href') !== PRISM_THEMES[background]) {
+      this.prismTheme.setAttribute('href', PRISM_THEMES[background]);
+    }
+    this.lightTheme.disabled = background !== 'light';
+  }
+
+  /**
+   * A dropped or picked colorscheme file: parsed here in the browser, added to
+   * the list and applied
+   */
+  async importColorscheme(file) {
+    if (!file) return;
+
+    try {
+      const { ColorschemeImporter } = await import('./vim-colorscheme-importer.js');
+      const { colorscheme, report } = new ColorschemeImporter().import(await file.text(), file.name);
+      const value = `imported:${colorscheme.name}`;
+
+      if (!this.importedColorschemes.has(value)) {
+        this.colorschemeSelect.add(new Option(`${colorscheme.name} (imported)`, value));
+      }
+      this.importedColorschemes.set(value, colorscheme);
+      this.colorschemeSelect.value = value;
+      this.colorschemeReport.textContent = this.formatImportReport(report);
+      console.log('🎨 [COLORSCHEME DEBUG] Import report', report);
+
+      await this.applyColorscheme();
+    } catch (error) {
+      console.error('Failed to import the colorscheme:', error);
+      alert('Error importing the colorscheme. Please check the console for details.');
+    }
+  }
+
+  formatImportReport(report) {
+    const parts = [`${report.name}: ${report.groups} groups`];
+    if (report.unresolved.length > 0) {
+      const groups = [...new Set(report.unresolved.map(entry => entry.group))];
+      parts.push(`unresolved: ${groups.join(', ')}`);
+    }
+    if (report.skipped.length > 0) {
+      parts.push(`skipped lines: ${report.skipped.map(entry => entry.line).join(', ')}`);
+    }
+    if (report.inherited.length > 0) {
+      parts.push(`${report.inherited.length} groups keep Neovim's default colors`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Background / foreground of the exported editor frame (Normal of the colorscheme)
+   */
+  getEditorColors() {
+    return this.colorscheme ? this.colorscheme.getEditorColors() : {};
+  }
+
   async initializeSimulator(language) {
     console.log('Initializing simulator for language:', language);
     
@@ -225,11 +659,37 @@ class NeovimHandler {
     this.previewOutput.style.margin = '0';
     this.previewOutput.style.padding = '16px';
     this.previewOutput.style.lineHeight = '1.5';
-    this.previewOutput.style.color = '#ebdbb2';
     this.previewOutput.innerHTML = processedCode;
 
-    // Display in source (raw HTML)
-    this.sourceOutput.querySelector('code').textContent = processedCode;
+    // Display in source (raw HTML, or the standalone fragment)
+    this.lastResultHtml = processedCode;
+    this.updateSourceOutput();
+  }
+
+  async updateSourceOutput() {
+    if (this.lastResultHtml === null) return;
+
+    let sourceHtml = this.lastResultHtml;
+    const format = this.outputFormatSelect.value;
+
+    try {
+      if (format === 'standalone') {
+        const { StandaloneHtmlExporter } = await import('./html-exporter.js');
+        sourceHtml = new StandaloneHtmlExporter(this.getEditorColors()).export(this.lastResultHtml);
+      } else if (format === 'inline' && this.lastRenderArgs) {
+        // Re-render through TokenRenderer's inline mode
+        const { sourceCode, mode, selectionStart, selectionEnd, options, layout } = this.lastRenderArgs;
+        sourceHtml = layout
+          ? this.neovimSimulator.processLayout(layout, { renderMode: 'inline' })
+          : this.neovimSimulator.processCode(sourceCode, mode, selectionStart, selectionEnd, {
+            ...options,
+            renderMode: 'inline'
+          });
+      }
+    } catch (error) {
+      console.error('Failed to build the export format:', format, error);
+    }
+    this.sourceOutput.querySelector('code').textContent = sourceHtml;
   }
 
   copyToClipboard() {
@@ -251,7 +711,10 @@ class NeovimHandler {
   }
 
   copyPreviewToClipboard() {
-    const previewContent = this.previewOutput.innerHTML;
+    // In the standalone / inline formats both buttons copy the exported fragment
+    const previewContent = this.outputFormatSelect.value !== 'classes' && this.lastResultHtml !== null
+      ? this.sourceOutput.querySelector('code').textContent
+      : this.previewOutput.innerHTML;
 
     if (navigator.clipboard) {
       navigator.clipboard
@@ -1,10 +1,29 @@
+import { SearchOverlay } from './vim-search.js';
+import { InlineStyleResolver } from './inline-style-resolver.js';
+import { LineGutter } from './line-gutter.js';
+import { MatchParenOverlay } from './vim-matchparen.js';
+import { StatuslineBuilder } from './vim-statusline.js';
+import { DiagnosticsOverlay } from './vim-diagnostics.js';
+import { CompletionMenu } from './vim-completion.js';
+import { FloatLayer } from './vim-float.js';
+import { WindowLayout } from './vim-window-layout.js';
+import { Colorscheme } from './vim-colorscheme.js';
+
+// Default 'tabstop' (matches the tab-size of the preview and the exporters)
+const DEFAULT_TABSTOP = 4;
+
 // Visual effects processor for Neovim modes
 class VisualEffectsProcessor {
   constructor() {
     this.modeProcessors = {
       'normal': this.processNormalMode.bind(this),
       'insert': this.processInsertMode.bind(this),
-      'visual': this.processVisualMode.bind(this)
+      'visual': this.processVisualMode.bind(this),
+      'visual-line': this.processVisualLineMode.bind(this),
+      'visual-block': this.processVisualBlockMode.bind(this),
+      'replace': this.processReplaceMode.bind(this),
+      'vreplace': this.processReplaceMode.bind(this),
+      'command': this.processCommandMode.bind(this)
     };
   }
   
@@ -23,6 +42,12 @@ class VisualEffectsProcessor {
       if (originalToken && originalToken.prismClasses) {
         newToken.prismClasses = [...originalToken.prismClasses];
       }
+      if (originalToken && originalToken.highlights) {
+        newToken.highlights = [...originalToken.highlights];
+      }
+      if (originalToken && originalToken.capture) {
+        newToken.capture = originalToken.capture;
+      }
     } else {
       // Fallback to basic token object
       newToken = {
@@ -33,23 +58,30 @@ class VisualEffectsProcessor {
         cursor: null,
         selected: false,
         isLastSelectedChar: false,
-        prismClasses: []
+        prismClasses: [],
+        highlights: []
       };
       
       // Preserve Prism classes from original token when splitting
       if (originalToken && originalToken.prismClasses) {
         newToken.prismClasses = [...originalToken.prismClasses];
       }
+      if (originalToken && originalToken.highlights) {
+        newToken.highlights = [...originalToken.highlights];
+      }
+      if (originalToken && originalToken.capture) {
+        newToken.capture = originalToken.capture;
+      }
     }
     
     return newToken;
   }
 
-  process(tokens, mode, selectionStart, selectionEnd) {
+  process(tokens, mode, selectionStart, selectionEnd, options = {}) {
     const processor = this.modeProcessors[mode];
     if (!processor) return tokens;
 
-    return processor(tokens, selectionStart, selectionEnd);
+    return processor(tokens, selectionStart, selectionEnd, options);
   }
 
   processNormalMode(tokens, selectionStart, selectionEnd) {
@@ -65,8 +97,341 @@ class VisualEffectsProcessor {
     return this.applyInsertCursor(tokens, selectionStart, 'cursor-insert');
   }
 
-  processVisualMode(tokens, selectionStart, selectionEnd) {
-    return this.applySelection(tokens, selectionStart, selectionEnd);
+  /**
+   * VISUAL MODE (v) - options.cursorPosition coloca el cursor en el otro extremo
+   * (selección hecha hacia atrás); por defecto va al final de la selección
+   */
+  processVisualMode(tokens, selectionStart, selectionEnd, options = {}) {
+    const cursorPosition = options.cursorPosition ?? selectionEnd - 1;
+    return this.applySelection(tokens, selectionStart, selectionEnd, cursorPosition);
+  }
+
+  /**
+   * REPLACE / VIRTUAL REPLACE MODE (R, gR) - cursor de subrayado
+   * Si hay texto seleccionado, se considera ya sobrescrito: se resalta
+   * y el cursor queda justo después, como en un reemplazo a medio hacer
+   */
+  processReplaceMode(tokens, selectionStart, selectionEnd) {
+    let result = tokens;
+
+    if (selectionEnd > selectionStart) {
+      result = this.applyHighlight(result, selectionStart, selectionEnd, 'replace-overtyped');
+    }
+
+    return this.applySimpleCursor(result, selectionEnd, 'cursor-replace');
+  }
+
+  /**
+   * COMMAND-LINE MODE (:, /, ?) - el cursor del buffer se oculta, como en Neovim;
+   * el cursor se dibuja en la línea de comandos (ver generateCommandLine)
+   */
+  processCommandMode(tokens) {
+    return tokens;
+  }
+
+  /**
+   * VISUAL LINE MODE (V) - la selección se extiende a líneas completas
+   * Se resalta desde la columna 0 hasta el salto de línea inclusive,
+   * pero el cursor de bloque se queda en la columna real del cursor
+   */
+  processVisualLineMode(tokens, selectionStart, selectionEnd, options = {}) {
+    const source = this.getSourceText(tokens);
+    const selectionLast = this.getVisualLineCursorPosition(source, selectionStart, selectionEnd);
+    const cursorPosition = options.cursorPosition ?? selectionLast;
+
+    const lineStart = this.getLineStart(source, selectionStart);
+    const lineEnd = this.getLineEnd(source, selectionLast);
+    // Incluir el salto de línea final si existe
+    const rangeEnd = lineEnd < source.length ? lineEnd + 1 : lineEnd;
+
+    console.log('📏 [VISUAL LINE DEBUG] Widened selection to whole lines', {
+      originalSelection: { selectionStart, selectionEnd },
+      widenedSelection: { lineStart, rangeEnd },
+      cursorPosition
+    });
+
+    return this.applySelection(tokens, lineStart, rangeEnd, cursorPosition);
+  }
+
+  /**
+   * VISUAL BLOCK MODE (Ctrl-V) - selección rectangular por columnas
+   * El rectángulo va de (línea, columna) del inicio a (línea, columna) del cursor.
+   * Las columnas son de pantalla: las tabulaciones se expanden con options.tabstop.
+   * Con options.blockToEol (equivalente a `$`) cada línea se extiende hasta su final.
+   * options.cursorPosition indica en qué esquina está el cursor.
+   */
+  processVisualBlockMode(tokens, selectionStart, selectionEnd, options = {}) {
+    const source = this.getSourceText(tokens);
+    const selectionLast = selectionEnd > selectionStart ? selectionEnd - 1 : selectionStart;
+    const cursorPosition = options.cursorPosition ?? selectionLast;
+    const ranges = this.getBlockRanges(source, selectionStart, selectionLast, options.blockToEol, options.tabstop);
+
+    console.log('🧱 [VISUAL BLOCK DEBUG] Block ranges computed', {
+      selectionStart,
+      cursorPosition,
+      blockToEol: !!options.blockToEol,
+      ranges
+    });
+
+    let result = tokens;
+    for (const range of ranges) {
+      result = this.applySelection(result, range.start, range.end, cursorPosition);
+    }
+
+    // Con `$` se dibuja una celda virtual al final de cada línea seleccionada
+    if (options.blockToEol) {
+      for (const range of ranges) {
+        if (range.end < source.length) {
+          result = this.insertVirtualPadding(result, range.end);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Split a blockwise selection into one [start, end) range per line.
+   * The block's edges are screen columns (tabs expanded with tabstop), so a
+   * tab that reaches into the block is selected whole; lines too short to
+   * reach the block's left column get no range.
+   */
+  getBlockRanges(source, anchorPosition, cursorPosition, toEndOfLine = false, tabstop = DEFAULT_TABSTOP) {
+    const leftColumn = Math.min(
+      this.getVirtualColumn(source, anchorPosition, tabstop),
+      this.getVirtualColumn(source, cursorPosition, tabstop)
+    );
+    const rightColumn = Math.max(
+      this.getVirtualColumn(source, anchorPosition, tabstop, true),
+      this.getVirtualColumn(source, cursorPosition, tabstop, true)
+    );
+    const firstLineStart = Math.min(this.getLineStart(source, anchorPosition), this.getLineStart(source, cursorPosition));
+    const lastLineStart = Math.max(this.getLineStart(source, anchorPosition), this.getLineStart(source, cursorPosition));
+
+    const ranges = [];
+    let lineStart = firstLineStart;
+
+    while (lineStart <= lastLineStart) {
+      const lineEnd = this.getLineEnd(source, lineStart);
+      const leftCell = this.findColumnCell(source, lineStart, lineEnd, leftColumn, tabstop);
+
+      if (leftCell.position !== null) {
+        const rightCell = this.findColumnCell(source, lineStart, lineEnd, rightColumn, tabstop);
+        ranges.push({
+          start: leftCell.position,
+          end: toEndOfLine || rightCell.position === null ? lineEnd : rightCell.position + 1
+        });
+      }
+
+      if (lineEnd >= source.length) break;
+      lineStart = lineEnd + 1;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Insert an empty "virtual" token at position, drawn as one selected cell
+   * past the end of the line (used by `$` blockwise selections)
+   */
+  insertVirtualPadding(tokens, position) {
+    return this.insertVirtualToken(tokens, position, this.createVirtualPaddingToken(position));
+  }
+
+  /**
+   * Insert a zero-length token at position, splitting the token around it
+   * (a complex token splits its nested structure)
+   */
+  insertVirtualToken(tokens, position, virtualToken) {
+    const result = [...tokens];
+
+    for (let i = 0; i < result.length; i++) {
+      const token = result[i];
+
+      if (token.start >= position) {
+        result.splice(i, 0, virtualToken);
+        return result;
+      }
+
+      if (token.start < position && position < token.end) {
+        if (token.isComplex) {
+          const [beforePiece, afterPiece] = token.splitAt(position);
+          result.splice(i, 1, beforePiece, virtualToken, afterPiece);
+          return result;
+        }
+
+        const relativePos = position - token.start;
+        const beforeToken = this.createToken(token.type, token.value.substring(0, relativePos), token.start, position, token);
+        const afterToken = this.createToken(token.type, token.value.substring(relativePos), position, token.end, token);
+        beforeToken.selected = token.selected;
+        afterToken.selected = token.selected;
+
+        result.splice(i, 1, beforeToken, virtualToken, afterToken);
+        return result;
+      }
+    }
+
+    result.push(virtualToken);
+    return result;
+  }
+
+  createVirtualPaddingToken(position) {
+    const paddingToken = this.createToken('virtual-padding', '', position, position);
+    paddingToken.selected = true;
+    return paddingToken;
+  }
+
+  /**
+   * CURSORCOLUMN - franja en la columna virtual del cursor, en todas las líneas
+   * Las tabulaciones se expanden con options.tabstop; las líneas que no llegan
+   * a la columna reciben espacios virtuales y una celda resaltada al final.
+   * Debe aplicarse ANTES del cursor, como applyHighlight.
+   * options.cellEnd: el cursor sobre un tab ocupa su última celda (Normal, Visual...)
+   */
+  applyCursorColumn(tokens, cursorPosition, options = {}) {
+    const tabstop = options.tabstop || DEFAULT_TABSTOP;
+    const source = this.getSourceText(tokens);
+    const cursorLineStart = this.getLineStart(source, cursorPosition);
+    const column = this.getVirtualColumn(source, cursorPosition, tabstop, options.cellEnd);
+    const virtualCells = [];
+    let result = tokens;
+    let lineStart = 0;
+
+    // The empty "line" after a trailing newline is not a buffer line
+    while (lineStart < source.length || lineStart === 0) {
+      const lineEnd = this.getLineEnd(source, lineStart);
+      const cell = this.findColumnCell(source, lineStart, lineEnd, column, tabstop);
+
+      if (cell.position !== null) {
+        result = this.applyHighlight(result, cell.position, cell.position + 1, 'CursorColumn');
+      } else if (lineStart !== cursorLineStart) {
+        virtualCells.push({ position: lineEnd, padding: cell.padding });
+      }
+
+      if (lineEnd >= source.length) break;
+      lineStart = lineEnd + 1;
+    }
+
+    for (const cell of virtualCells) {
+      const virtualToken = this.createToken('virtual-column', '', cell.position, cell.position);
+      virtualToken.padding = cell.padding;
+      result = this.insertVirtualToken(result, cell.position, virtualToken);
+    }
+
+    console.log('📐 [CURSORCOLUMN DEBUG] Column stripe applied', {
+      cursorPosition,
+      column,
+      tabstop,
+      virtualCells: virtualCells.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Screen column (0-based) of position, with tabs expanded to the next tabstop
+   */
+  getVirtualColumn(source, position, tabstop, cellEnd = false) {
+    let column = 0;
+    for (let i = this.getLineStart(source, position); i < position; i++) {
+      column += this.getCellWidth(source.charAt(i), column, tabstop);
+    }
+
+    if (cellEnd && source.charAt(position) === '\t') {
+      column += this.getCellWidth('\t', column, tabstop) - 1;
+    }
+    return column;
+  }
+
+  /**
+   * Character of the line drawn over column, or how many blank cells separate
+   * the end of the line from it
+   */
+  findColumnCell(source, lineStart, lineEnd, column, tabstop) {
+    let cellStart = 0;
+    for (let i = lineStart; i < lineEnd; i++) {
+      const width = this.getCellWidth(source.charAt(i), cellStart, tabstop);
+      if (column < cellStart + width) {
+        return { position: i, padding: 0 };
+      }
+      cellStart += width;
+    }
+    return { position: null, padding: column - cellStart };
+  }
+
+  getCellWidth(char, column, tabstop) {
+    return char === '\t' ? tabstop - (column % tabstop) : 1;
+  }
+
+  /**
+   * Determine where the real cursor sits for a linewise selection
+   */
+  getVisualLineCursorPosition(source, selectionStart, selectionEnd) {
+    if (selectionEnd <= selectionStart) {
+      return selectionStart;
+    }
+
+    let cursorPosition = selectionEnd - 1;
+
+    // A selection dragged to the start of the next line ends on the newline:
+    // the cursor belongs on the last character of that line instead
+    if (source.charAt(cursorPosition) === '\n' &&
+        cursorPosition > selectionStart &&
+        source.charAt(cursorPosition - 1) !== '\n') {
+      cursorPosition -= 1;
+    }
+
+    return cursorPosition;
+  }
+
+  /**
+   * Buffer offset of the cursor for a mode (what the gutter and cursorline follow);
+   * command-line mode keeps the position the buffer cursor had
+   */
+  getCursorPosition(source, mode, selectionStart, selectionEnd, options = {}) {
+    switch (mode) {
+      case 'visual':
+        return options.cursorPosition ?? selectionEnd - 1;
+      case 'visual-line':
+        return options.cursorPosition ?? this.getVisualLineCursorPosition(source, selectionStart, selectionEnd);
+      case 'visual-block':
+        return options.cursorPosition ?? (selectionEnd > selectionStart ? selectionEnd - 1 : selectionStart);
+      case 'replace':
+      case 'vreplace':
+        return selectionEnd;
+      default:
+        return selectionStart;
+    }
+  }
+
+  /**
+   * 1-based line number of position
+   */
+  getLineNumber(source, position) {
+    return source.substring(0, Math.max(0, position)).split('\n').length;
+  }
+
+  /**
+   * Rebuild the source text from the token stream
+   */
+  getSourceText(tokens) {
+    return tokens.map(token => token.value || '').join('');
+  }
+
+  /**
+   * Offset of the first character of the line containing position
+   */
+  getLineStart(source, position) {
+    if (position <= 0) return 0;
+    return source.lastIndexOf('\n', position - 1) + 1;
+  }
+
+  /**
+   * Offset of the newline ending the line containing position (or source length)
+   */
+  getLineEnd(source, position) {
+    const newlineIndex = source.indexOf('\n', position);
+    return newlineIndex === -1 ? source.length : newlineIndex;
   }
 
   /**
@@ -389,7 +754,76 @@ class VisualEffectsProcessor {
   // DESACTIVADO: Método complejo problemático - usar applySimpleCursor en su lugar
   // (método eliminado para limpiar el código)
 
-  applySelection(tokens, selectionStart, selectionEnd) {
+  /**
+   * HIGHLIGHT RANGE - añade una clase extra a los caracteres en [start, end)
+   * Los tokens simples se dividen en los bordes del rango; los ComplexVimToken
+   * guardan el rango y lo aplican carácter a carácter al renderizar.
+   * Debe aplicarse ANTES del cursor, que pre-renderiza los tokens complejos.
+   */
+  applyHighlight(tokens, start, end, className) {
+    const result = [...tokens];
+
+    if (start >= end) {
+      return result;
+    }
+
+    for (let i = 0; i < result.length; i++) {
+      const token = result[i];
+
+      if (token.start >= end || token.end <= start) continue;
+
+      const overlapStart = Math.max(token.start, start);
+      const overlapEnd = Math.min(token.end, end);
+
+      if (token.isComplex && typeof token.addHighlightRange === 'function') {
+        token.addHighlightRange(overlapStart, overlapEnd, className);
+        continue;
+      }
+
+      const newTokens = this.splitTokenForHighlight(token, overlapStart, overlapEnd, className);
+      result.splice(i, 1, ...newTokens);
+      i += newTokens.length - 1; // Adjust index for added tokens
+    }
+
+    return result;
+  }
+
+  /**
+   * Divide un token simple en antes / resaltado / después
+   */
+  splitTokenForHighlight(token, highlightStart, highlightEnd, className) {
+    const tokens = [];
+    const value = token.value || '';
+
+    const pieces = [
+      [token.start, highlightStart, false],
+      [highlightStart, highlightEnd, true],
+      [highlightEnd, token.end, false]
+    ];
+
+    for (const [pieceStart, pieceEnd, highlighted] of pieces) {
+      if (pieceStart >= pieceEnd) continue;
+
+      const piece = this.createToken(
+        token.type,
+        value.substring(pieceStart - token.start, pieceEnd - token.start),
+        pieceStart,
+        pieceEnd,
+        token
+      );
+      // Keep any effect already applied to the original token
+      piece.selected = token.selected;
+      piece.cursor = token.cursor;
+      if (highlighted) {
+        piece.highlights = [...(piece.highlights || []), className];
+      }
+      tokens.push(piece);
+    }
+
+    return tokens;
+  }
+
+  applySelection(tokens, selectionStart, selectionEnd, lastSelectedPosition = selectionEnd - 1) {
     const result = [...tokens];
 
     // Safety check for empty or invalid selection
@@ -397,8 +831,7 @@ class VisualEffectsProcessor {
       return result; // Return unchanged tokens for invalid selection
     }
 
-    // Calculamos la posición del último carácter seleccionado
-    const lastSelectedPosition = selectionEnd - 1;
+    // lastSelectedPosition: posición del cursor de bloque (por defecto el último carácter seleccionado)
 
     for (let i = 0; i < result.length; i++) {
       const token = result[i];
@@ -414,9 +847,11 @@ class VisualEffectsProcessor {
             // True ComplexVimToken with nested structure
             if (this.shouldSplitComplexToken(token, overlapStart, overlapEnd)) {
               // Apply character-level selection within the complex token structure
+              // (several ranges accumulate when a block selection crosses the same token)
               token.hasPartialSelection = true;
               token.partialSelectionStart = overlapStart;
               token.partialSelectionEnd = overlapEnd;
+              token.partialSelectionRanges = [...(token.partialSelectionRanges || []), [overlapStart, overlapEnd]];
               token.partialLastSelectedPosition = lastSelectedPosition;
 
               // Ensure no conflicting whole-token properties are set
@@ -692,12 +1127,28 @@ class VisualEffectsProcessor {
 }
 
 // Token renderer
+// TokenRenderer output: 'classes' (default, needs the page CSS) or 'inline'
+// (style="..." attributes only, static cursor - for email / rich-text editors)
+const RENDER_MODES = ['classes', 'inline'];
+
 class TokenRenderer {
-  constructor(highlighter) {
+  constructor(highlighter, options = {}) {
     this.highlighter = highlighter;
+    this.renderMode = RENDER_MODES.includes(options.renderMode) ? options.renderMode : 'classes';
     this.escapeHtml = this.escapeHtml.bind(this);
   }
 
+  /**
+   * Last step on the complete output (buffer + status row): in 'inline' mode
+   * the computed styles replace the classes
+   */
+  finalize(html) {
+    if (this.renderMode !== 'inline') {
+      return html;
+    }
+    return new InlineStyleResolver().resolve(html);
+  }
+
   render(tokens) {
     const renderedParts = tokens.map((token, index) => {
       return this.renderToken(token);
@@ -721,6 +1172,14 @@ class TokenRenderer {
           token.partialCursorClass
         );
       }
+      // Check if this token has partial selection over several ranges (Visual Block)
+      else if (token.hasPartialSelection && token.partialSelectionRanges &&
+               typeof token.applyVimEffectsWithSelectionRanges === 'function') {
+        return token.applyVimEffectsWithSelectionRanges(
+          token.partialSelectionRanges,
+          token.partialLastSelectedPosition
+        );
+      }
       // Check if this token has partial selection
       else if (token.hasPartialSelection && typeof token.applyVimEffectsWithPartialSelection === 'function') {
         return token.applyVimEffectsWithPartialSelection(
@@ -744,6 +1203,26 @@ class TokenRenderer {
       isEnhancedCursorCandidate: token.cursor === 'cursor' && token.value && token.value.length === 1
     });
 
+    // 'cursorcolumn' past the end of a shorter line: blanks up to the column
+    if (token.type === 'virtual-column') {
+      return `${' '.repeat(token.padding)}<span class="CursorColumn"> </span>`;
+    }
+
+    // Virtual cell past the end of the line (Visual Block with `$`)
+    if (token.type === 'virtual-padding') {
+      return '<span class="visual-selection visual-block-padding"> </span>';
+    }
+
+    // Block cursor resting on a newline (empty line or end of line): draw a one-cell block
+    if (token.isLastSelectedChar && token.value === '\n') {
+      return '<span class="visual-block-cursor"> </span>\n';
+    }
+
+    // Cursor resting on a newline (end of line or empty line): draw it on a blank cell
+    if (token.cursor && token.value === '\n') {
+      return `<span class="${token.cursor}"> </span>\n`;
+    }
+
     // Handle newlines specially
     if (token.type === 'newline') {
       if (token.selected) {
@@ -752,8 +1231,11 @@ class TokenRenderer {
       return '\n';
     }
 
-    // Handle empty cursor tokens for insert mode
+    // Handle empty cursor tokens: insert mode bar, or a blank cell past the end of the buffer
     if (token.type === 'cursor' && token.value === '') {
+      if (token.cursor && token.cursor !== 'cursor-insert') {
+        return `<span class="${token.cursor}"> </span>`;
+      }
       return '<span class="cursor-insert"></span>';
     }
 
@@ -774,12 +1256,25 @@ class TokenRenderer {
       });
     }
 
+    // Last character of a Visual selection: block cursor text colored like the normal cursor
+    if (classes.includes('visual-block-cursor')) {
+      const style = Colorscheme.getActive().getCursorTextStyle([classes]);
+      return `<span class="${classes.join(' ')}"${this.getCaptureAttribute(token)} style="${style}">${escapedValue}</span>`;
+    }
+
     if (classes.length > 0) {
-      return `<span class="${classes.join(' ')}">${escapedValue}</span>`;
+      return `<span class="${classes.join(' ')}"${this.getCaptureAttribute(token)}>${escapedValue}</span>`;
     }
     return escapedValue;
   }
 
+  /**
+   * data-capture="@function.call": the tree-sitter capture PrismVimHighlighter gave the token
+   */
+  getCaptureAttribute(token) {
+    return token.capture ? ` data-capture="${token.capture}"` : '';
+  }
+
   /**
    * Render enhanced cursor with character overlay for normal mode
    */
@@ -803,20 +1298,17 @@ class TokenRenderer {
       filteredOut: classes.filter(cls => cls === 'cursor')
     });
 
-    // Determine if we need to adjust overlay color for better contrast
-    const needsDarkOverlay = this.shouldUseDarkOverlay(syntaxClasses);
-    const overlayClass = needsDarkOverlay ? 'cursor-char-overlay-dark' : 'cursor-char-overlay';
+    // Text color under the cursor, by contrast against the Cursor background of the active colorscheme
+    const overlayStyle = Colorscheme.getActive().getCursorTextStyle([syntaxClasses]);
 
-    console.log('🎨 [ENHANCED CURSOR DEBUG] Overlay class selection', {
+    console.log('🎨 [ENHANCED CURSOR DEBUG] Overlay color selection', {
       syntaxClasses,
-      needsDarkOverlay,
-      selectedOverlayClass: overlayClass,
-      reasoning: needsDarkOverlay ? 'light token colors detected' : 'dark/normal token colors'
+      overlayStyle
     });
 
     // Combine classes properly - original character keeps all syntax classes
     const originalClasses = ['cursor-char-original', ...syntaxClasses];
-    const overlayClasses = [overlayClass, ...syntaxClasses];
+    const overlayClasses = ['cursor-char-overlay', ...syntaxClasses];
 
     console.log('🎨 [ENHANCED CURSOR DEBUG] Final class combinations', {
       originalClasses,
@@ -825,8 +1317,8 @@ class TokenRenderer {
 
     // Create the enhanced cursor structure with overlay
     const result = `<span class="cursor-overlay">` +
-           `<span class="${originalClasses.join(' ')}">${escapedValue}</span>` +
-           `<span class="${overlayClasses.join(' ')}">${escapedValue}</span>` +
+           `<span class="${originalClasses.join(' ')}"${this.getCaptureAttribute(token)}>${escapedValue}</span>` +
+           `<span class="${overlayClasses.join(' ')}" style="${overlayStyle}">${escapedValue}</span>` +
            `</span>`;
 
     console.log('🎨 [ENHANCED CURSOR DEBUG] Generated HTML', {
@@ -837,52 +1329,6 @@ class TokenRenderer {
     return result;
   }
 
-  /**
-   * Determine if the overlay should use dark text for better contrast
-   * Based on the token's syntax highlighting class
-   */
-  shouldUseDarkOverlay(syntaxClasses) {
-    console.log('🎨 [COLOR DEBUG] Analyzing classes for dark overlay need', {
-      inputClasses: syntaxClasses
-    });
-
-    // Light-colored syntax classes that would need dark text overlay
-    const lightColorClasses = [
-      'string',      // Usually green/light
-      'property',    // Usually blue/light
-      'class-name',  // Usually yellow/light
-      'function-name', // Usually blue/light
-      'function',    // Usually blue/light
-      'url',         // Usually cyan/light
-      'entity',      // Usually cyan/light
-      'value'        // Usually green/light
-    ];
-
-    // Check if any of the token's classes match light-colored classes
-    const matchResults = syntaxClasses.map(cls => {
-      // Remove 'token' prefix if present and check
-      const cleanClass = cls.replace(/^token\.?/, '');
-      const isLight = lightColorClasses.includes(cleanClass);
-      return {
-        originalClass: cls,
-        cleanClass,
-        isLight,
-        matched: isLight ? cleanClass : null
-      };
-    });
-
-    const hasLightClass = matchResults.some(result => result.isLight);
-
-    console.log('🎨 [COLOR DEBUG] Dark overlay analysis complete', {
-      lightColorClasses,
-      matchResults,
-      hasLightClass,
-      decision: hasLightClass ? 'USE DARK OVERLAY' : 'USE NORMAL OVERLAY'
-    });
-
-    return hasLightClass;
-  }
-
   getTokenClasses(token) {
     console.log('🎨 [CLASS DEBUG] Getting token classes', {
       tokenValue: token.value,
@@ -917,6 +1363,11 @@ class TokenRenderer {
       }
     }
 
+    // Add highlight classes (overtyped text, search matches, ...)
+    if (token.highlights && token.highlights.length > 0) {
+      classes.push(...token.highlights);
+    }
+
     // Add cursor class
     if (token.cursor) {
       classes.push(token.cursor);
@@ -951,18 +1402,140 @@ class TokenRenderer {
   }
 }
 
+// Modes where matchparen highlights the bracket at the cursor
+const MATCHPAREN_MODES = ['normal', 'insert'];
+
+// Mode message labels, as printed by Neovim in the last line
+const MODE_LABELS = {
+  'normal': 'NORMAL',
+  'insert': 'INSERT',
+  'visual': 'VISUAL',
+  'visual-line': 'VISUAL LINE',
+  'visual-block': 'VISUAL BLOCK',
+  'replace': 'REPLACE',
+  'vreplace': 'VREPLACE',
+  'command': 'COMMAND'
+};
+
+// Command-line types: ex command, forward search and backward search
+const COMMAND_TYPES = [':', '/', '?'];
+
+// Modes that only need a cursor position (a textarea selection is optional)
+const SELECTION_OPTIONAL_MODES = ['normal', 'insert', 'visual-line', 'visual-block', 'replace', 'vreplace', 'command'];
+
 // Neovim mode simulator
 class NeovimModeSimulator {
   constructor(highlighter = null) {
     this.visualEffectsProcessor = new VisualEffectsProcessor();
+    this.searchOverlay = new SearchOverlay(this.visualEffectsProcessor);
+    this.matchParenOverlay = new MatchParenOverlay(this.visualEffectsProcessor);
+    this.diagnosticsOverlay = new DiagnosticsOverlay(this.visualEffectsProcessor);
+    this.floatLayer = new FloatLayer(this.visualEffectsProcessor);
     this.highlighter = highlighter;
   }
 
-  processCode(sourceCode, mode, selectionStart, selectionEnd) {
+  processCode(sourceCode, mode, selectionStart, selectionEnd, options = {}) {
+    const { html, cursorPosition, searchCount, renderer } = this.renderBuffer(sourceCode, mode, selectionStart, selectionEnd, options);
+
+    // Add status bar based on mode (Command-line mode replaces it with the command line);
+    // a statusline preset adds its row above that message row
+    const statusline = new StatuslineBuilder(options.statusline);
+    let statusBar;
+    if (statusline.isEnabled()) {
+      statusBar = this.generateStatusArea(statusline, sourceCode, mode, cursorPosition, searchCount, options);
+    } else {
+      statusBar = mode === 'command'
+        ? this.generateCommandLine(options.command, options.commandType, options.commandCursor)
+        : this.generateStatusBar(mode, searchCount);
+    }
+
+    // Combine code with status bar
+    const finalResult = renderer.finalize(html + statusBar);
+
+    return finalResult;
+  }
+
+  /**
+   * Several windows in one frame (see WindowLayout): each one goes through
+   * renderBuffer with its own highlighter and gets its statusline ('neovim'
+   * when it has none; inactive windows use the preset's inactive sections);
+   * the active window has the cursor and its mode fills the message row.
+   * options: { renderMode?, command?, commandType?, commandCursor? }
+   */
+  processLayout(layout, options = {}) {
+    const windowLayout = layout instanceof WindowLayout ? layout : new WindowLayout(layout);
+    let searchCount = null;
+
+    const html = windowLayout.compose((leaf, isActive) => {
+      const rendered = this.renderWindow(windowLayout, leaf, isActive);
+      if (isActive) searchCount = rendered.searchCount;
+      return rendered.html;
+    });
+
+    const active = windowLayout.active;
+    const mode = active.mode || 'normal';
+    const leafOptions = { ...active.options, ...options };
+    const statusline = new StatuslineBuilder(this.getWindowStatusline(leafOptions.statusline));
+    const message = mode === 'command'
+      ? this.renderCommandLine(leafOptions.command, leafOptions.commandType, leafOptions.commandCursor)
+      : this.renderModeMessage(mode, searchCount, statusline.showsMode(mode));
+    const messageClass = mode === 'command' ? 'statusline-message command-line-ide' : 'statusline-message';
+
+    console.log('🪟 [LAYOUT DEBUG] Composed windows', {
+      windows: windowLayout.leaves.length,
+      activeMode: mode
+    });
+
+    const renderer = new TokenRenderer(this.highlighter, { renderMode: options.renderMode });
+    return renderer.finalize(
+      `<div class="vim-layout-frame">${html}</div>` +
+      `<div class="status-bar-ide statusline-ide"><div class="${messageClass}">${message || ' '}</div></div>`
+    );
+  }
+
+  /**
+   * One window of a layout: buffer (cursor only when active) and its statusline
+   */
+  renderWindow(windowLayout, leaf, isActive) {
+    const highlighter = windowLayout.getHighlighter(leaf, this.highlighter);
+    const simulator = highlighter === this.highlighter ? this : new NeovimModeSimulator(highlighter);
+    const mode = isActive ? leaf.mode || 'normal' : 'normal';
+    const selectionStart = leaf.selectionStart || 0;
+    const selectionEnd = leaf.selectionEnd ?? selectionStart;
+    const options = { ...leaf.options, renderMode: 'classes', cursor: isActive };
+
+    const { html, cursorPosition, searchCount } = simulator.renderBuffer(leaf.sourceCode, mode, selectionStart, selectionEnd, options);
+
+    // Every window of a split has a statusline (laststatus=2)
+    let statusline = new StatuslineBuilder(this.getWindowStatusline(options.statusline));
+    if (!isActive) statusline = statusline.forInactiveWindow();
+    const context = simulator.getStatuslineContext(leaf.sourceCode, mode, cursorPosition, options);
+    const statusClass = isActive ? 'status-bar-ide statusline-ide' : 'status-bar-ide statusline-ide statusline-inactive';
+
+    return {
+      html: `<div class="vim-window-buffer">${html}</div><div class="${statusClass}">${statusline.render(context)}</div>`,
+      searchCount
+    };
+  }
+
+  /**
+   * The 'minimal' preset has no statusline row; split windows use Neovim's default one
+   */
+  getWindowStatusline(statusline) {
+    return !statusline || statusline === 'minimal' ? 'neovim' : statusline;
+  }
+
+  /**
+   * Everything above the status rows: highlighted buffer, overlays, cursor and gutter.
+   * options.cursor = false draws it as an inactive window (no cursor, selection or matchparen).
+   * Returns { html, cursorPosition, searchCount, renderer }
+   */
+  renderBuffer(sourceCode, mode, selectionStart, selectionEnd, options = {}) {
     console.log('🎮 [MAIN DEBUG] Processing code started', {
       mode,
       selectionStart,
       selectionEnd,
+      options,
       sourceCodeLength: sourceCode.length,
       sourceCodePreview: sourceCode.substring(0, 50) + (sourceCode.length > 50 ? '...' : '')
     });
@@ -979,7 +1552,7 @@ class NeovimModeSimulator {
     }
 
     // Create renderer with the specific highlighter
-    const renderer = new TokenRenderer(highlighter);
+    const renderer = new TokenRenderer(highlighter, { renderMode: options.renderMode });
 
     // Tokenize the source code
     const tokens = highlighter.tokenize(sourceCode);
@@ -1010,13 +1583,43 @@ class NeovimModeSimulator {
       });
     }
 
+    // Search highlighting goes first: mode effects (cursor pre-rendering) must see it
+    const search = this.getSearchSpec(mode, options);
+    let searchResult = null;
+    let highlightedTokens = tokens;
+    if (search) {
+      searchResult = this.searchOverlay.apply(tokens, search, selectionStart);
+      highlightedTokens = searchResult.tokens;
+    }
+
+    // Diagnostic underlines; options.diagnostics may also use the DiagnosticsOverlay.parse notation
+    const diagnosticSpec = typeof options.diagnostics === 'string'
+      ? DiagnosticsOverlay.parse(options.diagnostics)
+      : options.diagnostics || [];
+    const diagnostics = this.diagnosticsOverlay.resolve(diagnosticSpec, sourceCode);
+    if (diagnostics.length > 0) {
+      highlightedTokens = this.diagnosticsOverlay.apply(highlightedTokens, diagnostics, { undercurl: options.undercurl });
+    }
+
+    // 'cursorcolumn' stripe, also underneath the mode effects
+    const cursorPosition = this.visualEffectsProcessor.getCursorPosition(sourceCode, mode, selectionStart, selectionEnd, options);
+    if (options.cursorcolumn) {
+      highlightedTokens = this.visualEffectsProcessor.applyCursorColumn(highlightedTokens, cursorPosition, {
+        tabstop: options.tabstop,
+        cellEnd: mode !== 'insert'
+      });
+    }
+
+    // Matching bracket (on by default, as Neovim loads matchparen); options.matchparen = false turns it off
+    const showCursor = options.cursor !== false;
+    if (showCursor && options.matchparen !== false && MATCHPAREN_MODES.includes(mode)) {
+      highlightedTokens = this.matchParenOverlay.apply(highlightedTokens, cursorPosition, mode);
+    }
+
     // Apply visual effects based on mode
-    const processedTokens = this.visualEffectsProcessor.process(
-      tokens,
-      mode,
-      selectionStart,
-      selectionEnd
-    );
+    const processedTokens = showCursor
+      ? this.visualEffectsProcessor.process(highlightedTokens, mode, selectionStart, selectionEnd, options)
+      : highlightedTokens;
 
     console.log('🎮 [MAIN DEBUG] Visual effects applied', {
       originalTokens: tokens.length,
@@ -1051,8 +1654,32 @@ class NeovimModeSimulator {
       });
     }
 
-    // Render the tokens
-    const renderedCode = renderer.render(processedTokens);
+    // Floating windows (hover docs, signature help...), each content with its own highlighter
+    const floats = this.floatLayer.build(options.floats || [], {
+      source: sourceCode,
+      cursorPosition,
+      tabstop: options.tabstop || DEFAULT_TABSTOP,
+      renderTokens: (floatHighlighter, floatTokens) => new TokenRenderer(floatHighlighter).render(floatTokens)
+    });
+
+    // Render the tokens, one row per line with the gutter, signs or 'cursorline'
+    const gutter = new LineGutter({
+      lineNumbers: options.lineNumbers,
+      numberwidth: options.numberwidth,
+      cursorline: options.cursorline,
+      signs: [...this.diagnosticsOverlay.getSigns(diagnostics), ...this.getSignList(options.signs)],
+      signcolumn: options.signcolumn,
+      virtualText: this.diagnosticsOverlay.getVirtualText(diagnostics),
+      overlays: floats.overlays
+    });
+    let bufferHtml = renderer.render(processedTokens);
+    if (showCursor && options.completion && mode === 'insert') {
+      bufferHtml = this.addCompletionMenu(bufferHtml, highlightedTokens, sourceCode, cursorPosition, options);
+    }
+    const renderedCode = gutter.apply(
+      bufferHtml,
+      this.visualEffectsProcessor.getLineNumber(sourceCode, cursorPosition)
+    );
 
     console.log('🎮 [MAIN DEBUG] Rendering complete', {
       renderedLength: renderedCode.length,
@@ -1062,18 +1689,172 @@ class NeovimModeSimulator {
       fallbackCursorCount: (renderedCode.match(/class="[^"]*cursor[^"]*"/g) || []).filter(match => !match.includes('cursor-overlay')).length
     });
 
-    // Add status bar based on mode
-    const statusBar = this.generateStatusBar(mode);
+    return {
+      html: floats.editorHtml + renderedCode,
+      cursorPosition,
+      searchCount: this.getSearchCount(search, searchResult),
+      renderer
+    };
+  }
 
-    // Combine code with status bar
-    const finalResult = renderedCode + statusBar;
+  /**
+   * Completion popup right after the insert cursor. options.completion:
+   * { items?, style?, selected?, maxHeight?, kindFormat?, documentation? }; items may use
+   * the CompletionMenu.parse notation, and without items the buffer words are offered (<C-n>)
+   */
+  addCompletionMenu(html, tokens, sourceCode, cursorPosition, options) {
+    const menu = new CompletionMenu(this.visualEffectsProcessor, options.completion);
+    const { items } = options.completion;
+    const list = typeof items === 'string' ? CompletionMenu.parse(items) : items || [];
+    const prefix = menu.getPrefix(sourceCode, cursorPosition);
+
+    const popup = menu.render(list.length > 0 ? list : menu.getBufferWords(tokens, cursorPosition), {
+      prefix,
+      prefixWidth: prefix.length,
+      column: this.visualEffectsProcessor.getVirtualColumn(sourceCode, cursorPosition, options.tabstop || DEFAULT_TABSTOP)
+    });
 
-    return finalResult;
+    const cursorHtml = '<span class="cursor-insert"></span>';
+    const index = html.indexOf(cursorHtml);
+    if (!popup || index === -1) {
+      return html;
+    }
+    return html.slice(0, index + cursorHtml.length) + popup + html.slice(index + cursorHtml.length);
   }
 
-  generateStatusBar(mode) {
-    const modeText = mode.toUpperCase();
-    return `\n<div class="status-bar-ide">-- ${modeText} --</div>`;
+  /**
+   * options.signs as a list (it may also come in the LineGutter.parseSigns notation)
+   */
+  getSignList(signs) {
+    if (typeof signs === 'string') {
+      return LineGutter.parseSigns(signs);
+    }
+    return signs || [];
+  }
+
+  generateStatusBar(mode, searchCount = null) {
+    return `\n<div class="status-bar-ide">${this.renderModeMessage(mode, searchCount)}</div>`;
+  }
+
+  /**
+   * "-- INSERT --" plus the search count; showmode = false leaves only the count
+   */
+  renderModeMessage(mode, searchCount = null, showmode = true) {
+    const modeText = showmode ? `-- ${this.getModeLabel(mode)} --` : '';
+    const countHtml = searchCount ? `<span class="search-count">${searchCount}</span>` : '';
+    return `${modeText}${countHtml}`;
+  }
+
+  /**
+   * Statusline row + message row (mode message or command line), following the code
+   */
+  generateStatusArea(statusline, sourceCode, mode, cursorPosition, searchCount, options = {}) {
+    const context = this.getStatuslineContext(sourceCode, mode, cursorPosition, options);
+
+    const message = mode === 'command'
+      ? this.renderCommandLine(options.command, options.commandType, options.commandCursor)
+      : this.renderModeMessage(mode, searchCount, statusline.showsMode(mode));
+    const messageClass = mode === 'command' ? 'statusline-message command-line-ide' : 'statusline-message';
+
+    // An empty message row keeps its height, like Neovim's command line
+    return `\n<div class="status-bar-ide statusline-ide">` +
+      statusline.render(context) +
+      `<div class="${messageClass}">${message || ' '}</div>` +
+      `</div>`;
+  }
+
+  /**
+   * What the statusline segments show: cursor line / columns, file and buffer details
+   */
+  getStatuslineContext(sourceCode, mode, cursorPosition, options = {}) {
+    const processor = this.visualEffectsProcessor;
+    const position = Math.max(0, Math.min(cursorPosition, sourceCode.length));
+    const lineStart = processor.getLineStart(sourceCode, position);
+    const isEmptyLine = processor.getLineEnd(sourceCode, lineStart) === lineStart;
+    const lines = sourceCode.split('\n');
+    const lineCount = sourceCode.endsWith('\n') && lines.length > 1 ? lines.length - 1 : lines.length;
+
+    return {
+      mode,
+      line: processor.getLineNumber(sourceCode, position),
+      // %c is 0 on an empty line, %v still 1
+      column: isEmptyLine ? 0 : position - lineStart + 1,
+      virtualColumn: processor.getVirtualColumn(sourceCode, position, options.tabstop || DEFAULT_TABSTOP, mode !== 'insert') + 1,
+      lineCount,
+      language: this.highlighter.language,
+      fileName: options.fileName,
+      modified: !!options.modified,
+      filetype: options.filetype,
+      encoding: options.encoding,
+      fileformat: options.fileformat
+    };
+  }
+
+  /**
+   * Work out which search to highlight: the pattern being typed after `/` or `?`
+   * (incsearch), or options.search = { pattern, current?, backward? } (hlsearch).
+   * options.lastSubstitute is what "~" in the pattern matches
+   */
+  getSearchSpec(mode, options = {}) {
+    const isSearchCommand = options.commandType === '/' || options.commandType === '?';
+
+    if (mode === 'command' && isSearchCommand && options.command) {
+      return {
+        pattern: options.command,
+        backward: options.commandType === '?',
+        incremental: true,
+        lastSubstitute: options.lastSubstitute
+      };
+    }
+
+    if (options.search && options.search.pattern) {
+      return { lastSubstitute: options.lastSubstitute, ...options.search };
+    }
+
+    return null;
+  }
+
+  /**
+   * "[2/7]" search count, shown after a search (not while typing it)
+   */
+  getSearchCount(search, searchResult) {
+    if (!search || search.incremental || !searchResult || searchResult.matches.length === 0) {
+      return null;
+    }
+    return this.searchOverlay.formatCount(searchResult.currentIndex, searchResult.matches.length);
+  }
+
+  /**
+   * Render the command-line row (`:`, `/` or `?` followed by the typed text)
+   * with its own block cursor; cursorIndex defaults to the end of the text
+   */
+  generateCommandLine(command = '', commandType = ':', cursorIndex = command.length) {
+    return `\n<div class="status-bar-ide command-line-ide">` +
+      this.renderCommandLine(command, commandType, cursorIndex) +
+      `</div>`;
+  }
+
+  renderCommandLine(command = '', commandType = ':', cursorIndex = command.length) {
+    const position = Math.max(0, Math.min(cursorIndex, command.length));
+    const before = this.escapeHtml(command.substring(0, position));
+    const cursorChar = position < command.length ? this.escapeHtml(command.charAt(position)) : ' ';
+    const after = this.escapeHtml(command.substring(position + 1));
+
+    return `<span class="command-line-type">${this.escapeHtml(commandType)}</span>` +
+      `${before}<span class="cursor">${cursorChar}</span>${after}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Text shown by Neovim in the mode message area (e.g. "VISUAL LINE")
+   */
+  getModeLabel(mode) {
+    return MODE_LABELS[mode] || mode.toUpperCase().replace(/-/g, ' ');
   }
 
   /**
@@ -1158,11 +1939,18 @@ class NeovimModeSimulator {
     return null;
   }
 
-  validateModeInput(mode, selectionStart, selectionEnd) {
+  validateModeInput(mode, selectionStart, selectionEnd, options = {}) {
     const errors = [];
 
-    // Special handling for cursor-based modes (Insert and Normal) with no selection
-    if ((mode === 'insert' || mode === 'normal') && selectionStart === selectionEnd) {
+    if (mode === 'command' && options.commandType && !COMMAND_TYPES.includes(options.commandType)) {
+      return {
+        valid: false,
+        errors: [`Command type must be one of ${COMMAND_TYPES.join(' ')}`]
+      };
+    }
+
+    // Special handling for cursor-based modes with no selection
+    if (SELECTION_OPTIONAL_MODES.includes(mode) && selectionStart === selectionEnd) {
       return { valid: true, errors: [] };
     }
 
@@ -1172,7 +1960,7 @@ class NeovimModeSimulator {
     }
 
     // For other modes, require selection
-    if (mode !== 'visual' && mode !== 'insert' && mode !== 'normal' && selectionStart === selectionEnd) {
+    if (!Object.hasOwn(MODE_LABELS, mode) && selectionStart === selectionEnd) {
       errors.push('Please select some text in the source code');
     }
 
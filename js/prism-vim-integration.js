@@ -2,6 +2,44 @@
 // This file integrates Prism.js as the base highlighting engine
 // and adds Vim simulation capabilities on top
 
+import { Colorscheme, PRISM_CAPTURES } from './vim-colorscheme.js';
+
+// Prism types the colorscheme's table leaves to their alias or to no color,
+// named as nvim-treesitter captures them
+const EXTRA_CAPTURES = {
+  'function-variable': '@function',
+  'method': '@function.method',
+  'property-access': '@variable.member',
+  'literal-property': '@property',
+  'known-class-name': '@type.builtin',
+  'triple-quoted-string': '@string',
+  'template-punctuation': '@string',
+  'rule': '@keyword.directive',
+  'unit': '@number'
+};
+
+// Keywords whose capture is more precise than @keyword
+const KEYWORD_CAPTURES = {
+  'return': '@keyword.return', 'yield': '@keyword.return',
+  'function': '@keyword.function', 'def': '@keyword.function', 'fn': '@keyword.function', 'func': '@keyword.function', 'lambda': '@keyword.function',
+  'import': '@keyword.import', 'export': '@keyword.import', 'from': '@keyword.import', 'use': '@keyword.import', 'package': '@keyword.import',
+  'if': '@keyword.conditional', 'else': '@keyword.conditional', 'elif': '@keyword.conditional', 'switch': '@keyword.conditional', 'case': '@keyword.conditional', 'match': '@keyword.conditional',
+  'for': '@keyword.repeat', 'while': '@keyword.repeat', 'do': '@keyword.repeat', 'loop': '@keyword.repeat', 'break': '@keyword.repeat', 'continue': '@keyword.repeat',
+  'try': '@keyword.exception', 'catch': '@keyword.exception', 'except': '@keyword.exception', 'finally': '@keyword.exception', 'throw': '@keyword.exception', 'raise': '@keyword.exception',
+  'async': '@keyword.coroutine', 'await': '@keyword.coroutine',
+  'new': '@keyword.operator', 'delete': '@keyword.operator', 'typeof': '@keyword.operator', 'instanceof': '@keyword.operator', 'in': '@keyword.operator', 'of': '@keyword.operator', 'void': '@keyword.operator', 'and': '@keyword.operator', 'or': '@keyword.operator', 'not': '@keyword.operator', 'is': '@keyword.operator',
+  'class': '@keyword.type', 'struct': '@keyword.type', 'interface': '@keyword.type', 'enum': '@keyword.type', 'type': '@keyword.type',
+  'const': '@keyword.modifier', 'static': '@keyword.modifier', 'public': '@keyword.modifier', 'private': '@keyword.modifier', 'protected': '@keyword.modifier', 'readonly': '@keyword.modifier', 'abstract': '@keyword.modifier',
+  'this': '@variable.builtin', 'self': '@variable.builtin', 'super': '@variable.builtin',
+  'null': '@constant.builtin', 'undefined': '@constant.builtin', 'None': '@constant.builtin', 'nil': '@constant.builtin',
+  'true': '@boolean', 'false': '@boolean',
+  'debugger': '@keyword.debug',
+  'print': '@function.builtin'
+};
+
+// Keywords that introduce the name of a function being defined
+const DEFINITION_KEYWORDS = ['function', 'def', 'fn', 'func'];
+
 /**
  * Enhanced Token class that extends Prism's capabilities with Vim-specific features
  */
@@ -16,6 +54,8 @@ class VimToken {
     this.cursor = null;              // Para efectos de cursor
     this.selected = false;           // Para selección visual
     this.isLastSelectedChar = false; // Para marcar el último carácter seleccionado
+    this.highlights = [];            // Clases de resaltado extra (overtyped, búsqueda, ...)
+    this.capture = null;             // Tree-sitter capture name (@keyword.return, @function.call...)
     
     // Prism integration
     this.prismToken = prismToken;    // Reference to original Prism token
@@ -30,6 +70,10 @@ class VimToken {
     
     // Preserve Prism classes
     newToken.prismClasses = [...this.prismClasses];
+
+    // Preserve highlight classes (ranges are split at their boundaries, so every piece keeps them)
+    newToken.highlights = [...this.highlights];
+    newToken.capture = this.capture;
     
     // Preserve Vim-specific properties (but reset selection/cursor state)
     newToken.cursor = null;
@@ -39,6 +83,15 @@ class VimToken {
     return newToken;
   }
   
+  /**
+   * ' data-capture="@keyword.return"' for the span of this token, or of a
+   * Prism token nested in it; empty without a capture. CSS written against
+   * Neovim captures ([data-capture^="@keyword"]) styles the output directly
+   */
+  getCaptureAttribute(capture = this.capture) {
+    return capture ? ` data-capture="${capture}"` : '';
+  }
+
   /**
    * Create VimToken from Prism token
    */
@@ -95,6 +148,9 @@ class ComplexVimToken extends VimToken {
     // Store the nested structure for accurate rendering
     this.nestedStructure = nestedStructure;
     this.isComplex = true;
+
+    // Highlight ranges applied at character level: [{ start, end, className }]
+    this.highlightRanges = [];
   }
 
   /**
@@ -111,9 +167,17 @@ class ComplexVimToken extends VimToken {
   /**
    * Recursively render token structure
    */
-  renderTokenStructure(structure) {
+  renderTokenStructure(structure, currentPos = this.start) {
     if (typeof structure === 'string') {
-      return this.escapeHtml(structure);
+      if (this.highlightRanges.length === 0) {
+        return this.escapeHtml(structure);
+      }
+
+      let result = '';
+      for (let i = 0; i < structure.length; i++) {
+        result += this.decorateChar(currentPos + i, this.escapeHtml(structure[i]));
+      }
+      return result;
     }
 
     if (structure && typeof structure === 'object') {
@@ -131,17 +195,43 @@ class ComplexVimToken extends VimToken {
 
       let content = '';
       if (typeof structure.content === 'string') {
-        content = this.escapeHtml(structure.content);
+        content = this.renderTokenStructure(structure.content, currentPos);
       } else if (Array.isArray(structure.content)) {
-        content = structure.content.map(item => this.renderTokenStructure(item)).join('');
+        let pos = currentPos;
+        for (const item of structure.content) {
+          content += this.renderTokenStructure(item, pos);
+          pos += this.calculateContentLength(item);
+        }
       }
 
-      return `<span class="${classes.join(' ')}">${content}</span>`;
+      return `<span class="${classes.join(' ')}"${this.getCaptureAttribute(structure.capture)}>${content}</span>`;
     }
 
     return '';
   }
 
+  /**
+   * Add a highlight class to the characters in [start, end) of this token
+   */
+  addHighlightRange(start, end, className) {
+    this.highlightRanges.push({ start, end, className });
+  }
+
+  /**
+   * Wrap already-rendered character HTML with the highlight classes covering charPos
+   */
+  decorateChar(charPos, charHtml) {
+    const classes = this.highlightRanges
+      .filter(range => charPos >= range.start && charPos < range.end)
+      .map(range => range.className);
+
+    if (classes.length === 0) {
+      return charHtml;
+    }
+
+    return `<span class="${classes.join(' ')}">${charHtml}</span>`;
+  }
+
   /**
    * Escape HTML characters
    */
@@ -175,7 +265,10 @@ class ComplexVimToken extends VimToken {
         vimClasses.push(this.cursor);
       }
 
-      if (vimClasses.length > 0) {
+      if (this.isLastSelectedChar) {
+        const style = Colorscheme.getActive().getCursorTextStyle([this.prismClasses || []]);
+        result = `<span class="${vimClasses.join(' ')}" style="${style}">${result}</span>`;
+      } else if (vimClasses.length > 0) {
         result = `<span class="${vimClasses.join(' ')}">${result}</span>`;
       }
     }
@@ -206,6 +299,19 @@ class ComplexVimToken extends VimToken {
     return this.renderNested();
   }
 
+  /**
+   * Rendering for selections made of several disjoint ranges (Visual Block)
+   */
+  applyVimEffectsWithSelectionRanges(ranges, lastSelectedPosition) {
+    const overlapping = ranges.filter(([start, end]) => start < this.end && end > this.start);
+
+    if (overlapping.length === 0) {
+      return this.renderNested();
+    }
+
+    return this.renderWithSelectionRanges(overlapping, lastSelectedPosition);
+  }
+
   /**
    * Apply cursor effects to complex tokens with character-level precision
    */
@@ -264,11 +370,25 @@ class ComplexVimToken extends VimToken {
    * Render with partial selection applied to specific characters within the nested structure
    */
   renderWithPartialSelection(selectionStart, selectionEnd, lastSelectedPosition) {
+    return this.renderWithSelectionRanges([[selectionStart, selectionEnd]], lastSelectedPosition);
+  }
+
+  /**
+   * Render with selection applied to every [start, end) range within the nested structure
+   */
+  renderWithSelectionRanges(ranges, lastSelectedPosition) {
     if (!this.nestedStructure) {
-      return this.applySimplePartialSelection(selectionStart, selectionEnd, lastSelectedPosition);
+      return this.applySimplePartialSelection(ranges, lastSelectedPosition);
     }
 
-    return this.renderTokenStructureWithSelection(this.nestedStructure, selectionStart, selectionEnd, lastSelectedPosition);
+    return this.renderTokenStructureWithSelection(this.nestedStructure, ranges, lastSelectedPosition);
+  }
+
+  /**
+   * Check if a character position falls inside any selection range
+   */
+  isInSelectionRanges(charPos, ranges) {
+    return ranges.some(([start, end]) => charPos >= start && charPos < end);
   }
 
   /**
@@ -303,13 +423,13 @@ class ComplexVimToken extends VimToken {
             char,
             prismClasses: this.prismClasses || []
           });
-          result += this.renderEnhancedCursorForComplexToken(escapedChar, this.prismClasses || []);
+          result += this.decorateChar(charPos, this.renderEnhancedCursorForComplexToken(escapedChar, [this.prismClasses || []]));
         } else {
-          result += `<span class="${cursorClass}">${escapedChar}</span>`;
+          result += this.decorateChar(charPos, `<span class="${cursorClass}">${escapedChar}</span>`);
         }
         cursorApplied = true;
       } else {
-        result += escapedChar;
+        result += this.decorateChar(charPos, escapedChar);
       }
     }
 
@@ -326,7 +446,7 @@ class ComplexVimToken extends VimToken {
 
     // Wrap in original token classes
     if (this.prismClasses && this.prismClasses.length > 0) {
-      result = `<span class="${this.prismClasses.join(' ')}">${result}</span>`;
+      result = `<span class="${this.prismClasses.join(' ')}"${this.getCaptureAttribute()}>${result}</span>`;
     }
 
     return result;
@@ -334,29 +454,28 @@ class ComplexVimToken extends VimToken {
 
   /**
    * Enhanced cursor rendering for complex tokens (Option B implementation)
+   * scopes: classes of the character's element and its parents, outermost first
    */
-  renderEnhancedCursorForComplexToken(escapedValue, syntaxClasses) {
+  renderEnhancedCursorForComplexToken(escapedValue, scopes) {
     console.log('🎨 [COMPLEX TOKEN ENHANCED] Starting enhanced cursor rendering', {
       escapedValue,
-      syntaxClasses
+      scopes
     });
 
     // Filter out any existing cursor class
-    const filteredClasses = syntaxClasses.filter(cls => cls !== 'cursor');
+    const filteredClasses = scopes[scopes.length - 1].filter(cls => cls !== 'cursor');
 
-    // Determine if we need to adjust overlay color for better contrast
-    const needsDarkOverlay = this.shouldUseDarkOverlay(filteredClasses);
-    const overlayClass = needsDarkOverlay ? 'cursor-char-overlay-dark' : 'cursor-char-overlay';
+    // Text color under the cursor, by contrast against the Cursor background of the active colorscheme
+    const overlayStyle = Colorscheme.getActive().getCursorTextStyle(scopes);
 
-    console.log('🎨 [COMPLEX TOKEN ENHANCED] Overlay class selection', {
+    console.log('🎨 [COMPLEX TOKEN ENHANCED] Overlay color selection', {
       filteredClasses,
-      needsDarkOverlay,
-      selectedOverlayClass: overlayClass
+      overlayStyle
     });
 
     // Combine classes properly - original character keeps all syntax classes
     const originalClasses = ['cursor-char-original', ...filteredClasses];
-    const overlayClasses = [overlayClass, ...filteredClasses];
+    const overlayClasses = ['cursor-char-overlay', ...filteredClasses];
 
     console.log('🎨 [COMPLEX TOKEN ENHANCED] Final class combinations', {
       originalClasses,
@@ -366,7 +485,7 @@ class ComplexVimToken extends VimToken {
     // Create the enhanced cursor structure with overlay
     const result = `<span class="cursor-overlay">` +
            `<span class="${originalClasses.join(' ')}">${escapedValue}</span>` +
-           `<span class="${overlayClasses.join(' ')}">${escapedValue}</span>` +
+           `<span class="${overlayClasses.join(' ')}" style="${overlayStyle}">${escapedValue}</span>` +
            `</span>`;
 
     console.log('🎨 [COMPLEX TOKEN ENHANCED] Generated HTML', {
@@ -377,25 +496,10 @@ class ComplexVimToken extends VimToken {
     return result;
   }
 
-  /**
-   * Determine if we should use dark overlay for better contrast
-   */
-  shouldUseDarkOverlay(syntaxClasses) {
-    // Light-colored token types that need dark overlay for better visibility
-    const lightTokenTypes = [
-      'string', 'attr-value', 'template-string', 'regex',
-      'comment', 'prolog', 'doctype', 'cdata',
-      'punctuation', 'namespace', 'tag', 'attr-name',
-      'deleted', 'inserted'
-    ];
-
-    return syntaxClasses.some(cls => lightTokenTypes.includes(cls));
-  }
-
   /**
    * Apply simple partial selection for tokens without nested structure
    */
-  applySimplePartialSelection(selectionStart, selectionEnd, lastSelectedPosition) {
+  applySimplePartialSelection(ranges, lastSelectedPosition) {
     const tokenStart = this.start;
     const value = this.value;
     let result = '';
@@ -405,20 +509,21 @@ class ComplexVimToken extends VimToken {
       const char = value[i];
       const escapedChar = this.escapeHtml(char);
 
-      if (charPos >= selectionStart && charPos < selectionEnd) {
+      if (this.isInSelectionRanges(charPos, ranges)) {
         if (charPos === lastSelectedPosition) {
-          result += `<span class="visual-block-cursor">${escapedChar}</span>`;
+          const style = Colorscheme.getActive().getCursorTextStyle([this.prismClasses || []]);
+          result += this.decorateChar(charPos, `<span class="visual-block-cursor" style="${style}">${escapedChar}</span>`);
         } else {
-          result += `<span class="visual-selection">${escapedChar}</span>`;
+          result += this.decorateChar(charPos, `<span class="visual-selection">${escapedChar}</span>`);
         }
       } else {
-        result += escapedChar;
+        result += this.decorateChar(charPos, escapedChar);
       }
     }
 
     // Wrap in original token classes
     if (this.prismClasses && this.prismClasses.length > 0) {
-      result = `<span class="${this.prismClasses.join(' ')}">${result}</span>`;
+      result = `<span class="${this.prismClasses.join(' ')}"${this.getCaptureAttribute()}>${result}</span>`;
     }
 
     return result;
@@ -427,7 +532,7 @@ class ComplexVimToken extends VimToken {
   /**
    * Recursively render token structure with character-level cursor
    */
-  renderTokenStructureWithCursor(structure, cursorPosition, cursorClass, currentPos = this.start, cursorApplied) {
+  renderTokenStructureWithCursor(structure, cursorPosition, cursorClass, currentPos = this.start, cursorApplied, scopes = [this.prismClasses || []]) {
     // Ensure cursorApplied has a valid default value
     if (!cursorApplied) {
       cursorApplied = {applied: false};
@@ -448,13 +553,13 @@ class ComplexVimToken extends VimToken {
               char,
               currentStructureType: structure
             });
-            result += this.renderEnhancedCursorForComplexToken(escapedChar, ['token']);
+            result += this.decorateChar(charPos, this.renderEnhancedCursorForComplexToken(escapedChar, scopes));
           } else {
-            result += `<span class="${cursorClass}">${escapedChar}</span>`;
+            result += this.decorateChar(charPos, `<span class="${cursorClass}">${escapedChar}</span>`);
           }
           cursorApplied.applied = true; // Mark cursor as applied
         } else {
-          result += escapedChar;
+          result += this.decorateChar(charPos, escapedChar);
         }
       }
 
@@ -485,10 +590,10 @@ class ComplexVimToken extends VimToken {
       let pos = currentPos;
 
       if (typeof structure.content === 'string') {
-        content = this.renderTokenStructureWithCursor(structure.content, cursorPosition, cursorClass, pos, cursorApplied);
+        content = this.renderTokenStructureWithCursor(structure.content, cursorPosition, cursorClass, pos, cursorApplied, [...scopes, classes]);
       } else if (Array.isArray(structure.content)) {
         for (const item of structure.content) {
-          const itemContent = this.renderTokenStructureWithCursor(item, cursorPosition, cursorClass, pos, cursorApplied);
+          const itemContent = this.renderTokenStructureWithCursor(item, cursorPosition, cursorClass, pos, cursorApplied, [...scopes, classes]);
           content += itemContent;
 
           // Update position based on the actual content length (recursive calculation)
@@ -504,7 +609,7 @@ class ComplexVimToken extends VimToken {
         cursorApplied.applied = true; // Mark cursor as applied
       }
 
-      return `<span class="${classes.join(' ')}">${content}</span>`;
+      return `<span class="${classes.join(' ')}"${this.getCaptureAttribute(structure.capture)}>${content}</span>`;
     }
 
     return '';
@@ -513,7 +618,7 @@ class ComplexVimToken extends VimToken {
   /**
    * Recursively render token structure with character-level selection
    */
-  renderTokenStructureWithSelection(structure, selectionStart, selectionEnd, lastSelectedPosition, currentPos = this.start) {
+  renderTokenStructureWithSelection(structure, ranges, lastSelectedPosition, currentPos = this.start, scopes = [this.prismClasses || []]) {
     if (typeof structure === 'string') {
       let result = '';
 
@@ -522,14 +627,15 @@ class ComplexVimToken extends VimToken {
         const char = structure[i];
         const escapedChar = this.escapeHtml(char);
 
-        if (charPos >= selectionStart && charPos < selectionEnd) {
+        if (this.isInSelectionRanges(charPos, ranges)) {
           if (charPos === lastSelectedPosition) {
-            result += `<span class="visual-block-cursor">${escapedChar}</span>`;
+            const style = Colorscheme.getActive().getCursorTextStyle(scopes);
+            result += this.decorateChar(charPos, `<span class="visual-block-cursor" style="${style}">${escapedChar}</span>`);
           } else {
-            result += `<span class="visual-selection">${escapedChar}</span>`;
+            result += this.decorateChar(charPos, `<span class="visual-selection">${escapedChar}</span>`);
           }
         } else {
-          result += escapedChar;
+          result += this.decorateChar(charPos, escapedChar);
         }
       }
 
@@ -553,10 +659,10 @@ class ComplexVimToken extends VimToken {
       let pos = currentPos;
 
       if (typeof structure.content === 'string') {
-        content = this.renderTokenStructureWithSelection(structure.content, selectionStart, selectionEnd, lastSelectedPosition, pos);
+        content = this.renderTokenStructureWithSelection(structure.content, ranges, lastSelectedPosition, pos, [...scopes, classes]);
       } else if (Array.isArray(structure.content)) {
         for (const item of structure.content) {
-          const itemContent = this.renderTokenStructureWithSelection(item, selectionStart, selectionEnd, lastSelectedPosition, pos);
+          const itemContent = this.renderTokenStructureWithSelection(item, ranges, lastSelectedPosition, pos, [...scopes, classes]);
           content += itemContent;
 
           // Update position based on the actual content length (recursive calculation)
@@ -564,7 +670,7 @@ class ComplexVimToken extends VimToken {
         }
       }
 
-      return `<span class="${classes.join(' ')}">${content}</span>`;
+      return `<span class="${classes.join(' ')}"${this.getCaptureAttribute(structure.capture)}>${content}</span>`;
     }
 
     return '';
@@ -593,6 +699,71 @@ class ComplexVimToken extends VimToken {
     return 0;
   }
 
+  /**
+   * Split at position into two complex tokens, each with its side of the nested
+   * structure; effects already applied (highlights, selections) use buffer
+   * positions, so both halves keep them
+   */
+  splitAt(position) {
+    return [this.slice(this.start, position), this.slice(position, this.end)];
+  }
+
+  slice(start, end) {
+    const from = start - this.start;
+    const to = end - this.start;
+    const piece = new ComplexVimToken(
+      this.type,
+      this.value.substring(from, to),
+      start,
+      end,
+      this.prismToken,
+      this.sliceStructure(this.nestedStructure, from, to)
+    );
+
+    Object.assign(piece, this, {
+      value: piece.value,
+      start,
+      end,
+      nestedStructure: piece.nestedStructure,
+      prismClasses: [...this.prismClasses],
+      highlights: [...this.highlights],
+      highlightRanges: [...this.highlightRanges]
+    });
+    if (this.partialSelectionRanges) {
+      piece.partialSelectionRanges = [...this.partialSelectionRanges];
+    }
+    return piece;
+  }
+
+  /**
+   * The characters [from, to) of a nested structure, keeping every token around them
+   */
+  sliceStructure(structure, from, to) {
+    if (typeof structure === 'string') {
+      return structure.substring(from, to);
+    }
+    if (!structure || typeof structure !== 'object') {
+      return structure;
+    }
+
+    let content = structure.content;
+    if (typeof content === 'string') {
+      content = content.substring(from, to);
+    } else if (Array.isArray(content)) {
+      content = [];
+      let pos = 0;
+      for (const item of structure.content) {
+        const length = this.calculateContentLength(item);
+        if (pos + length > from && pos < to) {
+          content.push(this.sliceStructure(item, Math.max(0, from - pos), Math.min(length, to - pos)));
+        }
+        pos += length;
+      }
+    }
+
+    return { ...structure, content };
+  }
+
   /**
    * Check if this token can be split for Vim effects
    * Complex tokens generally should not be split to preserve syntax highlighting
@@ -664,6 +835,7 @@ class PrismVimHighlighter {
 
       // Use Prism to tokenize
       const prismTokens = Prism.tokenize(code, Prism.languages[this.language]);
+      this.markBrackets(prismTokens);
 
       // === DEBUG TOKENS PRISM ===
       console.group('🧩 [DEBUG PRISM TOKENS] Raw Prism Output');
@@ -697,6 +869,12 @@ class PrismVimHighlighter {
 
       // Convert to VimTokens with position tracking
       const vimTokens = this.convertPrismTokensToVim(prismTokens, code);
+      this.assignCaptures(vimTokens.map(token => ({
+        token,
+        node: token.nestedStructure || null,
+        classes: token.prismClasses,
+        text: token.value
+      })));
 
       // === DEBUG VIM TOKENS ===
       console.group('⚡ [DEBUG VIM TOKENS] Conversion Results');
@@ -928,6 +1106,93 @@ class PrismVimHighlighter {
     return Array.isArray(token.content);
   }
   
+  /**
+   * Punctuation tokens made of brackets get the "bracket" alias, so their
+   * classes (and captures) tell them apart from delimiters like , ; .
+   */
+  markBrackets(tokens) {
+    tokens.forEach(token => {
+      if (typeof token === 'string') return;
+
+      if (token.type === 'punctuation' && typeof token.content === 'string' && /^[()[\]{}]+$/.test(token.content)) {
+        token.alias = [...[].concat(token.alias || []), 'bracket'];
+      } else if (Array.isArray(token.content)) {
+        this.markBrackets(token.content);
+      }
+    });
+  }
+
+  /**
+   * Tree-sitter capture names for a row of sibling tokens ({ token?, node?,
+   * classes, text }), then for the Prism tokens nested in each of them, so
+   * renderTokenStructure finds them on every level
+   */
+  assignCaptures(items) {
+    const texts = items.map(item => item.text);
+
+    items.forEach((item, i) => {
+      const capture = item.classes.length > 0
+        ? this.getCaptureName(item.classes, item.text, this.getNeighbourText(texts, i, -1), this.getNeighbourText(texts, i, 1))
+        : null;
+      if (item.token) item.token.capture = capture;
+      if (item.node) item.node.capture = capture;
+
+      if (item.node && Array.isArray(item.node.content)) {
+        this.assignCaptures(item.node.content.map(child => typeof child === 'string'
+          ? { classes: [], text: child }
+          : { node: child, classes: ['token', child.type, ...(child.alias ? [].concat(child.alias) : [])], text: this.extractTokenText(child) }));
+      }
+    });
+  }
+
+  /**
+   * Capture of a token ('token', type, aliases) as nvim-treesitter names it:
+   * the first class with a capture (PRISM_CAPTURES, then EXTRA_CAPTURES),
+   * refined by the token's text and by the nearest non-blank text before and
+   * after it (return -> @keyword.return, foo( -> @function.call,
+   * obj.foo( -> @function.method.call, new Foo -> @constructor)
+   */
+  getCaptureName(classes, text, previous = '', next = '') {
+    const name = classes.find(cls => cls !== 'token' && (EXTRA_CAPTURES[cls] || PRISM_CAPTURES[cls]));
+    if (!name) {
+      return null;
+    }
+
+    const capture = EXTRA_CAPTURES[name] || PRISM_CAPTURES[name];
+    const word = text.trim();
+    const previousWord = previous.split(/[^\w$]+/).pop();
+
+    switch (capture) {
+      case '@keyword':
+      case '@boolean':
+        return KEYWORD_CAPTURES[word] || capture;
+      case '@function':
+      case '@function.method':
+        // foo( is a call unless a definition keyword comes first; obj.foo( is a method call
+        if (!next.startsWith('(') || DEFINITION_KEYWORDS.includes(previousWord)) {
+          return capture;
+        }
+        return previous.endsWith('.') ? '@function.method.call' : '@function.call';
+      case '@type':
+        return previousWord === 'new' ? '@constructor' : capture;
+      case '@type.builtin':
+        return next.startsWith('(') ? '@function.builtin' : capture;
+      case '@punctuation.delimiter':
+        return classes.includes('bracket') ? '@punctuation.bracket' : capture;
+      default:
+        return capture;
+    }
+  }
+
+  getNeighbourText(texts, index, step) {
+    for (let i = index + step; i >= 0 && i < texts.length; i += step) {
+      if (texts[i].trim() !== '') {
+        return step < 0 ? texts[i].trimEnd() : texts[i].trimStart();
+      }
+    }
+    return '';
+  }
+
   /**
    * Fallback tokenization when Prism is not available
    */
@@ -1016,8 +1281,13 @@ class PrismVimHighlighter {
       return '<span class="cursor-insert"></span>';
     }
 
+    if (vimToken.isLastSelectedChar) {
+      const style = Colorscheme.getActive().getCursorTextStyle([classes]);
+      return `<span class="${classes.join(' ')}"${vimToken.getCaptureAttribute()} style="${style}">${escapedValue}</span>`;
+    }
+
     if (classes.length > 0) {
-      return `<span class="${classes.join(' ')}">${escapedValue}</span>`;
+      return `<span class="${classes.join(' ')}"${vimToken.getCaptureAttribute()}>${escapedValue}</span>`;
     }
 
     return escapedValue;
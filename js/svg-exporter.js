@@ -0,0 +1,259 @@
+// Animated SVG export for VimCraft
+// Turns rendered frames (KeystrokeTimeline output or plain HTML strings) into one
+// self-contained SVG: the frames sit in a <foreignObject> and CSS keyframes show
+// them one after another. Colors and cursor animations are inlined, so the file
+// needs neither JavaScript nor the stylesheets of this page.
+
+import { CssCollector } from './css-collector.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SVG_SCOPE_CLASS = 'vimcraft-svg';
+
+const DEFAULT_SVG_OPTIONS = {
+  frameDuration: 700,      // ms each frame stays on screen
+  lastFrameDuration: 2000, // ms the final state is held before looping
+  fontSize: 14,
+  lineHeight: 1.5,
+  padding: 16,
+  statusBarHeight: 24,
+  tabSize: 4,
+  fontFamily: "'JetBrains Mono', 'Fira Code', Consolas, monospace",
+  background: '#1d2021',
+  foreground: '#ebdbb2'
+};
+
+// XML only knows five named entities; everything else must be numeric
+const XML_ENTITY_REPLACEMENTS = {
+  '&nbsp;': '&#160;'
+};
+
+class AnimatedSvgExporter {
+  constructor(options = {}, cssCollector = new CssCollector()) {
+    this.options = { ...DEFAULT_SVG_OPTIONS, ...options };
+    this.cssCollector = cssCollector;
+  }
+
+  /**
+   * frames: [{ html, text? }] or HTML strings. Returns the SVG markup.
+   */
+  export(frames) {
+    const normalized = frames.map(frame => (typeof frame === 'string' ? { html: frame } : frame));
+    if (normalized.length === 0) {
+      throw new Error('Cannot export an empty frame list');
+    }
+
+    const { width, height } = this.measure(normalized);
+    const durations = this.getDurations(normalized.length);
+    const totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+    const allHtml = normalized.map(frame => frame.html).join('\n');
+
+    const css = [
+      this.getBaseCss(width, height),
+      this.cssCollector.collect(allHtml, `.${SVG_SCOPE_CLASS}`),
+      this.getFrameAnimationCss(durations, totalDuration)
+    ].join('\n');
+
+    const frameMarkup = normalized
+      .map((frame, i) => `<div class="vc-frame vc-frame-${i}">${this.toXhtml(frame.html)}</div>`)
+      .join('\n');
+
+    console.log('🎞️ [SVG EXPORT DEBUG] Exported animated SVG', {
+      frames: normalized.length,
+      width,
+      height,
+      totalDuration
+    });
+
+    return [
+      `<svg xmlns="${SVG_NAMESPACE}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<style>${this.escapeCData(css)}</style>`,
+      `<foreignObject x="0" y="0" width="${width}" height="${height}">`,
+      `<div xmlns="${XHTML_NAMESPACE}" class="${SVG_SCOPE_CLASS}">`,
+      frameMarkup,
+      '</div>',
+      '</foreignObject>',
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Size the picture from the longest line and the most lines of any frame
+   */
+  measure(frames) {
+    const { fontSize, lineHeight, padding, statusBarHeight, tabSize } = this.options;
+    let columns = 1;
+    let rows = 1;
+    let statusRows = 1;
+
+    for (const frame of frames) {
+      // Diagnostic virtual text makes rows longer than the buffer text
+      const hasVirtualText = frame.html.includes('DiagnosticVirtualText');
+      const text = frame.text !== undefined && !hasVirtualText ? frame.text : this.getBufferText(frame.html);
+      const lines = text.replace(/\n$/, '').split('\n');
+      rows = Math.max(rows, lines.length);
+      // Statusline presets add their row above the message row
+      statusRows = Math.max(statusRows, frame.html.includes('statusline-row') ? 2 : 1);
+      const gutterColumns = this.getGutterColumns(frame.html);
+      for (const line of lines) {
+        columns = Math.max(columns, gutterColumns + line.replace(/\t/g, ' '.repeat(tabSize)).length + 1);
+      }
+
+      // The completion popup and floating windows may hang below the last line or past the longest one
+      for (const popup of this.getPopupExtents(frame.html)) {
+        rows = Math.max(rows, popup.rows);
+        columns = Math.max(columns, gutterColumns + popup.columns + 1);
+      }
+    }
+
+    // Monospace glyphs are about 0.6em wide
+    const width = Math.ceil(columns * fontSize * 0.6 + padding * 2);
+    const height = Math.ceil(rows * fontSize * lineHeight + padding * 2 + statusBarHeight * statusRows);
+    return { width, height };
+  }
+
+  /**
+   * Width of the sign column and line number gutter, when the frame was rendered with them
+   */
+  getGutterColumns(html) {
+    const sign = html.match(/<span class="SignColumn[^"]*">([^<]*)<\/span>/);
+    const number = html.match(/<span class="(?:CursorLineNr|LineNr)">([^<]*)<\/span>/);
+    return (sign ? sign[1].length : 0) + (number ? number[1].length : 0);
+  }
+
+  /**
+   * Last row and column reached by the completion popup and the buffer floats
+   * (from the data-rows / data-columns of their anchors)
+   */
+  getPopupExtents(html) {
+    const anchors = html.matchAll(/<span class="(?:pmenu|float)-anchor" data-rows="(\d+)" data-columns="(-?\d+)">/g);
+    return Array.from(anchors, match => {
+      const linesBefore = this.getBufferText(html.substring(0, match.index)).split('\n');
+      const column = linesBefore[linesBefore.length - 1].replace(/\t/g, ' '.repeat(this.options.tabSize)).length;
+      return {
+        rows: linesBefore.length + parseInt(match[1], 10),
+        columns: column + parseInt(match[2], 10)
+      };
+    });
+  }
+
+  /**
+   * Buffer text of a rendered frame (tags, gutter, popups, floats and the status row removed)
+   */
+  getBufferText(html) {
+    return this.removePopups(html)
+      .replace(/<div class="float-editor-layer">[\s\S]*?<\/span><\/div>/, '')
+      .replace(/<div class="status-bar-ide[\s\S]*$/, '')
+      .replace(/<span class="(?:CursorLineNr|LineNr|SignColumn[^"]*)">[^<]*<\/span>/g, '')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Drop the completion popup and buffer float elements (their spans nest, so count them)
+   */
+  removePopups(html) {
+    const start = html.search(/<span class="(?:pmenu|float)-anchor"/);
+    if (start === -1) {
+      return html;
+    }
+
+    const tags = /<(\/?)span\b[^>]*>/g;
+    tags.lastIndex = start;
+    let depth = 0;
+    let match;
+    while ((match = tags.exec(html))) {
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        return this.removePopups(html.substring(0, start) + html.substring(tags.lastIndex));
+      }
+    }
+    return html.substring(0, start);
+  }
+
+  getDurations(frameCount) {
+    const durations = new Array(frameCount).fill(this.options.frameDuration);
+    durations[frameCount - 1] = this.options.lastFrameDuration;
+    return durations;
+  }
+
+  getBaseCss(width, height) {
+    const { fontSize, lineHeight, padding, statusBarHeight, tabSize, fontFamily, background, foreground } = this.options;
+
+    return `.${SVG_SCOPE_CLASS} {
+  position: relative;
+  width: ${width}px;
+  height: ${height}px;
+  margin: 0;
+  background: ${background};
+  color: ${foreground};
+  font-family: ${fontFamily};
+  font-size: ${fontSize}px;
+  line-height: ${lineHeight};
+  tab-size: ${tabSize};
+  overflow: hidden;
+}
+.${SVG_SCOPE_CLASS} .vc-frame {
+  position: absolute;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  box-sizing: border-box;
+  padding: ${padding}px ${padding}px ${padding + statusBarHeight}px;
+  white-space: pre;
+  visibility: hidden;
+}`;
+  }
+
+  /**
+   * One keyframes block per frame: visible during its slot of the loop, hidden otherwise
+   */
+  getFrameAnimationCss(durations, totalDuration) {
+    if (durations.length === 1) {
+      return `.${SVG_SCOPE_CLASS} .vc-frame-0 { visibility: visible; }`;
+    }
+
+    const toPercent = value => `${((value / totalDuration) * 100).toFixed(3)}%`;
+    const blocks = [];
+    let elapsed = 0;
+
+    durations.forEach((duration, i) => {
+      const start = elapsed;
+      const end = elapsed + duration;
+      const steps = [];
+
+      if (start > 0) steps.push(`0% { visibility: hidden; }`);
+      steps.push(`${toPercent(start)} { visibility: visible; }`);
+      if (end < totalDuration) steps.push(`${toPercent(end)} { visibility: hidden; }`);
+      steps.push(`100% { visibility: ${end < totalDuration ? 'hidden' : 'visible'}; }`);
+
+      blocks.push(`@keyframes vc-frame-${i} { ${steps.join(' ')} }`);
+      blocks.push(`.${SVG_SCOPE_CLASS} .vc-frame-${i} { animation: vc-frame-${i} ${totalDuration}ms step-end infinite; }`);
+      elapsed = end;
+    });
+
+    return blocks.join('\n');
+  }
+
+  /**
+   * Rendered HTML is HTML, not XML: make it well-formed for the foreignObject
+   */
+  toXhtml(html) {
+    return Object.entries(XML_ENTITY_REPLACEMENTS)
+      .reduce((markup, [entity, replacement]) => markup.split(entity).join(replacement), html);
+  }
+
+  escapeCData(css) {
+    return `<![CDATA[\n${css.replace(/]]>/g, ']]]]><![CDATA[>')}\n]]>`;
+  }
+}
+
+// Export for ES module usage
+export {
+    AnimatedSvgExporter
+};
@@ -0,0 +1,138 @@
+// Timeline player for VimCraft
+// Shows KeystrokeTimeline frames one at a time with step / play controls
+// and a screencast-style caption of the keys being pressed
+
+// How special keys are shown in the caption
+const KEY_LABELS = {
+  ' ': '␣',
+  '<Esc>': 'Esc',
+  '<CR>': '↵',
+  '<BS>': '⌫',
+  '<Del>': 'Del',
+  '<Tab>': '⇥',
+  '<Left>': '←',
+  '<Right>': '→',
+  '<Up>': '↑',
+  '<Down>': '↓',
+  '<C-v>': 'Ctrl-V',
+  '<C-r>': 'Ctrl-R',
+  '<C-w>': 'Ctrl-W'
+};
+
+const DEFAULT_FRAME_DELAY = 700; // ms between frames while playing
+
+class TimelinePlayer {
+  /**
+   * elements: { screen, caption, counter, firstButton, prevButton, playButton, nextButton }
+   */
+  constructor(elements, options = {}) {
+    this.elements = elements;
+    this.frameDelay = options.frameDelay || DEFAULT_FRAME_DELAY;
+    this.frames = [];
+    this.index = 0;
+    this.timer = null;
+    this.initEventListeners();
+  }
+
+  initEventListeners() {
+    this.elements.firstButton.addEventListener('click', () => this.goTo(0));
+    this.elements.prevButton.addEventListener('click', () => this.stepBack());
+    this.elements.playButton.addEventListener('click', () => this.togglePlay());
+    this.elements.nextButton.addEventListener('click', () => this.stepForward());
+  }
+
+  load(frames) {
+    this.pause();
+    this.frames = frames;
+    this.goTo(0);
+  }
+
+  goTo(index) {
+    if (this.frames.length === 0) return;
+    this.index = Math.max(0, Math.min(index, this.frames.length - 1));
+    this.render();
+  }
+
+  stepForward() {
+    this.pause();
+    this.goTo(this.index + 1);
+  }
+
+  stepBack() {
+    this.pause();
+    this.goTo(this.index - 1);
+  }
+
+  togglePlay() {
+    if (this.timer) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    if (this.frames.length === 0) return;
+
+    // Playing from the last frame starts over
+    if (this.index >= this.frames.length - 1) {
+      this.goTo(0);
+    }
+
+    this.timer = setInterval(() => {
+      if (this.index >= this.frames.length - 1) {
+        this.pause();
+        return;
+      }
+      this.goTo(this.index + 1);
+    }, this.frameDelay);
+    this.updatePlayButton();
+  }
+
+  pause() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.updatePlayButton();
+  }
+
+  render() {
+    const frame = this.frames[this.index];
+    this.elements.screen.innerHTML = frame.html;
+    this.elements.counter.textContent = `${this.index} / ${this.frames.length - 1}`;
+    this.renderCaption(frame);
+    this.elements.prevButton.disabled = this.index === 0;
+    this.elements.nextButton.disabled = this.index === this.frames.length - 1;
+  }
+
+  /**
+   * Caption: keys of the current command, the key just pressed highlighted
+   */
+  renderCaption(frame) {
+    const caption = this.elements.caption;
+    caption.innerHTML = '';
+
+    frame.caption.forEach((key, i) => {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = KEY_LABELS[key] || key;
+      if (i === frame.caption.length - 1) {
+        kbd.className = 'keystroke-current';
+      }
+      caption.appendChild(kbd);
+    });
+
+    caption.style.visibility = frame.caption.length > 0 ? 'visible' : 'hidden';
+  }
+
+  updatePlayButton() {
+    const playing = this.timer !== null;
+    this.elements.playButton.textContent = playing ? '⏸' : '▶';
+    this.elements.playButton.title = playing ? 'Pause' : 'Play';
+  }
+}
+
+// Export for ES module usage
+export {
+    TimelinePlayer
+};
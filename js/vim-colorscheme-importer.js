@@ -0,0 +1,762 @@
+// Colorscheme importer for VimCraft
+// Reads a colorscheme file (colors/*.vim or colors/*.lua) in the browser and
+// turns its highlight commands into a Colorscheme: `hi Group guifg=… gui=…`,
+// `hi link` / `hi def link`, `vim.api.nvim_set_hl(0, 'Group', {...})` and the
+// Vim commands inside `vim.cmd`. Groups the file does not set keep Neovim's
+// default colors, as after `:hi clear`; nothing is evaluated, so the report
+// lists the groups and lines that could not be resolved.
+
+import { Colorscheme, RENDERED_GROUPS } from './vim-colorscheme.js';
+
+const HIGHLIGHT_COMMAND = /^:?\s*(?:hi|hig|high|highl|highli|highlig|highlight)!?\s+(.*)$/;
+const HIGHLIGHT_ARGUMENT = /(\w+)=('[^']*'|"[^"]*"|\S+)|(\S+)/g;
+
+// gui= / cterm= attributes and nvim_set_hl keys that VimCraft draws
+const ATTRIBUTES = ['bold', 'italic', 'underline', 'undercurl', 'reverse'];
+const ATTRIBUTE_ALIASES = { 'inverse': 'reverse', 'standout': 'reverse' };
+
+// Lua option keys -> group attribute
+const LUA_COLOR_KEYS = {
+  'fg': 'fg', 'foreground': 'fg',
+  'bg': 'bg', 'background': 'bg',
+  'sp': 'sp', 'special': 'sp'
+};
+
+// Vim's color names: the v:colornames base set (colors/lists/default.vim,
+// from X11's rgb.txt), spaces removed, as toColor drops them
+const VIM_COLOR_NAMES = {
+  'snow': '#fffafa', 'ghostwhite': '#f8f8ff', 'whitesmoke': '#f5f5f5', 'gainsboro': '#dcdcdc',
+  'floralwhite': '#fffaf0', 'oldlace': '#fdf5e6', 'linen': '#faf0e6', 'antiquewhite': '#faebd7',
+  'papayawhip': '#ffefd5', 'blanchedalmond': '#ffebcd', 'bisque': '#ffe4c4',
+  'peachpuff': '#ffdab9', 'navajowhite': '#ffdead', 'moccasin': '#ffe4b5', 'cornsilk': '#fff8dc',
+  'ivory': '#fffff0', 'lemonchiffon': '#fffacd', 'seashell': '#fff5ee', 'honeydew': '#f0fff0',
+  'mintcream': '#f5fffa', 'azure': '#f0ffff', 'aliceblue': '#f0f8ff', 'lavender': '#e6e6fa',
+  'lavenderblush': '#fff0f5', 'mistyrose': '#ffe4e1', 'white': '#ffffff', 'black': '#000000',
+  'darkslategray': '#2f4f4f', 'darkslategrey': '#2f4f4f', 'dimgray': '#696969',
+  'dimgrey': '#696969', 'slategray': '#708090', 'slategrey': '#708090',
+  'lightslategray': '#778899', 'lightslategrey': '#778899', 'gray': '#bebebe', 'grey': '#bebebe',
+  'x11gray': '#bebebe', 'x11grey': '#bebebe', 'webgray': '#808080', 'webgrey': '#808080',
+  'lightgrey': '#d3d3d3', 'lightgray': '#d3d3d3', 'midnightblue': '#191970', 'navy': '#000080',
+  'navyblue': '#000080', 'cornflowerblue': '#6495ed', 'darkslateblue': '#483d8b',
+  'slateblue': '#6a5acd', 'mediumslateblue': '#7b68ee', 'lightslateblue': '#8470ff',
+  'mediumblue': '#0000cd', 'royalblue': '#4169e1', 'blue': '#0000ff', 'dodgerblue': '#1e90ff',
+  'deepskyblue': '#00bfff', 'skyblue': '#87ceeb', 'lightskyblue': '#87cefa',
+  'steelblue': '#4682b4', 'lightsteelblue': '#b0c4de', 'lightblue': '#add8e6',
+  'powderblue': '#b0e0e6', 'paleturquoise': '#afeeee', 'darkturquoise': '#00ced1',
+  'mediumturquoise': '#48d1cc', 'turquoise': '#40e0d0', 'cyan': '#00ffff', 'aqua': '#00ffff',
+  'lightcyan': '#e0ffff', 'cadetblue': '#5f9ea0', 'mediumaquamarine': '#66cdaa',
+  'aquamarine': '#7fffd4', 'darkgreen': '#006400', 'darkolivegreen': '#556b2f',
+  'darkseagreen': '#8fbc8f', 'seagreen': '#2e8b57', 'mediumseagreen': '#3cb371',
+  'lightseagreen': '#20b2aa', 'palegreen': '#98fb98', 'springgreen': '#00ff7f',
+  'lawngreen': '#7cfc00', 'green': '#00ff00', 'lime': '#00ff00', 'x11green': '#00ff00',
+  'webgreen': '#008000', 'chartreuse': '#7fff00', 'mediumspringgreen': '#00fa9a',
+  'greenyellow': '#adff2f', 'limegreen': '#32cd32', 'yellowgreen': '#9acd32',
+  'forestgreen': '#228b22', 'olivedrab': '#6b8e23', 'darkkhaki': '#bdb76b', 'khaki': '#f0e68c',
+  'palegoldenrod': '#eee8aa', 'lightgoldenrodyellow': '#fafad2', 'lightyellow': '#ffffe0',
+  'yellow': '#ffff00', 'gold': '#ffd700', 'lightgoldenrod': '#eedd82', 'goldenrod': '#daa520',
+  'darkgoldenrod': '#b8860b', 'rosybrown': '#bc8f8f', 'indianred': '#cd5c5c',
+  'saddlebrown': '#8b4513', 'sienna': '#a0522d', 'peru': '#cd853f', 'burlywood': '#deb887',
+  'beige': '#f5f5dc', 'wheat': '#f5deb3', 'sandybrown': '#f4a460', 'tan': '#d2b48c',
+  'chocolate': '#d2691e', 'firebrick': '#b22222', 'brown': '#a52a2a', 'darksalmon': '#e9967a',
+  'salmon': '#fa8072', 'lightsalmon': '#ffa07a', 'orange': '#ffa500', 'darkorange': '#ff8c00',
+  'coral': '#ff7f50', 'lightcoral': '#f08080', 'tomato': '#ff6347', 'orangered': '#ff4500',
+  'red': '#ff0000', 'hotpink': '#ff69b4', 'deeppink': '#ff1493', 'pink': '#ffc0cb',
+  'lightpink': '#ffb6c1', 'palevioletred': '#db7093', 'maroon': '#b03060', 'x11maroon': '#b03060',
+  'webmaroon': '#800000', 'mediumvioletred': '#c71585', 'violetred': '#d02090',
+  'magenta': '#ff00ff', 'fuchsia': '#ff00ff', 'violet': '#ee82ee', 'plum': '#dda0dd',
+  'orchid': '#da70d6', 'mediumorchid': '#ba55d3', 'darkorchid': '#9932cc', 'darkviolet': '#9400d3',
+  'blueviolet': '#8a2be2', 'purple': '#a020f0', 'x11purple': '#a020f0', 'webpurple': '#800080',
+  'mediumpurple': '#9370db', 'thistle': '#d8bfd8', 'snow1': '#fffafa', 'snow2': '#eee9e9',
+  'snow3': '#cdc9c9', 'snow4': '#8b8989', 'seashell1': '#fff5ee', 'seashell2': '#eee5de',
+  'seashell3': '#cdc5bf', 'seashell4': '#8b8682', 'antiquewhite1': '#ffefdb',
+  'antiquewhite2': '#eedfcc', 'antiquewhite3': '#cdc0b0', 'antiquewhite4': '#8b8378',
+  'bisque1': '#ffe4c4', 'bisque2': '#eed5b7', 'bisque3': '#cdb79e', 'bisque4': '#8b7d6b',
+  'peachpuff1': '#ffdab9', 'peachpuff2': '#eecbad', 'peachpuff3': '#cdaf95',
+  'peachpuff4': '#8b7765', 'navajowhite1': '#ffdead', 'navajowhite2': '#eecfa1',
+  'navajowhite3': '#cdb38b', 'navajowhite4': '#8b795e', 'lemonchiffon1': '#fffacd',
+  'lemonchiffon2': '#eee9bf', 'lemonchiffon3': '#cdc9a5', 'lemonchiffon4': '#8b8970',
+  'cornsilk1': '#fff8dc', 'cornsilk2': '#eee8cd', 'cornsilk3': '#cdc8b1', 'cornsilk4': '#8b8878',
+  'ivory1': '#fffff0', 'ivory2': '#eeeee0', 'ivory3': '#cdcdc1', 'ivory4': '#8b8b83',
+  'honeydew1': '#f0fff0', 'honeydew2': '#e0eee0', 'honeydew3': '#c1cdc1', 'honeydew4': '#838b83',
+  'lavenderblush1': '#fff0f5', 'lavenderblush2': '#eee0e5', 'lavenderblush3': '#cdc1c5',
+  'lavenderblush4': '#8b8386', 'mistyrose1': '#ffe4e1', 'mistyrose2': '#eed5d2',
+  'mistyrose3': '#cdb7b5', 'mistyrose4': '#8b7d7b', 'azure1': '#f0ffff', 'azure2': '#e0eeee',
+  'azure3': '#c1cdcd', 'azure4': '#838b8b', 'slateblue1': '#836fff', 'slateblue2': '#7a67ee',
+  'slateblue3': '#6959cd', 'slateblue4': '#473c8b', 'royalblue1': '#4876ff',
+  'royalblue2': '#436eee', 'royalblue3': '#3a5fcd', 'royalblue4': '#27408b', 'blue1': '#0000ff',
+  'blue2': '#0000ee', 'blue3': '#0000cd', 'blue4': '#00008b', 'dodgerblue1': '#1e90ff',
+  'dodgerblue2': '#1c86ee', 'dodgerblue3': '#1874cd', 'dodgerblue4': '#104e8b',
+  'steelblue1': '#63b8ff', 'steelblue2': '#5cacee', 'steelblue3': '#4f94cd',
+  'steelblue4': '#36648b', 'deepskyblue1': '#00bfff', 'deepskyblue2': '#00b2ee',
+  'deepskyblue3': '#009acd', 'deepskyblue4': '#00688b', 'skyblue1': '#87ceff',
+  'skyblue2': '#7ec0ee', 'skyblue3': '#6ca6cd', 'skyblue4': '#4a708b', 'lightskyblue1': '#b0e2ff',
+  'lightskyblue2': '#a4d3ee', 'lightskyblue3': '#8db6cd', 'lightskyblue4': '#607b8b',
+  'slategray1': '#c6e2ff', 'slategray2': '#b9d3ee', 'slategray3': '#9fb6cd',
+  'slategray4': '#6c7b8b', 'lightsteelblue1': '#cae1ff', 'lightsteelblue2': '#bcd2ee',
+  'lightsteelblue3': '#a2b5cd', 'lightsteelblue4': '#6e7b8b', 'lightblue1': '#bfefff',
+  'lightblue2': '#b2dfee', 'lightblue3': '#9ac0cd', 'lightblue4': '#68838b',
+  'lightcyan1': '#e0ffff', 'lightcyan2': '#d1eeee', 'lightcyan3': '#b4cdcd',
+  'lightcyan4': '#7a8b8b', 'paleturquoise1': '#bbffff', 'paleturquoise2': '#aeeeee',
+  'paleturquoise3': '#96cdcd', 'paleturquoise4': '#668b8b', 'cadetblue1': '#98f5ff',
+  'cadetblue2': '#8ee5ee', 'cadetblue3': '#7ac5cd', 'cadetblue4': '#53868b',
+  'turquoise1': '#00f5ff', 'turquoise2': '#00e5ee', 'turquoise3': '#00c5cd',
+  'turquoise4': '#00868b', 'cyan1': '#00ffff', 'cyan2': '#00eeee', 'cyan3': '#00cdcd',
+  'cyan4': '#008b8b', 'darkslategray1': '#97ffff', 'darkslategray2': '#8deeee',
+  'darkslategray3': '#79cdcd', 'darkslategray4': '#528b8b', 'aquamarine1': '#7fffd4',
+  'aquamarine2': '#76eec6', 'aquamarine3': '#66cdaa', 'aquamarine4': '#458b74',
+  'darkseagreen1': '#c1ffc1', 'darkseagreen2': '#b4eeb4', 'darkseagreen3': '#9bcd9b',
+  'darkseagreen4': '#698b69', 'seagreen1': '#54ff9f', 'seagreen2': '#4eee94',
+  'seagreen3': '#43cd80', 'seagreen4': '#2e8b57', 'palegreen1': '#9aff9a', 'palegreen2': '#90ee90',
+  'palegreen3': '#7ccd7c', 'palegreen4': '#548b54', 'springgreen1': '#00ff7f',
+  'springgreen2': '#00ee76', 'springgreen3': '#00cd66', 'springgreen4': '#008b45',
+  'green1': '#00ff00', 'green2': '#00ee00', 'green3': '#00cd00', 'green4': '#008b00',
+  'chartreuse1': '#7fff00', 'chartreuse2': '#76ee00', 'chartreuse3': '#66cd00',
+  'chartreuse4': '#458b00', 'olivedrab1': '#c0ff3e', 'olivedrab2': '#b3ee3a',
+  'olivedrab3': '#9acd32', 'olivedrab4': '#698b22', 'darkolivegreen1': '#caff70',
+  'darkolivegreen2': '#bcee68', 'darkolivegreen3': '#a2cd5a', 'darkolivegreen4': '#6e8b3d',
+  'khaki1': '#fff68f', 'khaki2': '#eee685', 'khaki3': '#cdc673', 'khaki4': '#8b864e',
+  'lightgoldenrod1': '#ffec8b', 'lightgoldenrod2': '#eedc82', 'lightgoldenrod3': '#cdbe70',
+  'lightgoldenrod4': '#8b814c', 'lightyellow1': '#ffffe0', 'lightyellow2': '#eeeed1',
+  'lightyellow3': '#cdcdb4', 'lightyellow4': '#8b8b7a', 'yellow1': '#ffff00', 'yellow2': '#eeee00',
+  'yellow3': '#cdcd00', 'yellow4': '#8b8b00', 'darkyellow': '#8b8b00', 'gold1': '#ffd700',
+  'gold2': '#eec900', 'gold3': '#cdad00', 'gold4': '#8b7500', 'goldenrod1': '#ffc125',
+  'goldenrod2': '#eeb422', 'goldenrod3': '#cd9b1d', 'goldenrod4': '#8b6914',
+  'darkgoldenrod1': '#ffb90f', 'darkgoldenrod2': '#eead0e', 'darkgoldenrod3': '#cd950c',
+  'darkgoldenrod4': '#8b6508', 'rosybrown1': '#ffc1c1', 'rosybrown2': '#eeb4b4',
+  'rosybrown3': '#cd9b9b', 'rosybrown4': '#8b6969', 'indianred1': '#ff6a6a',
+  'indianred2': '#ee6363', 'indianred3': '#cd5555', 'indianred4': '#8b3a3a', 'sienna1': '#ff8247',
+  'sienna2': '#ee7942', 'sienna3': '#cd6839', 'sienna4': '#8b4726', 'burlywood1': '#ffd39b',
+  'burlywood2': '#eec591', 'burlywood3': '#cdaa7d', 'burlywood4': '#8b7355', 'wheat1': '#ffe7ba',
+  'wheat2': '#eed8ae', 'wheat3': '#cdba96', 'wheat4': '#8b7e66', 'tan1': '#ffa54f',
+  'tan2': '#ee9a49', 'tan3': '#cd853f', 'tan4': '#8b5a2b', 'chocolate1': '#ff7f24',
+  'chocolate2': '#ee7621', 'chocolate3': '#cd661d', 'chocolate4': '#8b4513',
+  'firebrick1': '#ff3030', 'firebrick2': '#ee2c2c', 'firebrick3': '#cd2626',
+  'firebrick4': '#8b1a1a', 'brown1': '#ff4040', 'brown2': '#ee3b3b', 'brown3': '#cd3333',
+  'brown4': '#8b2323', 'salmon1': '#ff8c69', 'salmon2': '#ee8262', 'salmon3': '#cd7054',
+  'salmon4': '#8b4c39', 'lightsalmon1': '#ffa07a', 'lightsalmon2': '#ee9572',
+  'lightsalmon3': '#cd8162', 'lightsalmon4': '#8b5742', 'orange1': '#ffa500', 'orange2': '#ee9a00',
+  'orange3': '#cd8500', 'orange4': '#8b5a00', 'darkorange1': '#ff7f00', 'darkorange2': '#ee7600',
+  'darkorange3': '#cd6600', 'darkorange4': '#8b4500', 'coral1': '#ff7256', 'coral2': '#ee6a50',
+  'coral3': '#cd5b45', 'coral4': '#8b3e2f', 'tomato1': '#ff6347', 'tomato2': '#ee5c42',
+  'tomato3': '#cd4f39', 'tomato4': '#8b3626', 'orangered1': '#ff4500', 'orangered2': '#ee4000',
+  'orangered3': '#cd3700', 'orangered4': '#8b2500', 'lightred': '#ff8b8b', 'red1': '#ff0000',
+  'red2': '#ee0000', 'red3': '#cd0000', 'red4': '#8b0000', 'deeppink1': '#ff1493',
+  'deeppink2': '#ee1289', 'deeppink3': '#cd1076', 'deeppink4': '#8b0a50', 'hotpink1': '#ff6eb4',
+  'hotpink2': '#ee6aa7', 'hotpink3': '#cd6090', 'hotpink4': '#8b3a62', 'pink1': '#ffb5c5',
+  'pink2': '#eea9b8', 'pink3': '#cd919e', 'pink4': '#8b636c', 'lightpink1': '#ffaeb9',
+  'lightpink2': '#eea2ad', 'lightpink3': '#cd8c95', 'lightpink4': '#8b5f65',
+  'palevioletred1': '#ff82ab', 'palevioletred2': '#ee799f', 'palevioletred3': '#cd6889',
+  'palevioletred4': '#8b475d', 'maroon1': '#ff34b3', 'maroon2': '#ee30a7', 'maroon3': '#cd2990',
+  'maroon4': '#8b1c62', 'violetred1': '#ff3e96', 'violetred2': '#ee3a8c', 'violetred3': '#cd3278',
+  'violetred4': '#8b2252', 'lightmagenta': '#ff8bff', 'magenta1': '#ff00ff', 'magenta2': '#ee00ee',
+  'magenta3': '#cd00cd', 'magenta4': '#8b008b', 'orchid1': '#ff83fa', 'orchid2': '#ee7ae9',
+  'orchid3': '#cd69c9', 'orchid4': '#8b4789', 'plum1': '#ffbbff', 'plum2': '#eeaeee',
+  'plum3': '#cd96cd', 'plum4': '#8b668b', 'mediumorchid1': '#e066ff', 'mediumorchid2': '#d15fee',
+  'mediumorchid3': '#b452cd', 'mediumorchid4': '#7a378b', 'darkorchid1': '#bf3eff',
+  'darkorchid2': '#b23aee', 'darkorchid3': '#9a32cd', 'darkorchid4': '#68228b',
+  'purple1': '#9b30ff', 'purple2': '#912cee', 'purple3': '#7d26cd', 'purple4': '#551a8b',
+  'mediumpurple1': '#ab82ff', 'mediumpurple2': '#9f79ee', 'mediumpurple3': '#8968cd',
+  'mediumpurple4': '#5d478b', 'thistle1': '#ffe1ff', 'thistle2': '#eed2ee', 'thistle3': '#cdb5cd',
+  'thistle4': '#8b7b8b', 'gray0': '#000000', 'grey0': '#000000', 'gray1': '#030303',
+  'grey1': '#030303', 'gray2': '#050505', 'grey2': '#050505', 'gray3': '#080808',
+  'grey3': '#080808', 'gray4': '#0a0a0a', 'grey4': '#0a0a0a', 'gray5': '#0d0d0d',
+  'grey5': '#0d0d0d', 'gray6': '#0f0f0f', 'grey6': '#0f0f0f', 'gray7': '#121212',
+  'grey7': '#121212', 'gray8': '#141414', 'grey8': '#141414', 'gray9': '#171717',
+  'grey9': '#171717', 'gray10': '#1a1a1a', 'grey10': '#1a1a1a', 'gray11': '#1c1c1c',
+  'grey11': '#1c1c1c', 'gray12': '#1f1f1f', 'grey12': '#1f1f1f', 'gray13': '#212121',
+  'grey13': '#212121', 'gray14': '#242424', 'grey14': '#242424', 'gray15': '#262626',
+  'grey15': '#262626', 'gray16': '#292929', 'grey16': '#292929', 'gray17': '#2b2b2b',
+  'grey17': '#2b2b2b', 'gray18': '#2e2e2e', 'grey18': '#2e2e2e', 'gray19': '#303030',
+  'grey19': '#303030', 'gray20': '#333333', 'grey20': '#333333', 'gray21': '#363636',
+  'grey21': '#363636', 'gray22': '#383838', 'grey22': '#383838', 'gray23': '#3b3b3b',
+  'grey23': '#3b3b3b', 'gray24': '#3d3d3d', 'grey24': '#3d3d3d', 'gray25': '#404040',
+  'grey25': '#404040', 'gray26': '#424242', 'grey26': '#424242', 'gray27': '#454545',
+  'grey27': '#454545', 'gray28': '#474747', 'grey28': '#474747', 'gray29': '#4a4a4a',
+  'grey29': '#4a4a4a', 'gray30': '#4d4d4d', 'grey30': '#4d4d4d', 'gray31': '#4f4f4f',
+  'grey31': '#4f4f4f', 'gray32': '#525252', 'grey32': '#525252', 'gray33': '#545454',
+  'grey33': '#545454', 'gray34': '#575757', 'grey34': '#575757', 'gray35': '#595959',
+  'grey35': '#595959', 'gray36': '#5c5c5c', 'grey36': '#5c5c5c', 'gray37': '#5e5e5e',
+  'grey37': '#5e5e5e', 'gray38': '#616161', 'grey38': '#616161', 'gray39': '#636363',
+  'grey39': '#636363', 'gray40': '#666666', 'grey40': '#666666', 'gray41': '#696969',
+  'grey41': '#696969', 'gray42': '#6b6b6b', 'grey42': '#6b6b6b', 'gray43': '#6e6e6e',
+  'grey43': '#6e6e6e', 'gray44': '#707070', 'grey44': '#707070', 'gray45': '#737373',
+  'grey45': '#737373', 'gray46': '#757575', 'grey46': '#757575', 'gray47': '#787878',
+  'grey47': '#787878', 'gray48': '#7a7a7a', 'grey48': '#7a7a7a', 'gray49': '#7d7d7d',
+  'grey49': '#7d7d7d', 'gray50': '#7f7f7f', 'grey50': '#7f7f7f', 'gray51': '#828282',
+  'grey51': '#828282', 'gray52': '#858585', 'grey52': '#858585', 'gray53': '#878787',
+  'grey53': '#878787', 'gray54': '#8a8a8a', 'grey54': '#8a8a8a', 'gray55': '#8c8c8c',
+  'grey55': '#8c8c8c', 'gray56': '#8f8f8f', 'grey56': '#8f8f8f', 'gray57': '#919191',
+  'grey57': '#919191', 'gray58': '#949494', 'grey58': '#949494', 'gray59': '#969696',
+  'grey59': '#969696', 'gray60': '#999999', 'grey60': '#999999', 'gray61': '#9c9c9c',
+  'grey61': '#9c9c9c', 'gray62': '#9e9e9e', 'grey62': '#9e9e9e', 'gray63': '#a1a1a1',
+  'grey63': '#a1a1a1', 'gray64': '#a3a3a3', 'grey64': '#a3a3a3', 'gray65': '#a6a6a6',
+  'grey65': '#a6a6a6', 'gray66': '#a8a8a8', 'grey66': '#a8a8a8', 'gray67': '#ababab',
+  'grey67': '#ababab', 'gray68': '#adadad', 'grey68': '#adadad', 'gray69': '#b0b0b0',
+  'grey69': '#b0b0b0', 'gray70': '#b3b3b3', 'grey70': '#b3b3b3', 'gray71': '#b5b5b5',
+  'grey71': '#b5b5b5', 'gray72': '#b8b8b8', 'grey72': '#b8b8b8', 'gray73': '#bababa',
+  'grey73': '#bababa', 'gray74': '#bdbdbd', 'grey74': '#bdbdbd', 'gray75': '#bfbfbf',
+  'grey75': '#bfbfbf', 'gray76': '#c2c2c2', 'grey76': '#c2c2c2', 'gray77': '#c4c4c4',
+  'grey77': '#c4c4c4', 'gray78': '#c7c7c7', 'grey78': '#c7c7c7', 'gray79': '#c9c9c9',
+  'grey79': '#c9c9c9', 'gray80': '#cccccc', 'grey80': '#cccccc', 'gray81': '#cfcfcf',
+  'grey81': '#cfcfcf', 'gray82': '#d1d1d1', 'grey82': '#d1d1d1', 'gray83': '#d4d4d4',
+  'grey83': '#d4d4d4', 'gray84': '#d6d6d6', 'grey84': '#d6d6d6', 'gray85': '#d9d9d9',
+  'grey85': '#d9d9d9', 'gray86': '#dbdbdb', 'grey86': '#dbdbdb', 'gray87': '#dedede',
+  'grey87': '#dedede', 'gray88': '#e0e0e0', 'grey88': '#e0e0e0', 'gray89': '#e3e3e3',
+  'grey89': '#e3e3e3', 'gray90': '#e5e5e5', 'grey90': '#e5e5e5', 'gray91': '#e8e8e8',
+  'grey91': '#e8e8e8', 'gray92': '#ebebeb', 'grey92': '#ebebeb', 'gray93': '#ededed',
+  'grey93': '#ededed', 'gray94': '#f0f0f0', 'grey94': '#f0f0f0', 'gray95': '#f2f2f2',
+  'grey95': '#f2f2f2', 'gray96': '#f5f5f5', 'grey96': '#f5f5f5', 'gray97': '#f7f7f7',
+  'grey97': '#f7f7f7', 'gray98': '#fafafa', 'grey98': '#fafafa', 'gray99': '#fcfcfc',
+  'grey99': '#fcfcfc', 'gray100': '#ffffff', 'grey100': '#ffffff', 'darkgrey': '#a9a9a9',
+  'darkgray': '#a9a9a9', 'darkblue': '#00008b', 'darkcyan': '#008b8b', 'darkmagenta': '#8b008b',
+  'darkred': '#8b0000', 'lightgreen': '#90ee90', 'crimson': '#dc143c', 'indigo': '#4b0082',
+  'olive': '#808000', 'rebeccapurple': '#663399', 'silver': '#c0c0c0', 'teal': '#008080'
+};
+
+// Neovim's own names, and the Vim names it gives other values
+const NEOVIM_COLOR_NAMES = {
+  'darkyellow': '#bbbb00',
+  'lightred': '#ffbbbb',
+  'lightmagenta': '#ffbbff',
+  'nvimdarkgrey1': '#07080d', 'nvimdarkgrey2': '#14161b', 'nvimdarkgrey3': '#2c2e33', 'nvimdarkgrey4': '#4f5258',
+  'nvimlightgrey1': '#eef1f8', 'nvimlightgrey2': '#e0e2ea', 'nvimlightgrey3': '#c4c6cd', 'nvimlightgrey4': '#9b9ea4',
+  'nvimdarkred': '#590008', 'nvimdarkyellow': '#6b5300', 'nvimdarkgreen': '#005523',
+  'nvimdarkcyan': '#007373', 'nvimdarkblue': '#004c73', 'nvimdarkmagenta': '#470045',
+  'nvimlightred': '#ffc0b9', 'nvimlightyellow': '#fce094', 'nvimlightgreen': '#b3f6c0',
+  'nvimlightcyan': '#8cf8f7', 'nvimlightblue': '#a6dbff', 'nvimlightmagenta': '#ffcaff'
+};
+
+// xterm's first 16 colors, for ctermfg / ctermbg numbers
+const XTERM_COLORS = [
+  '#000000', '#800000', '#008000', '#808000', '#000080', '#800080', '#008080', '#c0c0c0',
+  '#808080', '#ff0000', '#00ff00', '#ffff00', '#0000ff', '#ff00ff', '#00ffff', '#ffffff'
+];
+const XTERM_CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+const LUA_TABLE_KEY = /([A-Za-z_]\w*)\s*=(?!=)|\[\s*(["'])(.*?)\2\s*\]\s*=(?!=)/y;
+const LUA_LITERAL = /0[xX][0-9a-fA-F]+|\d+(?:\.\d+)?|[A-Za-z_]\w*(?:\s*(?:\.\s*[A-Za-z_]\w*|\[\s*(?:"[^"]*"|'[^']*'|\d+)\s*\]))*/y;
+
+/**
+ * import(text, fileName) -> { colorscheme, report }; the report has the group
+ * count, the unresolved values and links ({ group, reason, line }), the
+ * skipped lines (exe, call...) and the rendered groups left to the defaults
+ */
+class ColorschemeImporter {
+  constructor(options = {}) {
+    // Groups the file leaves unset come from this scheme (by default Neovim's
+    // own, for the 'background' the file sets)
+    this.base = options.base || null;
+  }
+
+  import(text, fileName = '') {
+    const state = {
+      name: fileName.replace(/^.*[\\/]/, '').replace(/\.(vim|lua)$/, '') || 'imported',
+      background: null,
+      groups: {},
+      // Terminal colors only count in schemes without GUI ones ('notermguicolors')
+      guiColors: /\bgui(?:fg|bg)=|nvim_set_hl/.test(text),
+      unresolved: [],
+      skipped: []
+    };
+
+    if (/\.lua$/i.test(fileName) || (!/\.vim$/i.test(fileName) && /nvim_set_hl|vim\.cmd/.test(text))) {
+      this.parseLua(text, state);
+    } else {
+      this.parseVim(text, state);
+    }
+
+    return this.finish(state);
+  }
+
+  /**
+   * Vim script: highlight commands, background and colors_name; everything
+   * else is ignored, except :execute / :call lines, which are reported
+   */
+  parseVim(text, state, lineOffset = 0) {
+    const lines = text.split(/\r?\n/);
+    let command = '';
+    let commandLine = 0;
+
+    lines.forEach((rawLine, i) => {
+      const line = rawLine.trim();
+      // Line continuation ("\" at the start of the next line)
+      if (line.startsWith('\\')) {
+        command += ` ${line.substring(1)}`;
+      } else {
+        if (command) this.runVimCommand(command, commandLine, state);
+        command = line;
+        commandLine = lineOffset + i + 1;
+      }
+    });
+    if (command) this.runVimCommand(command, commandLine, state);
+  }
+
+  runVimCommand(command, lineNumber, state) {
+    if (!command || command.startsWith('"')) {
+      return;
+    }
+
+    command.split(/\s\|\s/).map(part => part.replace(/\s+"[^"]*$/, '').trim()).forEach(part => {
+      const highlight = part.match(HIGHLIGHT_COMMAND);
+      const background = part.match(/^:?\s*set?\s+(?:background|bg)=(dark|light)/);
+      const name = part.match(/^:?\s*let\s+(?:g:)?colors_name\s*=\s*(['"])(.+?)\1/);
+
+      if (highlight) {
+        this.runHighlight(highlight[1], lineNumber, state);
+      } else if (background) {
+        state.background = background[1];
+      } else if (name) {
+        state.name = name[2];
+      } else if (/^:?\s*(exe|exec|execute|call)\b/.test(part)) {
+        state.skipped.push({ line: lineNumber, text: part });
+      }
+    });
+  }
+
+  /**
+   * Arguments of :highlight - "[default] Group key=value...", "[default] link From To",
+   * "clear [Group]"
+   */
+  runHighlight(argumentText, lineNumber, state) {
+    const words = argumentText.trim().split(/\s+/);
+    const isDefault = words[0] === 'default' || words[0] === 'def';
+    if (isDefault) words.shift();
+
+    if (words[0] === 'clear') {
+      if (words[1]) {
+        delete state.groups[words[1]];
+      } else {
+        state.groups = {};
+      }
+      return;
+    }
+
+    if (words[0] === 'link') {
+      const [, from, to] = words;
+      if (!from || !to) {
+        state.skipped.push({ line: lineNumber, text: `hi ${argumentText}` });
+      } else if (!(isDefault && state.groups[from])) {
+        if (to === 'NONE') {
+          delete state.groups[from];
+        } else {
+          state.groups[from] = { link: to };
+        }
+      }
+      return;
+    }
+
+    const groupName = words[0];
+    const settings = {};
+    for (const match of words.slice(1).join(' ').matchAll(HIGHLIGHT_ARGUMENT)) {
+      if (match[1]) settings[match[1].toLowerCase()] = match[2].replace(/^['"]|['"]$/g, '');
+    }
+
+    if (Object.keys(settings).length === 0 || (isDefault && state.groups[groupName])) {
+      return;
+    }
+    this.setGroup(groupName, this.fromVimSettings(groupName, settings, lineNumber, state), state);
+  }
+
+  /**
+   * A group whose only values could not be resolved keeps the base colors
+   */
+  setGroup(groupName, group, state) {
+    const unresolved = state.unresolved.some(entry => entry.group === groupName);
+    if (Object.keys(group).length > 0 || !unresolved) {
+      state.groups[groupName] = group;
+    }
+  }
+
+  /**
+   * guifg / guibg / guisp / gui, or the cterm ones when the scheme has no gui colors
+   */
+  fromVimSettings(groupName, settings, lineNumber, state) {
+    // :hi only changes the keys it is given
+    const group = { ...(state.groups[groupName] && !state.groups[groupName].link ? state.groups[groupName] : {}) };
+    const colors = { fg: ['guifg', 'ctermfg'], bg: ['guibg', 'ctermbg'], sp: ['guisp'] };
+
+    Object.entries(colors).forEach(([attribute, [guiKey, ctermKey]]) => {
+      const key = state.guiColors ? guiKey : ctermKey;
+      if (!key || settings[key] === undefined) return;
+
+      const color = key === 'ctermfg' || key === 'ctermbg' ? this.fromCterm(settings[key]) : this.toColor(settings[key]);
+      if (color === undefined) {
+        state.unresolved.push({ group: groupName, reason: `${key}=${settings[key]}`, line: lineNumber });
+      } else if (color === null) {
+        delete group[attribute];
+      } else {
+        group[attribute] = color;
+      }
+    });
+
+    const attributes = state.guiColors ? settings.gui : settings.cterm;
+    if (attributes !== undefined) {
+      ATTRIBUTES.forEach(attribute => delete group[attribute]);
+      attributes.toLowerCase().split(',').forEach(attribute => {
+        const name = ATTRIBUTE_ALIASES[attribute] || attribute;
+        if (ATTRIBUTES.includes(name)) group[name] = true;
+      });
+    }
+    return group;
+  }
+
+  /**
+   * Lua: nvim_set_hl calls (direct, through a local alias or a two-argument
+   * wrapper, or in a `for k, v in pairs(t)` loop over a local table or a table
+   * literal) with literal values or values of local tables; vim.cmd strings go
+   * through the Vim parser
+   */
+  parseLua(source, state) {
+    const text = source.replace(/--\[(=*)\[[\s\S]*?\]\1\]/g, match => match.replace(/[^\n]/g, ' '))
+      .replace(/--[^\n]*/g, '');
+    const lineStarts = [0, ...[...text.matchAll(/\n/g)].map(match => match.index + 1)];
+    const lineOf = index => lineStarts.filter(start => start <= index).length;
+
+    for (const match of text.matchAll(/vim\.cmd\s*\(?\s*(\[(=*)\[([\s\S]*?)\]\2\]|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')/g)) {
+      const commands = match[3] ?? (match[4] ?? match[5]).replace(/\\(.)/g, '$1');
+      this.parseVim(commands, state, lineOf(match.index) - 1);
+    }
+
+    const background = text.match(/vim\.(?:o|opt|go)\.background\s*=\s*(['"])(dark|light)\1/);
+    if (background) state.background = background[2];
+    const name = text.match(/vim\.g\.colors_name\s*=\s*(['"])(.+?)\1/);
+    if (name) state.name = name[2];
+
+    const locals = {};
+    for (const match of text.matchAll(/\blocal\s+([A-Za-z_]\w*)\s*=\s*/g)) {
+      if (/^function\b/.test(text.substring(match.index + match[0].length))) continue;
+      locals[match[1]] = this.readLuaValue(text, match.index + match[0].length, locals).value;
+    }
+
+    // Callees: nvim_set_hl itself or an alias (namespace, group, opts), wrappers (group, opts)
+    const callees = [{ pattern: 'vim\\.api\\.nvim_set_hl', skip: 1 }];
+    for (const match of text.matchAll(/\blocal\s+([A-Za-z_]\w*)\s*=\s*vim\.api\.nvim_set_hl\b(?!\s*\()/g)) {
+      callees.push({ pattern: `(?<![.\\w])${match[1]}`, skip: 1 });
+    }
+    const wrappers = [];
+    const wrapperPattern = /(?:local\s+function\s+([A-Za-z_]\w*)|local\s+([A-Za-z_]\w*)\s*=\s*function)\s*\(\s*(\w+)\s*,\s*(\w+)\s*\)\s*vim\.api\.nvim_set_hl\(\s*\w+\s*,\s*\3\s*,\s*\4\s*\)/g;
+    for (const match of text.matchAll(wrapperPattern)) {
+      callees.push({ pattern: `(?<![.\\w])${match[1] || match[2]}`, skip: 0 });
+      wrappers.push([match.index, match.index + match[0].length]);
+    }
+
+    callees.forEach(({ pattern, skip }) => {
+      for (const match of text.matchAll(new RegExp(`${pattern}\\s*\\(`, 'g'))) {
+        const index = match.index;
+        if (wrappers.some(([start, end]) => index >= start && index < end)) continue;
+        if (/\bfunction\s*$/.test(text.substring(Math.max(0, index - 20), index))) continue;
+        this.runSetHl(text, index + match[0].length, skip, locals, lineOf(index), state);
+      }
+    });
+  }
+
+  runSetHl(text, start, skip, locals, lineNumber, state) {
+    let index = start;
+    const args = [];
+    for (let i = 0; i < skip + 2; i++) {
+      const { value, end, raw } = this.readLuaValue(text, index, locals);
+      args.push({ value, raw });
+      index = this.skipLuaSpace(text, end);
+      if (text[index] !== ',') break;
+      index++;
+    }
+
+    const [groupArg, optionsArg] = args.slice(skip);
+    if (!groupArg || !optionsArg) {
+      state.skipped.push({ line: lineNumber, text: text.substring(start, index).trim() });
+      return;
+    }
+
+    if (typeof groupArg.value === 'string') {
+      this.setLuaGroup(groupArg.value, optionsArg.value, lineNumber, state);
+      return;
+    }
+
+    // for group, opts in pairs(groups) do vim.api.nvim_set_hl(0, group, opts) end,
+    // where groups is a local table or a table literal
+    const loops = [...text.substring(0, start).matchAll(/for\s+(\w+)\s*,\s*(\w+)\s+in\s+pairs\s*\(/g)];
+    const loop = loops[loops.length - 1];
+    let table = null;
+    if (loop && loop[1] === groupArg.raw && loop[2] === optionsArg.raw) {
+      const { value, end } = this.readLuaValue(text, loop.index + loop[0].length, locals);
+      if (/^\s*\)\s*do\b/.test(text.substring(end, start))) table = value;
+    }
+
+    if (table && typeof table === 'object' && !table.unresolved) {
+      Object.entries(table).forEach(([group, options]) => this.setLuaGroup(group, options, lineNumber, state));
+    } else {
+      state.skipped.push({ line: lineNumber, text: `nvim_set_hl(…, ${groupArg.raw}, ${optionsArg.raw})` });
+    }
+  }
+
+  /**
+   * nvim_set_hl options table -> group ({ link } wins, like in Neovim)
+   */
+  setLuaGroup(groupName, options, lineNumber, state) {
+    if (!options || typeof options !== 'object' || options.unresolved) {
+      state.unresolved.push({ group: groupName, reason: options && options.unresolved ? options.unresolved : 'options', line: lineNumber });
+      return;
+    }
+    if (options.default === true && state.groups[groupName]) {
+      return;
+    }
+    if (typeof options.link === 'string') {
+      state.groups[groupName] = { link: options.link };
+      return;
+    }
+
+    const group = {};
+    Object.entries(LUA_COLOR_KEYS).forEach(([key, attribute]) => {
+      if (options[key] === undefined) return;
+      const color = options[key] && options[key].unresolved ? undefined : this.toColor(options[key]);
+      if (color === undefined) {
+        state.unresolved.push({ group: groupName, reason: `${key} = ${options[key].unresolved || options[key]}`, line: lineNumber });
+      } else if (color !== null) {
+        group[attribute] = color;
+      }
+    });
+    ATTRIBUTES.forEach(attribute => {
+      if (options[attribute] === true) group[attribute] = true;
+    });
+    this.setGroup(groupName, group, state);
+  }
+
+  /**
+   * One Lua expression at start: strings, numbers, booleans, tables and paths
+   * to locals are read; anything else is { unresolved: source }. Returns { value, end, raw }
+   */
+  readLuaValue(text, start, locals) {
+    const index = this.skipLuaSpace(text, start);
+    const char = text[index];
+
+    if (char === '"' || char === "'") {
+      let end = index + 1;
+      while (end < text.length && text[end] !== char) end += text[end] === '\\' ? 2 : 1;
+      return this.finishLuaValue(text, index, end + 1, text.substring(index + 1, end).replace(/\\(.)/g, '$1'));
+    }
+    if (text.startsWith('[[', index)) {
+      const end = text.indexOf(']]', index);
+      return this.finishLuaValue(text, index, end + 2, text.substring(index + 2, end));
+    }
+    if (char === '{') {
+      const { value, end } = this.readLuaTable(text, index, locals);
+      return this.finishLuaValue(text, index, end, value);
+    }
+
+    LUA_LITERAL.lastIndex = index;
+    const literal = LUA_LITERAL.exec(text);
+    if (!literal) {
+      return this.unresolvedLuaValue(text, index);
+    }
+
+    const token = literal[0];
+    let value;
+    if (/^(0[xX]|\d)/.test(token)) {
+      value = Number(token);
+    } else if (token === 'true' || token === 'false') {
+      value = token === 'true';
+    } else if (token === 'nil') {
+      value = null;
+    } else {
+      value = this.resolveLuaPath(token, locals);
+    }
+    return this.finishLuaValue(text, index, index + token.length, value);
+  }
+
+  /**
+   * A value followed by an operator or a call (`a .. b`, `darken(c, 0.2)`) is an expression
+   */
+  finishLuaValue(text, start, end, value) {
+    const next = this.skipLuaSpace(text, end);
+    if (/^(\.\.|[-+*/%^(:]|and\b|or\b)/.test(text.substring(next, next + 3))) {
+      return this.unresolvedLuaValue(text, start);
+    }
+    return { value, end, raw: text.substring(start, end).trim() };
+  }
+
+  unresolvedLuaValue(text, start) {
+    const end = this.skipLuaExpression(text, start);
+    const raw = text.substring(start, end).trim();
+    return { value: { unresolved: raw }, end, raw };
+  }
+
+  readLuaTable(text, start, locals) {
+    const table = {};
+    let index = start + 1;
+    let position = 1;
+
+    while (index < text.length) {
+      index = this.skipLuaSpace(text, index);
+      if (text[index] === '}') {
+        return { value: table, end: index + 1 };
+      }
+
+      LUA_TABLE_KEY.lastIndex = index;
+      const key = LUA_TABLE_KEY.exec(text);
+      let name = position;
+      if (key) {
+        name = key[1] || key[3];
+        index += key[0].length;
+      } else {
+        position++;
+      }
+
+      const { value, end } = this.readLuaValue(text, index, locals);
+      table[name] = value;
+      index = this.skipLuaSpace(text, Math.max(end, index + 1));
+      if (text[index] === ',' || text[index] === ';') index++;
+    }
+    return { value: table, end: text.length };
+  }
+
+  resolveLuaPath(path, locals) {
+    const parts = [];
+    for (const match of path.matchAll(/([A-Za-z_]\w*)|\[\s*(?:"([^"]*)"|'([^']*)'|(\d+))\s*\]/g)) {
+      parts.push(match[1] ?? match[2] ?? match[3] ?? Number(match[4]));
+    }
+
+    let value = locals;
+    for (const part of parts) {
+      if (!value || typeof value !== 'object' || value.unresolved || !(part in value)) {
+        return { unresolved: path };
+      }
+      value = value[part];
+    }
+    return value;
+  }
+
+  skipLuaSpace(text, index) {
+    while (index < text.length && /\s/.test(text[index])) index++;
+    return index;
+  }
+
+  /**
+   * End of the expression at start: the first , ; or closing bracket outside
+   * brackets and strings, or the end of the line
+   */
+  skipLuaExpression(text, start) {
+    let depth = 0;
+    let index = start;
+
+    while (index < text.length) {
+      const char = text[index];
+      if (char === '"' || char === "'") {
+        index++;
+        while (index < text.length && text[index] !== char) index += text[index] === '\\' ? 2 : 1;
+      } else if ('({['.includes(char)) {
+        depth++;
+      } else if (')}]'.includes(char)) {
+        if (depth === 0) break;
+        depth--;
+      } else if ((char === ',' || char === ';' || char === '\n') && depth === 0) {
+        break;
+      }
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * '#RRGGBB', a color name, 'NONE' (null), 'fg' / 'bg' (Normal's, resolved at
+   * the end) or a 0xRRGGBB number; undefined when it is not a color
+   */
+  toColor(value) {
+    if (typeof value === 'number') {
+      return `#${value.toString(16).padStart(6, '0')}`;
+    }
+    if (typeof value !== 'string') {
+      return undefined;
+    }
+
+    const color = value.trim().toLowerCase().replace(/\s+/g, '');
+    if (color === 'none') return null;
+    if (color === 'fg' || color === 'bg' || color === 'foreground' || color === 'background') {
+      return color.charAt(0) === 'f' ? 'fg' : 'bg';
+    }
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+
+    return NEOVIM_COLOR_NAMES[color] || VIM_COLOR_NAMES[color];
+  }
+
+  /**
+   * ctermfg / ctermbg: an xterm-256 number or a color name
+   */
+  fromCterm(value) {
+    if (!/^\d+$/.test(value)) {
+      return this.toColor(value);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < 16) return XTERM_COLORS[number];
+    if (number > 255) return undefined;
+
+    const hex = level => level.toString(16).padStart(2, '0');
+    if (number >= 232) {
+      return `#${hex(8 + (number - 232) * 10).repeat(3)}`;
+    }
+    const cube = number - 16;
+    return '#' + [Math.floor(cube / 36), Math.floor(cube / 6) % 6, cube % 6]
+      .map(i => hex(XTERM_CUBE_LEVELS[i]))
+      .join('');
+  }
+
+  /**
+   * Colorscheme over the base groups, and the report:
+   * { name, background, groups, unresolved, skipped, inherited }
+   */
+  finish(state) {
+    const imported = state.groups;
+    const base = this.base || Colorscheme.load('default', state.background || 'dark');
+    const normal = { ...base.groups.Normal, ...(imported.Normal && !imported.Normal.link ? imported.Normal : {}) };
+
+    // guifg=bg / guibg=fg refer to Normal
+    Object.values(imported).forEach(group => {
+      ['fg', 'bg', 'sp'].forEach(attribute => {
+        if (group[attribute] === 'fg' || group[attribute] === 'bg') {
+          group[attribute] = normal[group[attribute]];
+        }
+      });
+    });
+
+    const colorscheme = new Colorscheme({
+      name: state.name,
+      background: state.background || base.background,
+      groups: { ...base.groups, ...imported }
+    });
+
+    // Links to groups that nothing defines
+    Object.entries(imported).forEach(([group, definition]) => {
+      if (definition.link && !colorscheme.lookup(group)) {
+        state.unresolved.push({ group, reason: `link to ${definition.link}` });
+      }
+    });
+
+    // Painted groups the file does not reach (they keep the base colors)
+    const fileOnly = new Colorscheme({ groups: { Normal: {}, ...imported } });
+    const inherited = RENDERED_GROUPS.filter(group => group === 'Normal' ? !imported.Normal : !fileOnly.lookup(group));
+
+    const report = {
+      name: colorscheme.name,
+      background: colorscheme.background,
+      groups: Object.keys(imported).length,
+      unresolved: state.unresolved,
+      skipped: state.skipped,
+      inherited
+    };
+
+    console.log('🎨 [COLORSCHEME DEBUG] Imported colorscheme', {
+      name: report.name,
+      groups: report.groups,
+      unresolved: report.unresolved.length,
+      skipped: report.skipped.length,
+      inherited: inherited.length
+    });
+
+    return { colorscheme, report };
+  }
+}
+
+// Export for ES module usage
+export {
+    ColorschemeImporter
+};
@@ -0,0 +1,781 @@
+// Colorschemes for VimCraft (:colorscheme)
+// A scheme is a table of Neovim highlight groups (Normal, Visual, Search,
+// LineNr, @keyword, @string...) in nvim_set_hl() form: { fg, bg, sp, bold,
+// italic, reverse } or { link }. Prism token classes map to tree-sitter
+// captures, and the scheme becomes one <style> element that paints over the
+// page stylesheets, so switching schemes never reloads a CSS file.
+
+const STYLE_ELEMENT_ID = 'vimcraft-colorscheme';
+const DEFAULT_COLORSCHEME = 'gruvbox';
+
+// WCAG AA contrast for normal text: below it, the character under the cursor
+// gives up its own color for the most legible one
+const MIN_CURSOR_CONTRAST = 4.5;
+
+// Prism token class -> tree-sitter capture (what nvim-treesitter would call it)
+const PRISM_CAPTURES = {
+  'comment': '@comment',
+  'block-comment': '@comment',
+  'doc-comment': '@comment.documentation',
+  'prolog': '@comment',
+  'cdata': '@comment',
+  'doctype': '@keyword.directive',
+  'string': '@string',
+  'template-string': '@string',
+  'char': '@character',
+  'regex': '@string.regexp',
+  'url': '@string.special.url',
+  'entity': '@character.special',
+  'symbol': '@string.special.symbol',
+  'number': '@number',
+  'boolean': '@boolean',
+  'constant': '@constant',
+  'keyword': '@keyword',
+  'important': '@keyword.modifier',
+  'atrule': '@keyword.directive',
+  'directive': '@keyword.directive',
+  'macro': '@keyword.directive',
+  'builtin': '@type.builtin',
+  'class-name': '@type',
+  'function': '@function',
+  'function-name': '@function',
+  'parameter': '@variable.parameter',
+  'variable': '@variable',
+  'property': '@property',
+  'namespace': '@module',
+  'annotation': '@attribute',
+  'decorator': '@attribute',
+  'operator': '@operator',
+  'punctuation': '@punctuation.delimiter',
+  'bracket': '@punctuation.bracket',       // Alias the highlighter adds to ( ) [ ] { } punctuation
+  'interpolation-punctuation': '@punctuation.special',
+  'selector': '@tag',
+  'tag': '@tag',
+  'attr-name': '@tag.attribute',
+  'attr-value': '@string',
+  'inserted': '@diff.plus',
+  'deleted': '@diff.minus',
+  'title': '@markup.heading',
+  'bold': '@markup.strong',
+  'italic': '@markup.italic'
+};
+
+// Neovim's default links: captures fall back to the legacy syntax groups, so
+// a scheme written for Vim (Keyword, String...) still colors every capture
+const DEFAULT_LINKS = {
+  '@comment': 'Comment',
+  '@string': 'String',
+  '@string.regexp': '@string.special',
+  '@string.escape': '@string.special',
+  '@string.special': 'SpecialChar',
+  '@string.special.url': 'Underlined',
+  '@character': 'Character',
+  '@character.special': 'SpecialChar',
+  '@number': 'Number',
+  '@number.float': 'Float',
+  '@boolean': 'Boolean',
+  '@constant': 'Constant',
+  '@constant.builtin': 'Special',
+  '@module': 'Structure',
+  '@variable': 'Identifier',
+  '@property': 'Identifier',
+  '@function': 'Function',
+  '@function.builtin': 'Special',
+  '@constructor': 'Special',
+  '@keyword': 'Keyword',
+  '@keyword.directive': 'PreProc',
+  '@operator': 'Operator',
+  '@punctuation': 'Delimiter',
+  '@punctuation.special': 'Special',
+  '@type': 'Type',
+  '@type.builtin': 'Special',
+  '@attribute': 'Macro',
+  '@tag': 'Tag',
+  '@tag.attribute': '@property',
+  '@markup.heading': 'Title',
+  '@diff.plus': 'Added',
+  '@diff.minus': 'Removed',
+  '@diff.delta': 'Changed',
+
+  'String': 'Constant',
+  'Character': 'Constant',
+  'Number': 'Constant',
+  'Boolean': 'Constant',
+  'Float': 'Number',
+  'Function': 'Identifier',
+  'Keyword': 'Statement',
+  'Operator': 'Statement',
+  'Macro': 'PreProc',
+  'Structure': 'Type',
+  'Tag': 'Special',
+  'SpecialChar': 'Special',
+  'Delimiter': 'Special',
+
+  'CurSearch': 'Search',
+  'CursorColumn': 'CursorLine',
+  'PmenuKind': 'Pmenu',
+  'PmenuExtra': 'Pmenu',
+  'PmenuSbar': 'Pmenu',
+  'NormalFloat': 'Pmenu',
+  'FloatBorder': 'NormalFloat',
+  'FloatTitle': 'Title',
+  'StatusLineNC': 'StatusLine',
+  'CmpItemAbbrMatch': 'PmenuMatch',
+  'DiagnosticSignError': 'DiagnosticError',
+  'DiagnosticSignWarn': 'DiagnosticWarn',
+  'DiagnosticSignInfo': 'DiagnosticInfo',
+  'DiagnosticSignHint': 'DiagnosticHint',
+  'DiagnosticVirtualTextError': 'DiagnosticError',
+  'DiagnosticVirtualTextWarn': 'DiagnosticWarn',
+  'DiagnosticVirtualTextInfo': 'DiagnosticInfo',
+  'DiagnosticVirtualTextHint': 'DiagnosticHint',
+  'DiagnosticUnderlineError': 'DiagnosticError',
+  'DiagnosticUnderlineWarn': 'DiagnosticWarn',
+  'DiagnosticUnderlineInfo': 'DiagnosticInfo',
+  'DiagnosticUnderlineHint': 'DiagnosticHint',
+  'GitSignsAdd': 'Added',
+  'GitSignsChange': 'Changed',
+  'GitSignsDelete': 'Removed',
+
+  // nvim-cmp kinds, colored like the code they complete
+  'CmpItemKindFunction': '@function',
+  'CmpItemKindMethod': '@function',
+  'CmpItemKindConstructor': '@constructor',
+  'CmpItemKindVariable': '@variable',
+  'CmpItemKindField': '@property',
+  'CmpItemKindProperty': '@property',
+  'CmpItemKindClass': '@type',
+  'CmpItemKindInterface': '@type',
+  'CmpItemKindStruct': '@type',
+  'CmpItemKindEnum': '@type',
+  'CmpItemKindModule': '@module',
+  'CmpItemKindKeyword': '@keyword',
+  'CmpItemKindOperator': '@operator',
+  'CmpItemKindSnippet': 'Special',
+  'CmpItemKindText': '@string',
+  'CmpItemKindConstant': '@constant',
+  'CmpItemKindEnumMember': '@constant',
+  'CmpItemKindValue': '@constant'
+};
+
+// Highlight group attribute -> CSS property
+const TEXT_PROPERTIES = { fg: 'color', bg: 'background', bold: 'font-weight', italic: 'font-style' };
+// Text inside a box that has its own background (menu columns, float titles)
+const FOREGROUND_PROPERTIES = { fg: 'color', bold: 'font-weight', italic: 'font-style' };
+
+/**
+ * Elements each UI group paints. important: the page rule it replaces is
+ * !important (it has to win over token colors); fill: missing fg / bg come
+ * from Normal, as for a window of its own
+ */
+const HIGHLIGHT_RULES = [
+  { group: 'Normal', selector: '.code-block, .status-bar-ide.statusline-ide', fill: true },
+  { group: 'LineNr', selector: '.LineNr' },
+  { group: 'CursorLineNr', selector: '.CursorLineNr' },
+  { group: 'CursorLine', selector: '.CursorLine > .line-content', properties: { bg: 'background' } },
+  { group: 'CursorColumn', selector: ':where(.CursorColumn)', properties: { bg: 'background' } },
+  { group: 'MatchParen', selector: ':where(.match-paren)' },
+  ...['Error', 'Warn', 'Info', 'Hint'].flatMap(severity => [
+    { group: `DiagnosticSign${severity}`, selector: `.DiagnosticSign${severity}`, properties: { fg: 'color' } },
+    { group: `DiagnosticVirtualText${severity}`, selector: `.DiagnosticVirtualText${severity}` },
+    { group: `DiagnosticUnderline${severity}`, selector: `.DiagnosticUnderline${severity}`, properties: { sp: 'text-decoration-color' } }
+  ]),
+  ...['GitSignsAdd', 'GitSignsChange', 'GitSignsDelete'].map(group => ({ group, selector: `.${group}`, properties: { fg: 'color' } })),
+  { group: 'Pmenu', selector: '.Pmenu', fill: true },
+  { group: 'PmenuSel', selector: '.PmenuSel', fill: true },
+  { group: 'PmenuKind', selector: '.PmenuKind', properties: FOREGROUND_PROPERTIES },
+  { group: 'PmenuExtra', selector: '.PmenuExtra', properties: FOREGROUND_PROPERTIES },
+  { group: 'PmenuMatch', selector: '.PmenuMatch', properties: FOREGROUND_PROPERTIES },
+  { group: 'PmenuSbar', selector: '.PmenuSbar', properties: { bg: 'background' } },
+  { group: 'PmenuThumb', selector: '.PmenuThumb', properties: { bg: 'background' } },
+  { group: 'CmpItemAbbrMatch', selector: '.CmpItemAbbrMatch', properties: FOREGROUND_PROPERTIES },
+  ...Object.keys(DEFAULT_LINKS).filter(group => group.startsWith('CmpItemKind'))
+    .map(group => ({ group, selector: `.${group}`, properties: { fg: 'color' } })),
+  { group: 'NormalFloat', selector: '.NormalFloat, .pmenu-doc.NormalFloat', fill: true },
+  { group: 'FloatBorder', selector: '.FloatBorder', properties: FOREGROUND_PROPERTIES },
+  { group: 'FloatTitle', selector: '.FloatTitle', properties: FOREGROUND_PROPERTIES },
+  { group: 'StatusLine', selector: '.statusline-neovim', fill: true },
+  { group: 'StatusLineNC', selector: '.statusline-inactive .statusline-row', fill: true },
+  { group: 'WinSeparator', selector: '.WinSeparator', properties: { fg: 'border-left-color' } },
+  { group: 'Search', selector: '.Search', properties: { fg: 'color', bg: 'background' }, important: true },
+  { group: 'CurSearch', selector: '.CurSearch', properties: { fg: 'color', bg: 'background' }, important: true },
+  { group: 'IncSearch', selector: '.IncSearch', properties: { fg: 'color', bg: 'background' }, important: true },
+  { group: 'Visual', selector: '.visual-selection', properties: { bg: 'background' }, important: true },
+  // The text under a block cursor gets its color inline (getCursorTextColor)
+  { group: 'Cursor', selector: '.cursor', properties: { fg: 'color', bg: 'background' }, important: true },
+  { group: 'Cursor', selector: '.cursor-char-overlay', properties: { bg: 'background' }, important: true },
+  { group: 'Cursor', selector: '.cursor-insert::before, .cursor-replace::after, .visual-block-cursor::before', properties: { bg: 'background' } }
+];
+
+// Every group the renderer paints: token captures and UI groups
+const RENDERED_GROUPS = [...new Set([
+  ...Object.values(PRISM_CAPTURES),
+  ...HIGHLIGHT_RULES.map(rule => rule.group)
+])];
+
+// gruvbox.nvim, contrast "hard" (the palette of the page itself)
+const gruvbox = {
+  bg0: '#1d2021', bg1: '#3c3836', bg2: '#504945', bg3: '#665c54', bg4: '#7c6f64',
+  fg0: '#fbf1c7', fg1: '#ebdbb2', fg3: '#bdae93', fg4: '#a89984', gray: '#928374',
+  red: '#fb4934', green: '#b8bb26', yellow: '#fabd2f', blue: '#83a598',
+  purple: '#d3869b', aqua: '#8ec07c', orange: '#fe8019'
+};
+
+// tokyonight.nvim, "night" style
+const tokyonight = {
+  bg: '#1a1b26', bgDark: '#16161e', bgHighlight: '#292e42', black: '#15161e',
+  fg: '#c0caf5', fgDark: '#a9b1d6', fgGutter: '#3b4261', comment: '#565f89',
+  blue: '#7aa2f7', blue0: '#3d59a1', blue1: '#2ac3de', blue2: '#0db9d7', blue5: '#89ddff',
+  cyan: '#7dcfff', magenta: '#bb9af7', purple: '#9d7cd8', orange: '#ff9e64',
+  yellow: '#e0af68', green: '#9ece6a', green1: '#73daca', teal: '#1abc9c',
+  red: '#f7768e', red1: '#db4b4b', border: '#27a1b9',
+  visual: '#283457', pmenuSel: '#343a55', pmenuSbar: '#1f2231',
+  gitAdd: '#449dab', gitChange: '#6183bb', gitDelete: '#914c54'
+};
+
+// catppuccin, "mocha" flavour
+const catppuccin = {
+  base: '#1e1e2e', mantle: '#181825', crust: '#11111b',
+  text: '#cdd6f4', subtext0: '#a6adc8', overlay0: '#6c7086', overlay2: '#9399b2',
+  surface0: '#313244', surface1: '#45475a', cursorLine: '#2a2b3c', search: '#3e5767',
+  rosewater: '#f5e0dc', flamingo: '#f2cdcd', pink: '#f5c2e7', mauve: '#cba6f7',
+  red: '#f38ba8', peach: '#fab387', yellow: '#f9e2af', green: '#a6e3a1',
+  teal: '#94e2d5', sky: '#89dceb', sapphire: '#74c7ec', blue: '#89b4fa', lavender: '#b4befe'
+};
+
+// Neovim 0.10+ built-in "default" colorscheme, dark background
+const nvim = {
+  darkGrey1: '#07080d', darkGrey2: '#14161b', darkGrey3: '#2c2e33', darkGrey4: '#4f5258',
+  lightGrey1: '#eef1f8', lightGrey2: '#e0e2ea', lightGrey3: '#c4c6cd', lightGrey4: '#9b9ea4',
+  darkYellow: '#6b5300', lightRed: '#ffc0b9', lightYellow: '#fce094', lightGreen: '#b3f6c0',
+  lightCyan: '#8cf8f7', lightBlue: '#a6dbff'
+};
+
+// Light variants ('background' light) swap each color of the dark palette
+// for the one of the same name, as these schemes do on :set background=light
+
+// gruvbox.nvim light, contrast "hard"
+const gruvboxLight = {
+  bg0: '#f9f5d7', bg1: '#ebdbb2', bg2: '#d5c4a1', bg3: '#bdae93', bg4: '#a89984',
+  fg0: '#282828', fg1: '#3c3836', fg3: '#665c54', fg4: '#7c6f64', gray: '#928374',
+  red: '#9d0006', green: '#79740e', yellow: '#b57614', blue: '#076678',
+  purple: '#8f3f71', aqua: '#427b58', orange: '#af3a03'
+};
+
+// tokyonight.nvim, "day" style
+const tokyonightDay = {
+  bg: '#e1e2e7', bgDark: '#d0d5e3', bgHighlight: '#c4c8da', black: '#b4b5b9',
+  fg: '#3760bf', fgDark: '#6172b0', fgGutter: '#a8aecb', comment: '#848cb5',
+  blue: '#2e7de9', blue0: '#7890dd', blue1: '#188092', blue2: '#07879d', blue5: '#006a83',
+  cyan: '#007197', magenta: '#9854f1', purple: '#7847bd', orange: '#b15c00',
+  yellow: '#8c6c3e', green: '#587539', green1: '#387068', teal: '#118c74',
+  red: '#f52a65', red1: '#c64343', border: '#4094a3',
+  visual: '#b7c1e3', pmenuSel: '#b3b8d1', pmenuSbar: '#c7c8d3',
+  gitAdd: '#4197a4', gitChange: '#506d9c', gitDelete: '#c47981'
+};
+
+// catppuccin, "latte" flavour
+const catppuccinLatte = {
+  base: '#eff1f5', mantle: '#e6e9ef', crust: '#dce0e8',
+  text: '#4c4f69', subtext0: '#6c6f85', overlay0: '#9ca0b0', overlay2: '#7c7f93',
+  surface0: '#ccd0da', surface1: '#bcc0cc', cursorLine: '#e8ebf0', search: '#b4d7e6',
+  rosewater: '#dc8a78', flamingo: '#dd7878', pink: '#ea76cb', mauve: '#8839ef',
+  red: '#d20f39', peach: '#fe640b', yellow: '#df8e1d', green: '#40a02b',
+  teal: '#179299', sky: '#04a5e5', sapphire: '#209fb5', blue: '#1e66f5', lavender: '#7287fd'
+};
+
+// Neovim's default scheme on a light background: every NvimDark* color
+// becomes its NvimLight* counterpart and the other way round
+const nvimLight = {
+  darkGrey1: '#eef1f8', darkGrey2: '#e0e2ea', darkGrey3: '#c4c6cd', darkGrey4: '#9b9ea4',
+  lightGrey1: '#07080d', lightGrey2: '#14161b', lightGrey3: '#2c2e33', lightGrey4: '#4f5258',
+  darkYellow: '#fce094', lightRed: '#590008', lightYellow: '#6b5300', lightGreen: '#005523',
+  lightCyan: '#007373', lightBlue: '#004c73'
+};
+
+// Dark and light palette of each built-in scheme
+const LIGHT_PALETTES = {
+  'gruvbox': { dark: gruvbox, light: gruvboxLight },
+  'tokyonight': { dark: tokyonight, light: tokyonightDay },
+  'catppuccin': { dark: catppuccin, light: catppuccinLatte },
+  'default': { dark: nvim, light: nvimLight }
+};
+
+const COLORSCHEMES = {
+  'gruvbox': {
+    name: 'gruvbox',
+    background: 'dark',
+    groups: {
+      'Normal': { fg: gruvbox.fg1, bg: gruvbox.bg0 },
+      'Comment': { fg: gruvbox.gray, italic: true },
+      'Constant': { fg: gruvbox.purple },
+      'String': { fg: gruvbox.green },
+      'Identifier': { fg: gruvbox.blue },
+      'Function': { fg: gruvbox.green, bold: true },
+      'Statement': { fg: gruvbox.red },
+      'Operator': { fg: gruvbox.orange },
+      'PreProc': { fg: gruvbox.aqua },
+      'Type': { fg: gruvbox.yellow },
+      'Structure': { fg: gruvbox.aqua },
+      'Special': { fg: gruvbox.orange },
+      'Delimiter': { fg: gruvbox.fg3 },
+      'Tag': { fg: gruvbox.aqua, bold: true },
+      'Title': { fg: gruvbox.green, bold: true },
+      'Added': { fg: gruvbox.green },
+      'Changed': { fg: gruvbox.aqua },
+      'Removed': { fg: gruvbox.red },
+      '@variable': { fg: gruvbox.fg1 },
+      '@tag.attribute': { fg: gruvbox.aqua },
+      '@type.builtin': { fg: gruvbox.yellow },
+
+      'Cursor': { reverse: true },
+      'Visual': { bg: gruvbox.bg3 },
+      'Search': { fg: gruvbox.bg0, bg: gruvbox.yellow },
+      'IncSearch': { fg: gruvbox.bg0, bg: gruvbox.orange },
+      'CurSearch': { link: 'IncSearch' },
+      'LineNr': { fg: gruvbox.bg4 },
+      'CursorLineNr': { fg: gruvbox.yellow, bold: true },
+      'CursorLine': { bg: gruvbox.bg1 },
+      'MatchParen': { bg: gruvbox.bg3, bold: true },
+      'Pmenu': { fg: gruvbox.fg1, bg: gruvbox.bg2 },
+      'PmenuSel': { fg: gruvbox.bg2, bg: gruvbox.blue, bold: true },
+      'PmenuKind': { fg: gruvbox.fg4 },
+      'PmenuExtra': { fg: gruvbox.fg4 },
+      'PmenuMatch': { bold: true },
+      'PmenuSbar': { bg: gruvbox.bg2 },
+      'PmenuThumb': { bg: gruvbox.bg4 },
+      'CmpItemAbbrMatch': { fg: gruvbox.blue, bold: true },
+      'NormalFloat': { fg: gruvbox.fg1, bg: gruvbox.bg1 },
+      'FloatBorder': { fg: gruvbox.fg4, bg: gruvbox.bg1 },
+      'FloatTitle': { fg: gruvbox.yellow, bold: true },
+      'StatusLine': { fg: gruvbox.fg1, bg: gruvbox.bg2 },
+      'StatusLineNC': { fg: gruvbox.fg4, bg: gruvbox.bg1 },
+      'WinSeparator': { fg: gruvbox.bg3 },
+      'DiagnosticError': { fg: gruvbox.red },
+      'DiagnosticWarn': { fg: gruvbox.yellow },
+      'DiagnosticInfo': { fg: gruvbox.blue },
+      'DiagnosticHint': { fg: gruvbox.aqua }
+    }
+  },
+
+  'tokyonight': {
+    name: 'tokyonight',
+    background: 'dark',
+    groups: {
+      'Normal': { fg: tokyonight.fg, bg: tokyonight.bg },
+      'Comment': { fg: tokyonight.comment, italic: true },
+      'Constant': { fg: tokyonight.orange },
+      'String': { fg: tokyonight.green },
+      'Character': { fg: tokyonight.green },
+      'Identifier': { fg: tokyonight.magenta },
+      'Function': { fg: tokyonight.blue },
+      'Statement': { fg: tokyonight.magenta },
+      'Keyword': { fg: tokyonight.cyan, italic: true },
+      'Operator': { fg: tokyonight.blue5 },
+      'PreProc': { fg: tokyonight.cyan },
+      'Type': { fg: tokyonight.blue1 },
+      'Special': { fg: tokyonight.blue1 },
+      'Title': { fg: tokyonight.blue, bold: true },
+      'Added': { fg: tokyonight.gitAdd },
+      'Changed': { fg: tokyonight.gitChange },
+      'Removed': { fg: tokyonight.gitDelete },
+      '@keyword': { fg: tokyonight.purple, italic: true },
+      '@variable': { fg: tokyonight.fg },
+      '@property': { fg: tokyonight.green1 },
+      '@constructor': { fg: tokyonight.magenta },
+      '@punctuation.delimiter': { fg: tokyonight.blue5 },
+      '@punctuation.bracket': { fg: tokyonight.fgDark },
+      '@tag': { fg: tokyonight.red },
+      '@tag.attribute': { fg: tokyonight.green1 },
+
+      'Cursor': { fg: tokyonight.bg, bg: tokyonight.fg },
+      'Visual': { bg: tokyonight.visual },
+      'Search': { fg: tokyonight.fg, bg: tokyonight.blue0 },
+      'IncSearch': { fg: tokyonight.black, bg: tokyonight.orange },
+      'CurSearch': { link: 'IncSearch' },
+      'LineNr': { fg: tokyonight.fgGutter },
+      'CursorLineNr': { fg: tokyonight.orange, bold: true },
+      'CursorLine': { bg: tokyonight.bgHighlight },
+      'MatchParen': { fg: tokyonight.orange, bold: true },
+      'Pmenu': { fg: tokyonight.fg, bg: tokyonight.bgDark },
+      'PmenuSel': { bg: tokyonight.pmenuSel },
+      'PmenuMatch': { fg: tokyonight.blue1 },
+      'PmenuSbar': { bg: tokyonight.pmenuSbar },
+      'PmenuThumb': { bg: tokyonight.fgGutter },
+      'CmpItemAbbrMatch': { fg: tokyonight.blue1 },
+      'NormalFloat': { fg: tokyonight.fg, bg: tokyonight.bgDark },
+      'FloatBorder': { fg: tokyonight.border, bg: tokyonight.bgDark },
+      'FloatTitle': { fg: tokyonight.border, bg: tokyonight.bgDark },
+      'StatusLine': { fg: tokyonight.fgDark, bg: tokyonight.bgDark },
+      'StatusLineNC': { fg: tokyonight.fgGutter, bg: tokyonight.bgDark },
+      'WinSeparator': { fg: tokyonight.black, bold: true },
+      'DiagnosticError': { fg: tokyonight.red1 },
+      'DiagnosticWarn': { fg: tokyonight.yellow },
+      'DiagnosticInfo': { fg: tokyonight.blue2 },
+      'DiagnosticHint': { fg: tokyonight.teal }
+    }
+  },
+
+  'catppuccin': {
+    name: 'catppuccin',
+    background: 'dark',
+    groups: {
+      'Normal': { fg: catppuccin.text, bg: catppuccin.base },
+      'Comment': { fg: catppuccin.overlay2, italic: true },
+      'Constant': { fg: catppuccin.peach },
+      'String': { fg: catppuccin.green },
+      'Character': { fg: catppuccin.teal },
+      'Identifier': { fg: catppuccin.flamingo },
+      'Function': { fg: catppuccin.blue },
+      'Statement': { fg: catppuccin.mauve },
+      'Operator': { fg: catppuccin.sky },
+      'PreProc': { fg: catppuccin.pink },
+      'Type': { fg: catppuccin.yellow },
+      'Special': { fg: catppuccin.pink },
+      'Delimiter': { fg: catppuccin.overlay2 },
+      'Title': { fg: catppuccin.blue, bold: true },
+      'Added': { fg: catppuccin.green },
+      'Changed': { fg: catppuccin.yellow },
+      'Removed': { fg: catppuccin.red },
+      '@variable': { fg: catppuccin.text },
+      '@property': { fg: catppuccin.lavender },
+      '@module': { fg: catppuccin.lavender, italic: true },
+      '@constructor': { fg: catppuccin.sapphire },
+      '@function.builtin': { fg: catppuccin.peach },
+      '@type.builtin': { fg: catppuccin.mauve },
+      '@tag': { fg: catppuccin.mauve },
+      '@tag.attribute': { fg: catppuccin.teal, italic: true },
+
+      'Cursor': { fg: catppuccin.base, bg: catppuccin.rosewater },
+      'Visual': { bg: catppuccin.surface1, bold: true },
+      'Search': { fg: catppuccin.pink, bg: catppuccin.search },
+      'IncSearch': { fg: catppuccin.mantle, bg: catppuccin.sky },
+      'CurSearch': { fg: catppuccin.mantle, bg: catppuccin.red },
+      'LineNr': { fg: catppuccin.surface1 },
+      'CursorLineNr': { fg: catppuccin.lavender },
+      'CursorLine': { bg: catppuccin.cursorLine },
+      'MatchParen': { fg: catppuccin.peach, bg: catppuccin.surface1, bold: true },
+      'Pmenu': { fg: catppuccin.overlay2, bg: catppuccin.mantle },
+      'PmenuSel': { bg: catppuccin.surface1, bold: true },
+      'PmenuMatch': { bold: true },
+      'PmenuSbar': { bg: catppuccin.surface1 },
+      'PmenuThumb': { bg: catppuccin.overlay0 },
+      'CmpItemAbbrMatch': { fg: catppuccin.blue, bold: true },
+      'NormalFloat': { fg: catppuccin.text, bg: catppuccin.mantle },
+      'FloatBorder': { fg: catppuccin.blue, bg: catppuccin.mantle },
+      'FloatTitle': { fg: catppuccin.subtext0, bg: catppuccin.mantle },
+      'StatusLine': { fg: catppuccin.text, bg: catppuccin.mantle },
+      'StatusLineNC': { fg: catppuccin.surface1, bg: catppuccin.mantle },
+      'WinSeparator': { fg: catppuccin.crust, bold: true },
+      'DiagnosticError': { fg: catppuccin.red },
+      'DiagnosticWarn': { fg: catppuccin.yellow },
+      'DiagnosticInfo': { fg: catppuccin.sky },
+      'DiagnosticHint': { fg: catppuccin.teal }
+    }
+  },
+
+  'default': {
+    name: 'default',
+    background: 'dark',
+    groups: {
+      'Normal': { fg: nvim.lightGrey2, bg: nvim.darkGrey2 },
+      'Comment': { fg: nvim.lightGrey4 },
+      'Constant': { fg: nvim.lightGrey2 },
+      'String': { fg: nvim.lightGreen },
+      'Identifier': { fg: nvim.lightBlue },
+      'Function': { fg: nvim.lightCyan },
+      'Statement': { fg: nvim.lightGrey2, bold: true },
+      'Operator': { fg: nvim.lightGrey2 },
+      'PreProc': { fg: nvim.lightGrey2 },
+      'Type': { fg: nvim.lightGrey2 },
+      'Special': { fg: nvim.lightCyan },
+      'Delimiter': { fg: nvim.lightGrey2 },
+      'Title': { fg: nvim.lightGrey2, bold: true },
+      'Added': { fg: nvim.lightGreen },
+      'Changed': { fg: nvim.lightCyan },
+      'Removed': { fg: nvim.lightRed },
+      '@variable': { fg: nvim.lightGrey2 },
+
+      'Cursor': { reverse: true },
+      'Visual': { bg: nvim.darkGrey4 },
+      'Search': { fg: nvim.lightGrey1, bg: nvim.darkYellow },
+      'CurSearch': { fg: nvim.darkGrey1, bg: nvim.lightYellow },
+      'IncSearch': { link: 'CurSearch' },
+      'LineNr': { fg: nvim.darkGrey4 },
+      'CursorLineNr': { fg: nvim.lightGrey2, bold: true },
+      'CursorLine': { bg: nvim.darkGrey3 },
+      'MatchParen': { bg: nvim.darkGrey4, bold: true },
+      'Pmenu': { bg: nvim.darkGrey3 },
+      'PmenuSel': { fg: nvim.darkGrey3, bg: nvim.lightGrey2 },
+      'PmenuMatch': { bold: true },
+      'PmenuThumb': { bg: nvim.darkGrey4 },
+      'NormalFloat': { bg: nvim.darkGrey1 },
+      'StatusLine': { fg: nvim.darkGrey3, bg: nvim.lightGrey3 },
+      'StatusLineNC': { fg: nvim.lightGrey3, bg: nvim.darkGrey4 },
+      'WinSeparator': { link: 'Normal' },
+      'DiagnosticError': { fg: nvim.lightRed },
+      'DiagnosticWarn': { fg: nvim.lightYellow },
+      'DiagnosticInfo': { fg: nvim.lightCyan },
+      'DiagnosticHint': { fg: nvim.lightBlue }
+    }
+  }
+};
+
+// The scheme last applied to the page; the renderers read the cursor colors from it
+let activeColorscheme = null;
+
+/**
+ * definition: { name, background, groups } like the entries of COLORSCHEMES.
+ * The renderers inline the color of the character under the cursor
+ * (getCursorTextStyle), so the page renders its output again after apply()
+ */
+class Colorscheme {
+  constructor(definition) {
+    if (!definition || !definition.groups || !definition.groups.Normal) {
+      throw new Error('A colorscheme needs its highlight groups, Normal at least');
+    }
+    this.name = definition.name || 'custom';
+    this.background = definition.background === 'light' ? 'light' : 'dark';
+    this.groups = definition.groups;
+  }
+
+  /**
+   * Built-in scheme by name and 'background' (:set background=light | colorscheme gruvbox);
+   * the light variant swaps each color of the dark palette for the same-named
+   * one of the light palette (gruvbox light, tokyonight day, catppuccin latte)
+   */
+  static load(name = DEFAULT_COLORSCHEME, background = 'dark') {
+    if (!COLORSCHEMES[name]) {
+      throw new Error(`Unknown colorscheme: ${name}`);
+    }
+    if (background !== 'light') {
+      return new Colorscheme(COLORSCHEMES[name]);
+    }
+
+    const { dark, light } = LIGHT_PALETTES[name];
+    const colors = new Map(Object.keys(dark).map(key => [dark[key], light[key]]));
+    const groups = Object.fromEntries(Object.entries(COLORSCHEMES[name].groups).map(([group, definition]) => [
+      group,
+      Object.fromEntries(Object.entries(definition).map(([key, value]) => [key, colors.get(value) || value]))
+    ]));
+    return new Colorscheme({ ...COLORSCHEMES[name], background: 'light', groups });
+  }
+
+  /**
+   * The scheme shown in the page (the default one until a scheme is applied)
+   */
+  static getActive() {
+    if (!activeColorscheme) {
+      activeColorscheme = Colorscheme.load();
+    }
+    return activeColorscheme;
+  }
+
+  /**
+   * WCAG relative luminance of a #rgb / #rrggbb color, null for other notations
+   */
+  static getRelativeLuminance(color) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (!hex) {
+      return null;
+    }
+
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    const [r, g, b] = [0, 2, 4].map(i => {
+      const channel = parseInt(digits.substring(i, i + 2), 16) / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * WCAG contrast ratio (1 to 21) of two colors; 0 when one can't be measured
+   */
+  static getContrastRatio(first, second) {
+    const a = Colorscheme.getRelativeLuminance(first);
+    const b = Colorscheme.getRelativeLuminance(second);
+    if (a === null || b === null) {
+      return 0;
+    }
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+
+  /**
+   * Attributes of a group after links and the capture fallback, with reverse
+   * applied: { fg, bg, sp, bold, italic }, or null when nothing defines it
+   */
+  resolve(name) {
+    const definition = this.lookup(name);
+    if (!definition) {
+      return null;
+    }
+
+    const attributes = { ...definition };
+    if (attributes.reverse) {
+      const normal = this.lookup('Normal');
+      [attributes.fg, attributes.bg] = [attributes.bg || normal.bg, attributes.fg || normal.fg];
+    }
+    return attributes;
+  }
+
+  /**
+   * The scheme's own definition, then Neovim's default link, then the parent
+   * capture (@string.regexp -> @string), as :highlight does
+   */
+  lookup(name, seen = new Set()) {
+    if (!name || seen.has(name)) {
+      return null;
+    }
+    seen.add(name);
+
+    const definition = this.groups[name] || (DEFAULT_LINKS[name] && { link: DEFAULT_LINKS[name] });
+    if (definition) {
+      return definition.link ? this.lookup(definition.link, seen) : definition;
+    }
+
+    const dot = name.lastIndexOf('.');
+    return name.startsWith('@') && dot > 0 ? this.lookup(name.substring(0, dot), seen) : null;
+  }
+
+  /**
+   * Stylesheet of the scheme: token colors first, then the UI groups
+   */
+  toCss() {
+    const rules = [];
+
+    Object.entries(PRISM_CAPTURES).forEach(([className, capture]) => {
+      const declarations = this.getDeclarations(this.resolve(capture), FOREGROUND_PROPERTIES);
+      if (declarations.length > 0) {
+        rules.push(`.token.${className} { ${declarations.join(' ')} }`);
+      }
+    });
+
+    const normal = this.resolve('Normal');
+    HIGHLIGHT_RULES.forEach(rule => {
+      let attributes = this.resolve(rule.group);
+      if (rule.fill) {
+        attributes = { fg: normal.fg, bg: normal.bg, ...attributes };
+      }
+
+      const declarations = this.getDeclarations(attributes, rule.properties || TEXT_PROPERTIES, rule.important);
+      if (declarations.length > 0) {
+        rules.push(`${rule.selector} { ${declarations.join(' ')} }`);
+      }
+    });
+
+    return `/* colorscheme ${this.name} */\n${rules.join('\n')}`;
+  }
+
+  /**
+   * ['color: #fb4934;', ...] for the attributes that properties asks for;
+   * the underline color (sp) defaults to fg, like Neovim's
+   */
+  getDeclarations(attributes, properties, important = false) {
+    if (!attributes) {
+      return [];
+    }
+
+    const values = {
+      fg: attributes.fg,
+      bg: attributes.bg,
+      sp: attributes.sp || attributes.fg,
+      bold: attributes.bold ? 'bold' : null,
+      italic: attributes.italic ? 'italic' : null
+    };
+    const suffix = important ? ' !important' : '';
+
+    return Object.entries(properties)
+      .filter(([attribute]) => values[attribute])
+      .map(([attribute, property]) => `${property}: ${values[attribute]}${suffix};`);
+  }
+
+  /**
+   * Foreground of text nested in elements with these classes (one array per
+   * element, outermost first): the innermost token color wins, as in toCss
+   */
+  getTextColor(scopes = []) {
+    for (const classes of [...scopes].reverse()) {
+      const color = Object.keys(PRISM_CAPTURES)
+        .filter(className => classes.includes(className))
+        .map(className => this.resolve(PRISM_CAPTURES[className]))
+        .filter(attributes => attributes && attributes.fg)
+        .map(attributes => attributes.fg)
+        .pop();
+      if (color) {
+        return color;
+      }
+    }
+    return this.resolve('Normal').fg;
+  }
+
+  /**
+   * Text color of the character under a block cursor (scopes as in getTextColor):
+   * its own color while it keeps WCAG AA contrast against the Cursor background,
+   * otherwise the Cursor foreground or a Normal color, whichever contrasts most
+   */
+  getCursorTextColor(scopes = []) {
+    const normal = this.resolve('Normal');
+    const cursor = this.resolve('Cursor') || {};
+    const background = cursor.bg || normal.fg;
+    const color = this.getTextColor(scopes);
+
+    if (Colorscheme.getContrastRatio(color, background) >= MIN_CURSOR_CONTRAST) {
+      return color;
+    }
+    return [cursor.fg, normal.bg, normal.fg]
+      .filter(Boolean)
+      .reduce((best, candidate) => Colorscheme.getContrastRatio(candidate, background) > Colorscheme.getContrastRatio(best, background)
+        ? candidate
+        : best, color);
+  }
+
+  /**
+   * Inline declaration for the cursor's character ('' when there is no color);
+   * important, so search and selection colors don't cover it
+   */
+  getCursorTextStyle(scopes = []) {
+    const color = this.getCursorTextColor(scopes);
+    return color ? `color: ${color} !important;` : '';
+  }
+
+  /**
+   * Frame colors for the exporters' editor box ({ background, foreground })
+   */
+  getEditorColors() {
+    const normal = this.resolve('Normal');
+    const colors = {};
+    if (normal.bg) colors.background = normal.bg;
+    if (normal.fg) colors.foreground = normal.fg;
+    return colors;
+  }
+
+  /**
+   * Put the scheme in the page: one <style> element, replaced on every switch
+   * and placed after the stylesheets it paints over
+   */
+  apply(doc = document) {
+    let style = doc.getElementById(STYLE_ELEMENT_ID);
+    if (!style) {
+      style = doc.createElement('style');
+      style.id = STYLE_ELEMENT_ID;
+    }
+    style.textContent = this.toCss();
+    doc.head.appendChild(style);
+    activeColorscheme = this;
+
+    console.log('🎨 [COLORSCHEME DEBUG] Applied colorscheme', {
+      name: this.name,
+      background: this.background,
+      groups: Object.keys(this.groups).length
+    });
+  }
+}
+
+// Export for ES module usage
+export {
+    Colorscheme,
+    COLORSCHEMES,
+    PRISM_CAPTURES,
+    RENDERED_GROUPS,
+    DEFAULT_COLORSCHEME
+};
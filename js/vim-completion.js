@@ -0,0 +1,280 @@
+// Completion popup menu for VimCraft (Insert mode 'pmenu')
+// Draws the <C-n> / <C-x><C-o> / nvim-cmp menu as a float anchored under the
+// insert cursor: items with their kind, the selected row (PmenuSel), a
+// scrollbar and an optional documentation window. The float is absolutely
+// positioned, so the code underneath keeps its layout.
+
+import { HtmlEscaper } from './html-escape.js';
+
+const COMPLETION_STYLES = ['native', 'cmp'];
+
+const DEFAULT_COMPLETION_OPTIONS = {
+  style: 'native',
+  selected: 0,        // -1: nothing selected (completeopt+=noselect)
+  maxHeight: 10,      // 'pumheight'
+  minWidth: 15,       // 'pumwidth'
+  kindFormat: 'symbol_text', // cmp style: 'symbol_text', 'symbol' or 'text' (lspkind's mode)
+  documentation: true
+};
+
+// Kind icons of lspkind.nvim's codicons preset (they need a Nerd Font)
+const KIND_ICONS = {
+  'Text': '\u{EA93}',
+  'Method': '\u{EA8C}',
+  'Function': '\u{EA8C}',
+  'Constructor': '\u{EA8C}',
+  'Field': '\u{EB5F}',
+  'Variable': '\u{EA88}',
+  'Class': '\u{EB5B}',
+  'Interface': '\u{EB61}',
+  'Module': '\u{EA8B}',
+  'Property': '\u{EB65}',
+  'Unit': '\u{EA96}',
+  'Value': '\u{EA95}',
+  'Enum': '\u{EA95}',
+  'Keyword': '\u{EB62}',
+  'Snippet': '\u{EB66}',
+  'Color': '\u{EB5C}',
+  'File': '\u{EB60}',
+  'Reference': '\u{EB36}',
+  'Folder': '\u{EA83}',
+  'EnumMember': '\u{EB5E}',
+  'Constant': '\u{EB5D}',
+  'Struct': '\u{EA91}',
+  'Event': '\u{EA86}',
+  'Operator': '\u{EB64}',
+  'TypeParameter': '\u{EA92}'
+};
+
+// One-letter kinds of Vim's complete-items (omni completion) -> LSP kinds
+const VIM_KINDS = {
+  'v': 'Variable',
+  'f': 'Function',
+  'm': 'Field',
+  't': 'Struct',
+  'd': 'Constant'
+};
+
+// 'iskeyword' (@,48-57,_,192-255)
+const KEYWORD_PATTERN = /[\wÀ-ÿ]+/g;
+const KEYWORD_BEFORE_CURSOR = /[\wÀ-ÿ]*$/;
+
+/**
+ * Items follow Vim's complete-items: { word, abbr?, kind?, menu?, info? }
+ */
+class CompletionMenu {
+  constructor(visualEffectsProcessor, options = {}) {
+    this.visualEffectsProcessor = visualEffectsProcessor;
+    this.options = {
+      ...DEFAULT_COMPLETION_OPTIONS,
+      ...options,
+      style: COMPLETION_STYLES.includes(options.style) ? options.style : DEFAULT_COMPLETION_OPTIONS.style
+    };
+  }
+
+  /**
+   * "useState Function [React] | Returns a stateful value; useEffect f" (one item per ';',
+   * then word, kind and menu separated by spaces, and the documentation after '|')
+   */
+  static parse(spec) {
+    return (spec || '').split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [itemPart, ...infoParts] = entry.split('|');
+      const [word, kind, ...menu] = itemPart.trim().split(/\s+/);
+      return {
+        word,
+        kind: kind || '',
+        menu: menu.join(' '),
+        info: infoParts.join('|').trim()
+      };
+    });
+  }
+
+  /**
+   * Local word completion (<C-n>): keywords of the buffer tokens that start
+   * with the word before the cursor, searched forward from the cursor and wrapping
+   */
+  getBufferWords(tokens, cursorPosition) {
+    const source = this.visualEffectsProcessor.getSourceText(tokens);
+    const prefix = this.getPrefix(source, cursorPosition);
+    const prefixStart = cursorPosition - prefix.length;
+    const found = [];
+
+    for (const token of tokens) {
+      const value = token.value || '';
+      for (const match of value.matchAll(KEYWORD_PATTERN)) {
+        const start = token.start + match.index;
+        // The word being typed is not a candidate
+        if (prefix && start === prefixStart) continue;
+        if (match[0].startsWith(prefix) && match[0] !== prefix) {
+          found.push({ word: match[0], start });
+        }
+      }
+    }
+
+    const distance = start => (start - cursorPosition + source.length + 1) % (source.length + 1);
+    const seen = new Set();
+    return found
+      .sort((a, b) => distance(a.start) - distance(b.start))
+      .filter(candidate => !seen.has(candidate.word) && seen.add(candidate.word))
+      .map(candidate => ({ word: candidate.word }));
+  }
+
+  /**
+   * Keyword before the cursor: the text the menu completes
+   */
+  getPrefix(source, cursorPosition) {
+    const lineStart = this.visualEffectsProcessor.getLineStart(source, cursorPosition);
+    return source.substring(lineStart, cursorPosition).match(KEYWORD_BEFORE_CURSOR)[0];
+  }
+
+  /**
+   * HTML of the popup, to be placed right after the insert cursor: a
+   * zero-width .pmenu-anchor whose data-rows / data-columns let the SVG
+   * exporter make room for the menu.
+   * prefix: typed text (highlighted in every item); prefixWidth: its screen cells
+   */
+  render(items, { prefix = '', prefixWidth = prefix.length, column = prefixWidth } = {}) {
+    if (items.length === 0) {
+      return '';
+    }
+
+    const { style, maxHeight } = this.options;
+    const selected = Math.min(this.options.selected, items.length - 1);
+    const height = maxHeight > 0 ? Math.min(maxHeight, items.length) : items.length;
+    const first = this.getFirstVisible(selected, height, items.length);
+    const rows = items.map(item => this.getColumns(item));
+    const widths = this.getColumnWidths(rows);
+    const thumb = this.getScrollThumb(first, height, items.length);
+
+    const itemsHtml = rows.slice(first, first + height).map((row, i) => {
+      const index = first + i;
+      const scrollbar = thumb
+        ? `<span class="${i >= thumb.start && i < thumb.start + thumb.height ? 'PmenuThumb' : 'PmenuSbar'}"> </span>`
+        : '';
+      return `<span class="pmenu-item ${index === selected ? 'PmenuSel' : 'Pmenu'}">` +
+        this.renderRow(row, widths, prefix) +
+        scrollbar +
+        '</span>';
+    }).join('');
+
+    const current = items[selected];
+    const info = this.options.documentation && current && current.info ? current.info : '';
+    const documentation = info ? this.renderDocumentation(info) : '';
+
+    // Item text lines up with the start of the completed word, one cell in for the padding
+    const offset = Math.min(prefixWidth + 1, column);
+    const menuWidth = widths.total + (thumb ? 1 : 0);
+
+    console.log('🍔 [PMENU DEBUG] Completion menu', {
+      style,
+      items: items.length,
+      selected,
+      first,
+      height,
+      scrollbar: !!thumb,
+      documentation: !!documentation
+    });
+
+    return `<span class="pmenu-anchor" data-rows="${height}" data-columns="${menuWidth + this.getDocumentationWidth(info) - offset}">` +
+      `<span class="pmenu pmenu-${style}" style="left: -${offset}ch">` +
+      `<span class="pmenu-list">${itemsHtml}</span>` +
+      documentation +
+      '</span></span>';
+  }
+
+  /**
+   * Keep the selected item in view (the list scrolls like Neovim's popup)
+   */
+  getFirstVisible(selected, height, count) {
+    if (selected < height) return 0;
+    return Math.min(selected - height + 1, count - height);
+  }
+
+  /**
+   * Scrollbar thumb when the list is longer than 'pumheight' (same formula as Neovim's pum_redraw)
+   */
+  getScrollThumb(first, height, count) {
+    if (count <= height) {
+      return null;
+    }
+    const thumbHeight = Math.max(1, Math.floor((height * height) / count));
+    const start = Math.floor((first * (height - thumbHeight) + Math.floor((count - height) / 2)) / (count - height));
+    return { start, height: thumbHeight };
+  }
+
+  /**
+   * Text columns of an item: abbr, kind (with its highlight group) and menu
+   */
+  getColumns(item) {
+    const abbr = item.abbr || item.word || '';
+    const menu = item.menu || '';
+
+    if (this.options.style !== 'cmp') {
+      return { abbr, kind: item.kind || '', kindGroup: 'PmenuKind', menu };
+    }
+
+    // nvim-cmp: every entry has an LSP kind, shown with lspkind's icon and/or name
+    const kindName = VIM_KINDS[item.kind] || item.kind || 'Text';
+    const icon = KIND_ICONS[kindName] || '';
+    const kind = {
+      'symbol': icon,
+      'text': kindName,
+      'symbol_text': icon ? `${icon} ${kindName}` : kindName
+    }[this.options.kindFormat] ?? kindName;
+
+    return { abbr, kind, kindGroup: `CmpItemKind${kindName}`, menu };
+  }
+
+  getColumnWidths(rows) {
+    const longest = field => Math.max(0, ...rows.map(row => Array.from(row[field]).length));
+    const widths = { abbr: longest('abbr'), kind: longest('kind'), menu: longest('menu') };
+
+    // ' abbr kind menu ': a space before every column and one at the end
+    const used = () => 1 + widths.abbr + (widths.kind ? widths.kind + 1 : 0) + (widths.menu ? widths.menu + 1 : 0) + 1;
+    widths.abbr += Math.max(0, this.options.minWidth - used());
+    widths.total = used();
+    return widths;
+  }
+
+  renderRow(row, widths, prefix) {
+    const pad = (text, width) => text + ' '.repeat(Math.max(0, width - Array.from(text).length));
+    const matchGroup = this.options.style === 'cmp' ? 'CmpItemAbbrMatch' : 'PmenuMatch';
+
+    let abbr = HtmlEscaper.escape(pad(row.abbr, widths.abbr));
+    if (prefix && row.abbr.startsWith(prefix)) {
+      abbr = `<span class="${matchGroup}">${HtmlEscaper.escape(prefix)}</span>` +
+        HtmlEscaper.escape(pad(row.abbr, widths.abbr).substring(prefix.length));
+    }
+
+    let html = ` ${abbr}`;
+    if (widths.kind) {
+      html += ` <span class="${row.kindGroup}">${HtmlEscaper.escape(pad(row.kind, widths.kind))}</span>`;
+    }
+    if (widths.menu) {
+      html += ` <span class="PmenuExtra">${HtmlEscaper.escape(pad(row.menu, widths.menu))}</span>`;
+    }
+    return `${html} `;
+  }
+
+  /**
+   * Side window with the 'info' of the selected item (one block per line:
+   * a newline would split the buffer row it sits on)
+   */
+  renderDocumentation(info) {
+    const lines = info.split('\n');
+    return '<span class="pmenu-doc NormalFloat">' +
+      lines.map(line => `<span class="pmenu-doc-line"> ${HtmlEscaper.escape(line)} </span>`).join('') +
+      '</span>';
+  }
+
+  getDocumentationWidth(info) {
+    if (!info) return 0;
+    return Math.max(...info.split('\n').map(line => Array.from(line).length)) + 2;
+  }
+}
+
+// Export for ES module usage
+export {
+    CompletionMenu,
+    COMPLETION_STYLES
+};
@@ -0,0 +1,155 @@
+// Diagnostics for VimCraft (vim.diagnostic look)
+// Underlines (undercurl) the affected characters with DiagnosticUnderline*,
+// and builds the end-of-line virtual text ("■ 'foo' is not defined") and signs
+
+import { HtmlEscaper } from './html-escape.js';
+
+const SEVERITIES = {
+  'error': 'Error',
+  'warn': 'Warn',
+  'info': 'Info',
+  'hint': 'Hint'
+};
+
+// Short names accepted in the notation and in the severity field
+const SEVERITY_ALIASES = {
+  'e': 'error', 'w': 'warn', 'i': 'info', 'h': 'hint',
+  'warning': 'warn', 'information': 'info'
+};
+
+// vim.diagnostic virtual_text defaults
+const VIRTUAL_TEXT_PREFIX = '■';
+const VIRTUAL_TEXT_SPACING = 4;
+
+/**
+ * Paints diagnostics over a token stream; a diagnostic is
+ * { start, end, severity, message } (buffer offsets) or
+ * { line, col, endLine?, endCol?, severity, message } (1-based, endCol inclusive)
+ */
+class DiagnosticsOverlay {
+  constructor(visualEffectsProcessor) {
+    this.visualEffectsProcessor = visualEffectsProcessor;
+  }
+
+  /**
+   * "3:5-9 E 'foo' is not defined; 7:1 W unused" (one diagnostic per line or ';')
+   */
+  static parse(spec) {
+    return (spec || '').split(/[;\n]/).map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const match = entry.match(/^(\d+):(\d+)(?:-(\d+))?\s+(\S+)\s*(.*)$/);
+      if (!match) {
+        console.warn('Ignoring invalid diagnostic notation:', entry);
+        return null;
+      }
+
+      const [, line, col, endCol, severity, message] = match;
+      return {
+        line: parseInt(line, 10),
+        col: parseInt(col, 10),
+        endCol: endCol ? parseInt(endCol, 10) : parseInt(col, 10),
+        severity,
+        message
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Normalize every diagnostic to { start, end, line, severity, message } on source
+   */
+  resolve(diagnostics, source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source.charAt(i) === '\n') lineStarts.push(i + 1);
+    }
+
+    return diagnostics.map(diagnostic => {
+      const severity = this.normalizeSeverity(diagnostic.severity);
+      let start = diagnostic.start;
+      let end = diagnostic.end;
+
+      if (start === undefined && diagnostic.line !== undefined) {
+        const lineStart = lineStarts[diagnostic.line - 1] ?? source.length;
+        const endLineStart = lineStarts[(diagnostic.endLine || diagnostic.line) - 1] ?? source.length;
+        start = lineStart + Math.max(0, (diagnostic.col || 1) - 1);
+        end = endLineStart + (diagnostic.endCol || diagnostic.col || 1);
+      }
+
+      start = Math.max(0, Math.min(start ?? 0, source.length));
+      end = Math.max(start, Math.min(end ?? start + 1, source.length));
+
+      return {
+        start,
+        end,
+        line: this.visualEffectsProcessor.getLineNumber(source, start),
+        severity,
+        message: diagnostic.message || ''
+      };
+    });
+  }
+
+  normalizeSeverity(severity) {
+    const name = String(severity || 'error').toLowerCase();
+    const normalized = SEVERITY_ALIASES[name] || name;
+    return SEVERITIES[normalized] ? normalized : 'error';
+  }
+
+  /**
+   * Underline every range (applied before the cursor, like search matches)
+   */
+  apply(tokens, diagnostics, options = {}) {
+    const undercurl = options.undercurl !== false;
+    let result = tokens;
+
+    diagnostics.forEach(diagnostic => {
+      const className = `DiagnosticUnderline${SEVERITIES[diagnostic.severity]}`;
+      result = this.visualEffectsProcessor.applyHighlight(result, diagnostic.start, diagnostic.end, className);
+      if (!undercurl) {
+        result = this.visualEffectsProcessor.applyHighlight(result, diagnostic.start, diagnostic.end, 'diagnostic-underline-straight');
+      }
+    });
+
+    console.log('🩺 [DIAGNOSTICS DEBUG] Underlined ranges', {
+      diagnostics: diagnostics.length,
+      undercurl
+    });
+
+    return result;
+  }
+
+  /**
+   * Map(line -> html): one prefix per diagnostic of the line, the message of the last one
+   * ("■■■ message", as Neovim writes the chunks side by side)
+   */
+  getVirtualText(diagnostics) {
+    const byLine = new Map();
+    diagnostics.forEach(diagnostic => {
+      if (!byLine.has(diagnostic.line)) byLine.set(diagnostic.line, []);
+      byLine.get(diagnostic.line).push(diagnostic);
+    });
+
+    const virtualText = new Map();
+    byLine.forEach((lineDiagnostics, line) => {
+      const last = lineDiagnostics[lineDiagnostics.length - 1];
+      const prefixes = lineDiagnostics.slice(0, -1)
+        .map(diagnostic => `<span class="DiagnosticVirtualText${SEVERITIES[diagnostic.severity]}">${VIRTUAL_TEXT_PREFIX}</span>`)
+        .join('');
+      const message = `<span class="DiagnosticVirtualText${SEVERITIES[last.severity]}">${VIRTUAL_TEXT_PREFIX} ${HtmlEscaper.escape(last.message)}</span>`;
+
+      virtualText.set(line, ' '.repeat(VIRTUAL_TEXT_SPACING) + prefixes + message);
+    });
+
+    return virtualText;
+  }
+
+  /**
+   * Signs for the sign column, as vim.diagnostic places them
+   */
+  getSigns(diagnostics) {
+    return diagnostics.map(diagnostic => ({ line: diagnostic.line, type: diagnostic.severity }));
+  }
+}
+
+// Export for ES module usage
+export {
+    DiagnosticsOverlay
+};
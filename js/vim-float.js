@@ -0,0 +1,243 @@
+// Floating windows for VimCraft (nvim_open_win)
+// Bordered boxes for `K` hover docs, signature help or :messages, anchored to
+// the cursor, a buffer position or a corner of the editor. Their content is
+// highlighted by its own PrismVimHighlighter and they stack by zindex, above
+// the cursor overlay.
+
+import { PrismVimHighlighterFactory } from './prism-vim-integration.js';
+import { LineGutter } from './line-gutter.js';
+import { HtmlEscaper } from './html-escape.js';
+
+// Border characters in nvim_open_win order: top-left, top, top-right, right,
+// bottom-right, bottom, bottom-left, left
+const FLOAT_BORDERS = {
+  'none': null,
+  'single': ['┌', '─', '┐', '│', '┘', '─', '└', '│'],
+  'double': ['╔', '═', '╗', '║', '╝', '═', '╚', '║'],
+  'rounded': ['╭', '─', '╮', '│', '╯', '─', '╰', '│'],
+  'solid': [' ', ' ', ' ', ' ', ' ', ' ', ' ', ' ']
+};
+
+const FLOAT_RELATIVE = ['cursor', 'buffer', 'editor'];
+const FLOAT_ANCHORS = ['NW', 'NE', 'SW', 'SE'];
+const TITLE_POSITIONS = ['left', 'center', 'right'];
+
+const DEFAULT_FLOAT_OPTIONS = {
+  relative: 'cursor', // 'buffer' needs { line, col } (1-based) or { position }
+  anchor: 'NW',       // corner of the float placed at (row, col)
+  row: 1,             // below the cursor line, like a hover window
+  col: 0,
+  width: null,        // defaults to the widest content line
+  height: null,       // defaults to the number of content lines
+  border: 'single',
+  title: '',
+  titlePos: 'left',
+  zindex: 50,         // Neovim's default; the completion menu uses 100
+  language: null      // Prism language of the content (plain text when null)
+};
+
+/**
+ * One float: content, border, title and where it goes
+ */
+class FloatingWindow {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_FLOAT_OPTIONS,
+      ...config,
+      relative: FLOAT_RELATIVE.includes(config.relative) ? config.relative : DEFAULT_FLOAT_OPTIONS.relative,
+      anchor: FLOAT_ANCHORS.includes(config.anchor) ? config.anchor : DEFAULT_FLOAT_OPTIONS.anchor,
+      titlePos: TITLE_POSITIONS.includes(config.titlePos) ? config.titlePos : DEFAULT_FLOAT_OPTIONS.titlePos
+    };
+
+    if (!(this.config.border in FLOAT_BORDERS)) {
+      throw new Error(`Unknown float border: ${this.config.border}`);
+    }
+  }
+
+  /**
+   * Highlighter of the content: the one given, or a new one for config.language
+   */
+  getHighlighter() {
+    if (this.config.highlighter) {
+      return this.config.highlighter;
+    }
+    return this.config.language ? PrismVimHighlighterFactory.create(this.config.language) : null;
+  }
+
+  /**
+   * Content lines as { html, width }; renderTokens turns highlighter tokens into HTML
+   */
+  renderContent(renderTokens, tabstop) {
+    const text = (this.config.content || '').split('\n').map(line => this.expandTabs(line, tabstop)).join('\n');
+    const textLines = text.split('\n');
+    const highlighter = this.getHighlighter();
+
+    const htmlLines = highlighter
+      ? new LineGutter().splitLines(renderTokens(highlighter, highlighter.tokenize(text))).map(line => line.html)
+      : textLines.map(line => HtmlEscaper.escape(line));
+
+    return textLines.map((line, i) => ({ html: htmlLines[i] || '', width: Array.from(line).length }));
+  }
+
+  /**
+   * The bordered box (without its position); returns { html, rows, columns }
+   */
+  render(renderTokens, tabstop) {
+    const lines = this.renderContent(renderTokens, tabstop);
+    const width = this.config.width || Math.max(1, ...lines.map(line => line.width));
+    const height = this.config.height || lines.length;
+    const border = FLOAT_BORDERS[this.config.border];
+
+    const rows = [];
+    for (let i = 0; i < height; i++) {
+      const line = lines[i] || { html: '', width: 0 };
+      const padding = ' '.repeat(Math.max(0, width - line.width));
+      const body = `<span class="float-body">${line.html}${padding}</span>`;
+      rows.push(border
+        ? `${this.renderBorder(border[7])}${body}${this.renderBorder(border[3])}`
+        : body);
+    }
+
+    if (border) {
+      rows.unshift(this.renderTopBorder(border, width));
+      rows.push(this.renderBorder(border[6] + border[5].repeat(width) + border[4]));
+    }
+
+    return {
+      html: rows.map(row => `<span class="float-row">${row}</span>`).join(''),
+      rows: rows.length,
+      columns: width + (border ? 2 : 0)
+    };
+  }
+
+  /**
+   * Top border with the title in it (FloatTitle), placed by titlePos
+   */
+  renderTopBorder(border, width) {
+    const title = Array.from(this.config.title || '').slice(0, width).join('');
+    const fill = width - Array.from(title).length;
+    const before = { left: 0, center: Math.floor(fill / 2), right: fill }[this.config.titlePos];
+
+    return this.renderBorder(border[0] + border[1].repeat(before)) +
+      (title ? `<span class="FloatTitle">${HtmlEscaper.escape(title)}</span>` : '') +
+      this.renderBorder(border[1].repeat(fill - before) + border[2]);
+  }
+
+  renderBorder(text) {
+    return text ? `<span class="FloatBorder">${HtmlEscaper.escape(text)}</span>` : '';
+  }
+
+  /**
+   * CSS offsets of the box: cells (ch) and lines (lh) from the top-left of
+   * the line it hangs from, or from the editor corner named by anchor
+   */
+  getPositionStyle(column, lineCount) {
+    const { relative, anchor, row, col, zindex } = this.config;
+    const styles = [`z-index: ${zindex}`];
+
+    if (relative === 'editor') {
+      // row / col count from the corner named by anchor
+      styles.push(anchor.startsWith('N') ? `top: ${row}lh` : `top: ${lineCount - row}lh`);
+      styles.push(anchor.endsWith('W') ? `left: ${col}ch` : `right: ${col}ch`);
+    } else {
+      styles.push(anchor.startsWith('N') ? `top: ${row}lh` : `bottom: ${1 - row}lh`);
+      styles.push(anchor.endsWith('W') ? `left: ${column + col}ch` : `right: ${-(column + col)}ch`);
+    }
+
+    if (relative === 'editor' && anchor.startsWith('S')) {
+      styles.push('transform: translateY(-100%)');
+    }
+
+    return styles.join('; ');
+  }
+
+  expandTabs(line, tabstop) {
+    let result = '';
+    for (const char of line) {
+      result += char === '\t' ? ' '.repeat(tabstop - (result.length % tabstop)) : char;
+    }
+    return result;
+  }
+}
+
+/**
+ * Places every float of a frame: buffer floats hang from the start of their
+ * line (LineGutter overlays), editor floats go in a layer before the buffer
+ */
+class FloatLayer {
+  constructor(visualEffectsProcessor) {
+    this.visualEffectsProcessor = visualEffectsProcessor;
+  }
+
+  /**
+   * Returns { overlays: Map(line -> html), editorHtml }
+   */
+  build(floats, { source, cursorPosition, tabstop, renderTokens }) {
+    const overlays = new Map();
+    if (floats.length === 0) {
+      return { overlays, editorHtml: '' };
+    }
+
+    const editorFloats = [];
+    const lineCount = source.replace(/\n$/, '').split('\n').length;
+
+    floats.forEach(config => {
+      const float = config instanceof FloatingWindow ? config : new FloatingWindow(config);
+      const box = float.render(renderTokens, tabstop);
+
+      if (float.config.relative === 'editor') {
+        const style = float.getPositionStyle(0, lineCount);
+        editorFloats.push(`<span class="float-window NormalFloat" style="${style}">${box.html}</span>`);
+        return;
+      }
+
+      const position = this.getAnchorPosition(float.config, source, cursorPosition);
+      const line = this.visualEffectsProcessor.getLineNumber(source, position);
+      const column = this.visualEffectsProcessor.getVirtualColumn(source, position, tabstop);
+      const style = float.getPositionStyle(column, lineCount);
+
+      // Extent below the anchor line and right of its start, for the SVG exporter
+      const rows = float.config.anchor.startsWith('N') ? float.config.row + box.rows - 1 : 0;
+      const columns = float.config.anchor.endsWith('W') ? column + float.config.col + box.columns : column + float.config.col;
+
+      const html = `<span class="float-anchor" data-rows="${Math.max(0, rows)}" data-columns="${columns}">` +
+        `<span class="float-window NormalFloat" style="${style}">${box.html}</span></span>`;
+      overlays.set(line, (overlays.get(line) || '') + html);
+    });
+
+    console.log('🪟 [FLOAT DEBUG] Floating windows placed', {
+      floats: floats.length,
+      bufferLines: [...overlays.keys()],
+      editorFloats: editorFloats.length
+    });
+
+    return {
+      overlays,
+      editorHtml: editorFloats.length > 0 ? `<div class="float-editor-layer">${editorFloats.join('')}</div>` : ''
+    };
+  }
+
+  /**
+   * Buffer offset the float hangs from: the cursor, or { position } / { line, col } (1-based)
+   */
+  getAnchorPosition(config, source, cursorPosition) {
+    if (config.relative === 'cursor') {
+      return cursorPosition;
+    }
+    if (config.position !== undefined) {
+      return Math.max(0, Math.min(config.position, source.length));
+    }
+
+    const lines = source.split('\n');
+    const lineIndex = Math.max(0, Math.min((config.line || 1) - 1, lines.length - 1));
+    const lineStart = lines.slice(0, lineIndex).reduce((sum, line) => sum + line.length + 1, 0);
+    return lineStart + Math.min(Math.max(0, (config.col || 1) - 1), lines[lineIndex].length);
+  }
+}
+
+// Export for ES module usage
+export {
+    FloatingWindow,
+    FloatLayer,
+    FLOAT_BORDERS
+};
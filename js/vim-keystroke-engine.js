@@ -0,0 +1,2312 @@
+// Keystroke interpreter for VimCraft
+// Drives the simulation from Vim commands: a start state (buffer + cursor)
+// plus keys such as "3wciwfoo<Esc>" produce the resulting buffer, cursor,
+// selection and mode, ready to be rendered by NeovimModeSimulator.processCode
+
+import { VimPatternTranslator } from './vim-search.js';
+
+// Names accepted inside <...> key notation (lowercase) and the key they stand for
+const KEY_NOTATION = {
+  'esc': '<Esc>',
+  'c-[': '<Esc>',
+  'c-c': '<Esc>',
+  'cr': '<CR>',
+  'enter': '<CR>',
+  'return': '<CR>',
+  'nl': '<CR>',
+  'bs': '<BS>',
+  'c-h': '<BS>',
+  'tab': '<Tab>',
+  'space': ' ',
+  'lt': '<',
+  'bar': '|',
+  'bslash': '\\',
+  'del': '<Del>',
+  'left': '<Left>',
+  'right': '<Right>',
+  'up': '<Up>',
+  'down': '<Down>',
+  'c-v': '<C-v>',
+  'c-q': '<C-v>',
+  'c-r': '<C-r>',
+  'c-w': '<C-w>'
+};
+
+// Default buffer options (Neovim defaults: autoindent on, startofline off)
+const DEFAULT_ENGINE_OPTIONS = {
+  shiftwidth: 4,
+  expandtab: true,
+  autoindent: true,
+  startofline: false,
+  ignorecase: false,
+  smartcase: false
+};
+
+const OPERATORS = ['d', 'c', 'y', '>', '<'];
+const CASE_OPERATORS = { 'u': 'gu', 'U': 'gU', '~': 'g~' };
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+const TEXT_OBJECT_BRACKETS = {
+  '(': '(', ')': '(', 'b': '(',
+  '{': '{', '}': '{', 'B': '{',
+  '[': '[', ']': '[',
+  '<': '<', '>': '<'
+};
+const SIMPLE_MOTIONS = [
+  'h', 'j', 'k', 'l', 'w', 'W', 'b', 'B', 'e', 'E', '0', '^', '$', 'G', '%', '{', '}',
+  'n', 'N', ';', ',', ' ', '<Left>', '<Right>', '<Up>', '<Down>', '<BS>'
+];
+const INSERT_COMMANDS = ['i', 'a', 'I', 'A', 'o', 'O'];
+
+/**
+ * Splits a key sequence written in Vim notation into single keys
+ */
+class VimKeyParser {
+  /**
+   * "3wciwfoo<Esc>" -> ['3', 'w', 'c', 'i', 'w', 'f', 'o', 'o', '<Esc>']
+   */
+  static parse(keys) {
+    const result = [];
+    let i = 0;
+
+    while (i < keys.length) {
+      if (keys[i] === '<') {
+        const closing = keys.indexOf('>', i + 1);
+        const name = closing === -1 ? null : keys.substring(i + 1, closing).toLowerCase();
+
+        if (name && KEY_NOTATION[name]) {
+          result.push(KEY_NOTATION[name]);
+          i = closing + 1;
+          continue;
+        }
+      }
+
+      result.push(keys[i]);
+      i += 1;
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Minimal Vim engine working on a plain string buffer with offset-based cursor
+ */
+class VimKeystrokeEngine {
+  constructor(text = '', cursor = 0, options = {}) {
+    this.options = { ...DEFAULT_ENGINE_OPTIONS, ...options };
+    this.text = text;
+    this.mode = 'normal';
+    this.cursor = 0;
+    this.anchor = 0;               // Visual mode: the other end of the selection
+    this.curswant = 0;             // Preferred column for j / k
+    this.pending = [];             // Keys of the Normal mode command being typed
+    this.registers = {};
+    this.lastFind = null;          // Last f / t / F / T for ; and ,
+    this.lastSearch = null;        // { pattern, backward }
+    this.lastSubstitute = null;    // Replacement string of the last :s, matched by "~"
+    this.hlsearch = false;
+    this.commandLine = '';
+    this.commandType = ':';
+    this.replaceStart = 0;         // Replace mode: where overtyping started
+    this.replaceOriginals = [];    // Replace mode: characters overtyped, for <BS>
+    this.blockInsert = null;       // Visual Block I / A / c waiting for <Esc>
+    this.insertRepeat = null;      // Insert / Replace with a count: text to repeat on <Esc>
+    this.autoIndented = false;     // Nothing typed yet after an autoindent
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastChange = null;        // { keys, count } of the last change, for "."
+    this.changeRecording = null;
+    this.replaying = false;
+    this.lastKey = null;
+
+    this.setCursor(cursor);
+  }
+
+  /**
+   * Run keys from a start state and return the resulting state
+   */
+  static run(text, cursor, keys, options = {}) {
+    const engine = new VimKeystrokeEngine(text, cursor, options);
+    engine.feed(keys);
+    return engine.getState();
+  }
+
+  /**
+   * Feed a key sequence in Vim notation
+   */
+  feed(keys) {
+    const keyList = Array.isArray(keys) ? keys : VimKeyParser.parse(keys);
+    keyList.forEach(key => this.pressKey(key));
+    return this;
+  }
+
+  /**
+   * Process one key in the current mode
+   */
+  pressKey(key) {
+    this.lastKey = key;
+
+    if (this.changeRecording && !this.replaying) {
+      this.changeRecording.keys.push(key);
+    }
+
+    switch (this.mode) {
+      case 'insert':
+        this.handleInsertKey(key);
+        break;
+      case 'replace':
+      case 'vreplace':
+        this.handleReplaceKey(key);
+        break;
+      case 'command':
+        this.handleCommandLineKey(key);
+        break;
+      default:
+        this.handleNormalKey(key);
+    }
+  }
+
+  // ========================================
+  // STATE
+  // ========================================
+
+  getState() {
+    return {
+      text: this.text,
+      cursor: this.cursor,
+      mode: this.mode,
+      anchor: this.isVisualMode() ? this.anchor : null,
+      pendingKeys: this.pending.join(''),
+      commandLine: this.mode === 'command' ? this.commandLine : null,
+      commandType: this.mode === 'command' ? this.commandType : null,
+      search: this.hlsearch && this.lastSearch ? this.lastSearch.pattern : null,
+      lastKey: this.lastKey
+    };
+  }
+
+  /**
+   * Arguments for NeovimModeSimulator.processCode(sourceCode, mode, selectionStart, selectionEnd, options)
+   */
+  getRenderArgs() {
+    const options = {};
+    let mode = this.mode;
+    let selectionStart = this.cursor;
+    let selectionEnd = this.cursor;
+
+    if (this.isVisualMode()) {
+      selectionStart = Math.min(this.anchor, this.cursor);
+      selectionEnd = Math.max(this.anchor, this.cursor) + 1;
+      options.cursorPosition = this.cursor;
+      if (this.mode === 'visual-block' && this.curswant === Infinity) {
+        options.blockToEol = true;
+      }
+    } else if (this.mode === 'replace' || this.mode === 'vreplace') {
+      selectionStart = Math.min(this.replaceStart, this.cursor);
+    } else if (this.mode === 'command') {
+      options.command = this.commandLine;
+      options.commandType = this.commandType;
+    } else if (this.mode !== 'insert') {
+      mode = 'normal';
+    }
+
+    if (this.hlsearch && this.lastSearch) {
+      options.search = { pattern: this.lastSearch.pattern };
+    }
+    if (this.lastSubstitute !== null) {
+      options.lastSubstitute = this.lastSubstitute;
+    }
+
+    return {
+      sourceCode: this.text,
+      mode,
+      selectionStart,
+      selectionEnd,
+      options
+    };
+  }
+
+  isVisualMode() {
+    return this.mode === 'visual' || this.mode === 'visual-line' || this.mode === 'visual-block';
+  }
+
+  // ========================================
+  // BUFFER HELPERS
+  // ========================================
+
+  getLineStart(position) {
+    if (position <= 0) return 0;
+    return this.text.lastIndexOf('\n', position - 1) + 1;
+  }
+
+  getLineEnd(position) {
+    const newlineIndex = this.text.indexOf('\n', position);
+    return newlineIndex === -1 ? this.text.length : newlineIndex;
+  }
+
+  getColumn(position) {
+    return position - this.getLineStart(position);
+  }
+
+  getLineCount() {
+    // A trailing newline ends the last line, it does not start a new one
+    const lines = this.text.split('\n').length;
+    return this.text.endsWith('\n') ? lines - 1 : lines;
+  }
+
+  getLineNumber(position) {
+    return this.text.substring(0, position).split('\n').length - 1;
+  }
+
+  getLineStartByNumber(lineNumber) {
+    let position = 0;
+    for (let i = 0; i < lineNumber; i++) {
+      const newlineIndex = this.text.indexOf('\n', position);
+      if (newlineIndex === -1) break;
+      position = newlineIndex + 1;
+    }
+    return position;
+  }
+
+  getFirstNonBlank(position) {
+    const lineStart = this.getLineStart(position);
+    const lineEnd = this.getLineEnd(position);
+    let i = lineStart;
+    while (i < lineEnd && /[ \t]/.test(this.text[i])) i++;
+    return i < lineEnd ? i : Math.max(lineStart, lineEnd - 1);
+  }
+
+  getIndent(position) {
+    const lineStart = this.getLineStart(position);
+    return /^[ \t]*/.exec(this.text.substring(lineStart, this.getLineEnd(position)))[0];
+  }
+
+  /**
+   * Keep the cursor on a character: in Normal mode it cannot rest on the newline
+   * (except on an empty line)
+   */
+  clampNormal(position) {
+    const bounded = Math.max(0, Math.min(position, this.text.length));
+    const lineStart = this.getLineStart(bounded);
+    const lineEnd = this.getLineEnd(bounded);
+    if (lineEnd === lineStart) return lineStart;
+    return Math.min(bounded, lineEnd - 1);
+  }
+
+  setCursor(position, keepCurswant = false) {
+    const allowPastEnd = this.mode === 'insert' || this.mode === 'replace' || this.mode === 'vreplace' ||
+      this.isVisualMode();
+    this.cursor = allowPastEnd
+      ? Math.max(0, Math.min(position, this.text.length))
+      : this.clampNormal(position);
+
+    if (!keepCurswant) {
+      this.curswant = this.getColumn(this.cursor);
+    }
+  }
+
+  /**
+   * Character class used by word motions: 0 blank, 1 punctuation, 2 keyword
+   * (for WORD motions everything non-blank is class 1)
+   */
+  charClass(char, bigWord = false) {
+    if (char === undefined || /\s/.test(char)) return 0;
+    if (bigWord) return 1;
+    return /[\wÀ-ɏ]/.test(char) ? 2 : 1;
+  }
+
+  isEmptyLineAt(position) {
+    return this.text[position] === '\n' && (position === 0 || this.text[position - 1] === '\n');
+  }
+
+  replaceText(start, end, replacement) {
+    this.text = this.text.substring(0, start) + replacement + this.text.substring(end);
+  }
+
+  saveUndoState() {
+    this.undoStack.push({ text: this.text, cursor: this.cursor });
+    this.redoStack = [];
+  }
+
+  // ========================================
+  // NORMAL / VISUAL MODE
+  // ========================================
+
+  handleNormalKey(key) {
+    if (key === '<Esc>' && this.pending.length === 0) {
+      if (this.isVisualMode()) {
+        this.exitVisualMode();
+      }
+      return;
+    }
+
+    this.pending.push(key);
+    const parsed = this.parseCommand(this.pending);
+
+    if (parsed.status === 'incomplete') {
+      return;
+    }
+
+    const keys = this.pending;
+    this.pending = [];
+
+    if (parsed.status !== 'complete') {
+      console.log('⌨️ [KEYSTROKE DEBUG] Ignoring invalid command', keys.join(''));
+      return;
+    }
+
+    this.executeCommand(parsed.command, keys);
+  }
+
+  /**
+   * Parse "[\"x][count]{command}" from the pending keys.
+   * Returns { status: 'incomplete' | 'invalid' | 'complete', command }
+   */
+  parseCommand(keys) {
+    let i = 0;
+    const command = { register: '"', count: null };
+
+    if (keys[i] === '"') {
+      if (keys.length < 2) return { status: 'incomplete' };
+      command.register = keys[1];
+      i = 2;
+    }
+
+    const count = this.readCount(keys, i);
+    command.count = count.value;
+    i = count.next;
+
+    if (i >= keys.length) return { status: 'incomplete' };
+
+    const key = keys[i];
+    const next = keys[i + 1];
+
+    // Operators: d c y > < and gu gU g~
+    let operator = null;
+    let operatorLength = 1;
+    if (OPERATORS.includes(key)) {
+      operator = key;
+    } else if (key === 'g') {
+      if (next === undefined) return { status: 'incomplete' };
+      if (CASE_OPERATORS[next]) {
+        operator = CASE_OPERATORS[next];
+        operatorLength = 2;
+      }
+    }
+
+    if (operator) {
+      // Visual mode operators act on the selection right away
+      if (this.isVisualMode()) {
+        return { status: 'complete', command: { ...command, type: 'visual-operator', operator } };
+      }
+
+      const rest = keys.slice(i + operatorLength);
+      return this.parseOperatorTarget(command, operator, rest);
+    }
+
+    // Motions and text objects
+    const motion = this.parseMotion(keys, i, this.isVisualMode());
+    if (motion.status === 'incomplete') return { status: 'incomplete' };
+    if (motion.status === 'complete') {
+      return { status: 'complete', command: { ...command, type: 'motion', motion: motion.motion } };
+    }
+
+    // Two-key commands
+    if (['r', 'm', '`', "'"].includes(key) || (key === 'g' && ['R', 'J', 'v'].includes(next))) {
+      if (next === undefined) return { status: 'incomplete' };
+      if (key === 'g') {
+        return { status: 'complete', command: { ...command, type: 'simple', name: `g${next}` } };
+      }
+      return { status: 'complete', command: { ...command, type: 'simple', name: key, arg: next } };
+    }
+
+    if (key === 'Z') {
+      if (next === undefined) return { status: 'incomplete' };
+      return { status: 'complete', command: { ...command, type: 'simple', name: `Z${next}` } };
+    }
+
+    return { status: 'complete', command: { ...command, type: 'simple', name: key } };
+  }
+
+  readCount(keys, start) {
+    let i = start;
+    let digits = '';
+    while (i < keys.length && /^[0-9]$/.test(keys[i]) && !(digits === '' && keys[i] === '0')) {
+      digits += keys[i];
+      i++;
+    }
+    return { value: digits ? parseInt(digits, 10) : null, next: i };
+  }
+
+  /**
+   * After an operator: a second count, then a motion, a text object or the
+   * operator repeated (dd, cc, yy, >>, <<, guu / gugu, gUU / gUgU, g~~)
+   */
+  parseOperatorTarget(command, operator, rest) {
+    const count = this.readCount(rest, 0);
+    let i = count.next;
+    const totalCount = command.count || count.value
+      ? (command.count || 1) * (count.value || 1)
+      : null;
+
+    if (i >= rest.length) return { status: 'incomplete' };
+
+    const operatorKey = operator.length === 2 ? operator[1] : operator;
+    const isDoubled = rest[i] === operatorKey ||
+      (operator.length === 2 && rest[i] === 'g' && rest[i + 1] === operatorKey);
+
+    if (operator.length === 2 && rest[i] === 'g' && rest[i + 1] === undefined) {
+      return { status: 'incomplete' };
+    }
+
+    if (isDoubled) {
+      return {
+        status: 'complete',
+        command: { ...command, count: totalCount, type: 'operator', operator, motion: { key: 'line' } }
+      };
+    }
+
+    const motion = rest[i] === '/' || rest[i] === '?'
+      ? this.parseSearchMotion(rest, i)
+      : this.parseMotion(rest, i, true);
+    if (motion.status === 'none') return { status: 'invalid' };
+    if (motion.status !== 'complete') return { status: motion.status };
+
+    return {
+      status: 'complete',
+      command: { ...command, count: totalCount, type: 'operator', operator, motion: motion.motion }
+    };
+  }
+
+  /**
+   * "d/pat<CR>", "y?pat<CR>": the pattern is typed into the pending keys
+   */
+  parseSearchMotion(keys, i) {
+    const end = keys.indexOf('<CR>', i + 1);
+    if (keys.includes('<Esc>', i + 1)) return { status: 'invalid' };
+    if (end === -1) return { status: 'incomplete' };
+    return { status: 'complete', motion: { key: keys[i], arg: keys.slice(i + 1, end).join('') } };
+  }
+
+  /**
+   * Parse a motion (or a text object when allowTextObjects) starting at keys[i]
+   */
+  parseMotion(keys, i, allowTextObjects) {
+    const key = keys[i];
+    const next = keys[i + 1];
+
+    if (SIMPLE_MOTIONS.includes(key)) {
+      return { status: 'complete', motion: { key } };
+    }
+
+    if (['f', 'F', 't', 'T'].includes(key)) {
+      if (next === undefined) return { status: 'incomplete' };
+      return { status: 'complete', motion: { key, arg: next } };
+    }
+
+    if (key === 'g') {
+      if (next === undefined) return { status: 'incomplete' };
+      if (['g', 'e', 'E', '_'].includes(next)) {
+        return { status: 'complete', motion: { key: `g${next}` } };
+      }
+      return { status: 'none' };
+    }
+
+    if (allowTextObjects && (key === 'i' || key === 'a')) {
+      if (next === undefined) return { status: 'incomplete' };
+      return { status: 'complete', motion: { key: 'textobject', inner: key === 'i', object: next } };
+    }
+
+    return { status: 'none' };
+  }
+
+  executeCommand(command, keys) {
+    console.log('⌨️ [KEYSTROKE DEBUG] Executing command', { keys: keys.join(''), command });
+
+    switch (command.type) {
+      case 'motion':
+        this.executeMotionCommand(command);
+        break;
+      case 'operator':
+        this.startChange(keys, command.operator !== 'y');
+        this.executeOperator(command);
+        break;
+      case 'visual-operator':
+        this.startChange(keys, command.operator !== 'y');
+        this.executeVisualOperator(command);
+        break;
+      default:
+        this.executeSimpleCommand(command, keys);
+    }
+
+    this.finishChangeIfDone();
+  }
+
+  /**
+   * Record keys of a change for "." and take an undo snapshot
+   */
+  startChange(keys, isChange = true) {
+    if (!isChange) return;
+    this.saveUndoState();
+    // Visual mode changes are not repeatable with "." here
+    if (!this.replaying && !this.isVisualMode()) {
+      this.changeRecording = this.splitCount(keys);
+    }
+  }
+
+  /**
+   * Take the counts out of a Normal mode command so "." can apply its own:
+   * "d2w" -> { keys: ['d', 'w'], count: 2 }, "2d3w" -> { keys: ['d', 'w'], count: 6 }
+   */
+  splitCount(keys) {
+    let i = keys[0] === '"' ? 2 : 0;
+    const uncounted = keys.slice(0, i);
+    const first = this.readCount(keys, i);
+    let count = first.value;
+    i = first.next;
+
+    const operatorLength = OPERATORS.includes(keys[i]) ? 1
+      : keys[i] === 'g' && CASE_OPERATORS[keys[i + 1]] ? 2 : 0;
+    if (operatorLength > 0) {
+      uncounted.push(...keys.slice(i, i + operatorLength));
+      const second = this.readCount(keys, i + operatorLength);
+      if (second.value) count = (count || 1) * second.value;
+      i = second.next;
+    }
+
+    return { keys: [...uncounted, ...keys.slice(i)], count };
+  }
+
+  /**
+   * A change is complete once we are back in Normal mode
+   */
+  finishChangeIfDone() {
+    if (this.changeRecording && this.mode === 'normal' && this.pending.length === 0) {
+      this.lastChange = this.changeRecording;
+      this.changeRecording = null;
+    }
+  }
+
+  executeMotionCommand(command) {
+    const { motion } = command;
+
+    if (motion.key === 'textobject') {
+      // Only reachable in Visual mode: the selection grows to the text object
+      const range = this.getTextObjectRange(motion, command.count || 1);
+      if (!range) return;
+      if (range.linewise && this.mode === 'visual') {
+        this.mode = 'visual-line';
+      }
+      this.anchor = range.start;
+      this.setCursor(Math.max(range.start, range.end - 1));
+      return;
+    }
+
+    const target = this.evaluateMotion(motion, command.count, false);
+    if (!target) return;
+
+    const keepCurswant = ['j', 'k', '<Up>', '<Down>'].includes(motion.key) || motion.key === '$';
+    this.setCursor(target.position, keepCurswant);
+    if (motion.key === '$') {
+      this.curswant = Infinity;
+    }
+  }
+
+  /**
+   * Evaluate a motion from the cursor.
+   * Returns { position, type: 'exclusive' | 'inclusive' | 'linewise' } or null when it fails
+   */
+  evaluateMotion(motion, count, forOperator) {
+    const n = count || 1;
+    const text = this.text;
+    let position = this.cursor;
+
+    const repeat = (step) => {
+      for (let i = 0; i < n; i++) {
+        const nextPosition = step(position);
+        if (nextPosition === null) return i > 0;
+        position = nextPosition;
+      }
+      return true;
+    };
+
+    switch (motion.key) {
+      case 'h':
+      case '<Left>':
+      case '<BS>': {
+        const lineStart = this.getLineStart(position);
+        position = Math.max(lineStart, position - n);
+        return { position, type: 'exclusive' };
+      }
+      case 'l':
+      case ' ':
+      case '<Right>': {
+        const lineEnd = this.getLineEnd(position);
+        const limit = forOperator ? lineEnd : Math.max(lineEnd - 1, this.getLineStart(position));
+        position = Math.min(limit, position + n);
+        return { position, type: 'exclusive' };
+      }
+      case 'j':
+      case '<Down>':
+      case 'k':
+      case '<Up>': {
+        const direction = motion.key === 'j' || motion.key === '<Down>' ? 1 : -1;
+        const currentLine = this.getLineNumber(position);
+        // A count past the first / last line stops there; only fails when already on it
+        const line = Math.max(0, Math.min(currentLine + direction * n, this.getLineCount() - 1));
+        if (line === currentLine) return null;
+        return { position: this.getPositionInLine(line, this.curswant), type: 'linewise' };
+      }
+      case '0':
+        return { position: this.getLineStart(position), type: 'exclusive' };
+      case '^':
+        return { position: this.getFirstNonBlank(position), type: 'exclusive' };
+      case '$': {
+        const lineStart = this.getLineStartByNumber(this.getLineNumber(position) + n - 1);
+        const lineEnd = this.getLineEnd(lineStart);
+        if (lineEnd === lineStart) {
+          return { position: lineStart, type: 'exclusive' };
+        }
+        // In Visual mode "$" also selects the end of line
+        const last = this.isVisualMode() && lineEnd < this.text.length ? lineEnd : lineEnd - 1;
+        return { position: last, type: 'inclusive' };
+      }
+      case 'g_': {
+        const lineEnd = this.getLineEnd(position);
+        let i = lineEnd - 1;
+        while (i > this.getLineStart(position) && /[ \t]/.test(text[i])) i--;
+        return { position: Math.max(this.getLineStart(position), i), type: 'inclusive' };
+      }
+      case 'w':
+      case 'W': {
+        const bigWord = motion.key === 'W';
+        if (!repeat(p => (p >= text.length ? null : this.nextWordStart(p, bigWord)))) return null;
+
+        // "dw" on the last word of a line stops at the end of that line
+        if (forOperator) {
+          const lastNewline = text.lastIndexOf('\n', position - 1);
+          if (lastNewline >= this.cursor && /^[ \t]*$/.test(text.substring(lastNewline + 1, position))) {
+            position = lastNewline;
+          }
+        }
+        return { position, type: 'exclusive' };
+      }
+      case 'e':
+      case 'E': {
+        const bigWord = motion.key === 'E';
+        // "cw": starting one character back, the first step stops at the end of the current word
+        if (motion.stayInWord) position -= 1;
+        if (!repeat(p => this.nextWordEnd(p, bigWord))) return null;
+        return { position, type: 'inclusive' };
+      }
+      case 'b':
+      case 'B': {
+        const bigWord = motion.key === 'B';
+        if (!repeat(p => (p <= 0 ? null : this.previousWordStart(p, bigWord)))) return null;
+        return { position, type: 'exclusive' };
+      }
+      case 'ge':
+      case 'gE': {
+        const bigWord = motion.key === 'gE';
+        if (!repeat(p => (p <= 0 ? null : this.previousWordEnd(p, bigWord)))) return null;
+        return { position, type: 'inclusive' };
+      }
+      case 'gg':
+      case 'G': {
+        const defaultLine = motion.key === 'gg' ? 1 : this.getLineCount();
+        const line = Math.min(count || defaultLine, this.getLineCount()) - 1;
+        return { position: this.getFirstNonBlank(this.getLineStartByNumber(line)), type: 'linewise' };
+      }
+      case 'f':
+      case 'F':
+      case 't':
+      case 'T':
+        this.lastFind = { key: motion.key, arg: motion.arg };
+        return this.evaluateFind(motion.key, motion.arg, n);
+      case ';':
+      case ',': {
+        if (!this.lastFind) return null;
+        const reverse = { 'f': 'F', 'F': 'f', 't': 'T', 'T': 't' };
+        const findKey = motion.key === ';' ? this.lastFind.key : reverse[this.lastFind.key];
+        return this.evaluateFind(findKey, this.lastFind.arg, n, true);
+      }
+      case '%': {
+        const match = this.findMatchingBracket(position);
+        return match === null ? null : { position: match, type: 'inclusive' };
+      }
+      case '}':
+      case '{': {
+        const forward = motion.key === '}';
+        if (!repeat(p => this.nextParagraphBoundary(p, forward))) return null;
+        // "}" stopping at the end of the buffer includes the last character
+        const atEnd = forward && position >= text.length - 1;
+        return { position, type: atEnd ? 'inclusive' : 'exclusive' };
+      }
+      case 'n':
+      case 'N': {
+        if (!this.lastSearch) return null;
+        const backward = this.lastSearch.backward !== (motion.key === 'N');
+        if (!repeat(p => this.findSearchMatch(this.lastSearch.pattern, p, backward))) return null;
+        this.hlsearch = true;
+        return { position, type: 'exclusive' };
+      }
+      case '/':
+      case '?': {
+        const pattern = motion.arg || (this.lastSearch && this.lastSearch.pattern);
+        if (!pattern) return null;
+        this.lastSearch = { pattern, backward: motion.key === '?' };
+        if (!repeat(p => this.findSearchMatch(pattern, p, motion.key === '?'))) return null;
+        this.hlsearch = true;
+        return { position, type: 'exclusive' };
+      }
+      case 'textobject': {
+        const range = this.getTextObjectRange(motion, n);
+        if (!range) return null;
+        return { range, type: range.linewise ? 'linewise' : 'exclusive' };
+      }
+      default:
+        return null;
+    }
+  }
+
+  getPositionInLine(lineNumber, column) {
+    const lineStart = this.getLineStartByNumber(lineNumber);
+    const lineEnd = this.getLineEnd(lineStart);
+    const lastColumn = Math.max(0, lineEnd - lineStart - 1);
+    return lineStart + Math.min(column, lastColumn);
+  }
+
+  nextWordStart(position, bigWord) {
+    const text = this.text;
+    let i = position;
+    const startClass = this.charClass(text[i], bigWord);
+
+    if (startClass !== 0) {
+      while (i < text.length && this.charClass(text[i], bigWord) === startClass) i++;
+    }
+
+    while (i < text.length && this.charClass(text[i], bigWord) === 0) {
+      // An empty line counts as a word
+      if (text[i] === '\n' && this.isEmptyLineAt(i + 1) && i + 1 !== position) {
+        return i + 1;
+      }
+      i++;
+    }
+
+    return Math.min(i, text.length);
+  }
+
+  nextWordEnd(position, bigWord) {
+    const text = this.text;
+    let i = position + 1;
+
+    while (i < text.length && this.charClass(text[i], bigWord) === 0) i++;
+    if (i >= text.length) return null;
+
+    const wordClass = this.charClass(text[i], bigWord);
+    while (i + 1 < text.length && this.charClass(text[i + 1], bigWord) === wordClass) i++;
+    return i;
+  }
+
+  previousWordStart(position, bigWord) {
+    const text = this.text;
+    let i = position - 1;
+
+    while (i >= 0 && this.charClass(text[i], bigWord) === 0) {
+      if (this.isEmptyLineAt(i)) return i;
+      i--;
+    }
+    if (i < 0) return 0;
+
+    const wordClass = this.charClass(text[i], bigWord);
+    while (i - 1 >= 0 && this.charClass(text[i - 1], bigWord) === wordClass) i--;
+    return i;
+  }
+
+  previousWordEnd(position, bigWord) {
+    const text = this.text;
+    let i = position;
+    const startClass = this.charClass(text[i], bigWord);
+
+    if (startClass !== 0) {
+      while (i >= 0 && this.charClass(text[i], bigWord) === startClass) i--;
+    }
+    while (i >= 0 && this.charClass(text[i], bigWord) === 0) {
+      if (this.isEmptyLineAt(i) && i !== position) return i;
+      i--;
+    }
+    return i < 0 ? null : i;
+  }
+
+  evaluateFind(key, char, count, isRepeat = false) {
+    const lineStart = this.getLineStart(this.cursor);
+    const lineEnd = this.getLineEnd(this.cursor);
+    const forward = key === 'f' || key === 't';
+    const till = key === 't' || key === 'T';
+    let position = this.cursor;
+
+    for (let n = 0; n < count; n++) {
+      // Repeating a "t" must not get stuck right before the same character
+      let from = position + (forward ? 1 : -1);
+      if (till && isRepeat && n === 0) from += forward ? 1 : -1;
+
+      let found = -1;
+      if (forward) {
+        for (let i = from; i < lineEnd; i++) if (this.text[i] === char) { found = i; break; }
+      } else {
+        for (let i = from; i >= lineStart; i--) if (this.text[i] === char) { found = i; break; }
+      }
+      if (found === -1) return null;
+      position = found;
+    }
+
+    if (till) position += forward ? -1 : 1;
+    return { position, type: forward ? 'inclusive' : 'exclusive' };
+  }
+
+  /**
+   * "%": jump from the bracket under (or after) the cursor to its partner
+   */
+  findMatchingBracket(position) {
+    const text = this.text;
+    const lineEnd = this.getLineEnd(position);
+    const brackets = '()[]{}';
+    let start = position;
+
+    while (start < lineEnd && !brackets.includes(text[start])) start++;
+    if (start >= lineEnd) return null;
+
+    const char = text[start];
+    const isOpen = '([{'.includes(char);
+    const partner = isOpen ? BRACKET_PAIRS[char] : Object.keys(BRACKET_PAIRS).find(open => BRACKET_PAIRS[open] === char);
+    const step = isOpen ? 1 : -1;
+    let depth = 0;
+
+    for (let i = start; i >= 0 && i < text.length; i += step) {
+      if (text[i] === char) depth++;
+      else if (text[i] === partner) {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return null;
+  }
+
+  nextParagraphBoundary(position, forward) {
+    const text = this.text;
+    let line = this.getLineNumber(position);
+    const lineCount = this.getLineCount();
+    const isBlank = lineNumber => {
+      const lineStart = this.getLineStartByNumber(lineNumber);
+      return this.getLineEnd(lineStart) === lineStart;
+    };
+
+    if (forward && position >= text.length - 1) return null;
+    if (!forward && position === 0) return null;
+
+    // Skip blank lines we are on, then find the next blank line
+    while (line >= 0 && line < lineCount && isBlank(line)) line += forward ? 1 : -1;
+    while (line >= 0 && line < lineCount && !isBlank(line)) line += forward ? 1 : -1;
+
+    if (line >= lineCount) return Math.max(0, text.length - 1);
+    if (line < 0) return 0;
+    return this.getLineStartByNumber(line);
+  }
+
+  findSearchMatch(pattern, position, backward) {
+    const regex = this.createPatternTranslator().toRegExp(pattern);
+    if (!regex) return null;
+
+    const matches = [];
+    let match;
+    while ((match = regex.exec(this.text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex += 1;
+        continue;
+      }
+      matches.push(match.index);
+    }
+    if (matches.length === 0) return null;
+
+    // Searches wrap around the end of the buffer (wrapscan)
+    if (backward) {
+      const before = matches.filter(index => index < position);
+      return before.length > 0 ? before[before.length - 1] : matches[matches.length - 1];
+    }
+    const after = matches.find(index => index > position);
+    return after !== undefined ? after : matches[0];
+  }
+
+  // ========================================
+  // TEXT OBJECTS
+  // ========================================
+
+  /**
+   * Range { start, end, linewise } of a text object around the cursor
+   */
+  getTextObjectRange(motion, count) {
+    const { inner, object } = motion;
+
+    if (object === 'w' || object === 'W') {
+      return this.getWordObject(inner, object === 'W', count);
+    }
+    if (TEXT_OBJECT_BRACKETS[object]) {
+      return this.getBracketObject(inner, TEXT_OBJECT_BRACKETS[object], count);
+    }
+    if (object === '"' || object === "'" || object === '`') {
+      return this.getQuoteObject(inner, object);
+    }
+    if (object === 't') {
+      return this.getTagObject(inner, count);
+    }
+    if (object === 'p') {
+      return this.getParagraphObject(inner);
+    }
+    return null;
+  }
+
+  getWordObject(inner, bigWord, count) {
+    const text = this.text;
+    const lineStart = this.getLineStart(this.cursor);
+    const lineEnd = this.getLineEnd(this.cursor);
+    let start = this.cursor;
+    let end = this.cursor;
+
+    const classAt = i => this.charClass(text[i], bigWord);
+    const runEnd = i => {
+      const cls = classAt(i);
+      while (i < lineEnd && classAt(i) === cls && text[i] !== '\n') i++;
+      return i;
+    };
+
+    if (lineEnd === lineStart) return { start: lineStart, end: lineStart, linewise: false };
+
+    const cursorClass = classAt(start);
+    while (start > lineStart && classAt(start - 1) === cursorClass) start--;
+    end = runEnd(this.cursor);
+
+    for (let i = 1; i < count && end < lineEnd; i++) {
+      end = runEnd(end);
+    }
+
+    if (!inner) {
+      if (cursorClass === 0) {
+        // On blanks "aw" takes the blanks plus the following word
+        if (end < lineEnd) end = runEnd(end);
+      } else if (end < lineEnd && classAt(end) === 0) {
+        end = runEnd(end);
+      } else {
+        // No trailing blanks: take the leading ones instead
+        while (start > lineStart && classAt(start - 1) === 0) start--;
+      }
+    }
+
+    return { start, end, linewise: false };
+  }
+
+  getBracketObject(inner, open, count) {
+    const close = BRACKET_PAIRS[open];
+    const text = this.text;
+    let openIndex = -1;
+    let searchFrom = text[this.cursor] === close ? this.cursor - 1 : this.cursor;
+
+    for (let level = 0; level < count; level++) {
+      let depth = 0;
+      openIndex = -1;
+      for (let i = searchFrom; i >= 0; i--) {
+        if (text[i] === close && i !== this.cursor) depth++;
+        else if (text[i] === open) {
+          if (depth === 0) { openIndex = i; break; }
+          depth--;
+        }
+      }
+      if (openIndex === -1) return null;
+      searchFrom = openIndex - 1;
+    }
+
+    let depth = 0;
+    let closeIndex = -1;
+    for (let i = openIndex + 1; i < text.length; i++) {
+      if (text[i] === open) depth++;
+      else if (text[i] === close) {
+        if (depth === 0) { closeIndex = i; break; }
+        depth--;
+      }
+    }
+    if (closeIndex === -1) return null;
+
+    if (!inner) {
+      return { start: openIndex, end: closeIndex + 1, linewise: false };
+    }
+
+    let start = openIndex + 1;
+    let end = closeIndex;
+    // "i{" on a multi-line block leaves the lines holding the brackets alone
+    if (text[start] === '\n') start++;
+    if (/\n[ \t]*$/.test(text.substring(start, end))) {
+      end = text.lastIndexOf('\n', end - 1) + 1;
+    }
+    return { start, end, linewise: false };
+  }
+
+  getQuoteObject(inner, quote) {
+    const lineStart = this.getLineStart(this.cursor);
+    const lineEnd = this.getLineEnd(this.cursor);
+    const quotes = [];
+
+    for (let i = lineStart; i < lineEnd; i++) {
+      if (this.text[i] === quote && this.text[i - 1] !== '\\') quotes.push(i);
+    }
+
+    let pair = null;
+    for (let i = 0; i + 1 < quotes.length; i += 2) {
+      if (this.cursor >= quotes[i] && this.cursor <= quotes[i + 1]) {
+        pair = [quotes[i], quotes[i + 1]];
+        break;
+      }
+      // Cursor before the first string: use the next string on the line
+      if (!pair && quotes[i] > this.cursor) {
+        pair = [quotes[i], quotes[i + 1]];
+        break;
+      }
+    }
+    if (!pair) return null;
+
+    if (inner) {
+      return { start: pair[0] + 1, end: pair[1], linewise: false };
+    }
+
+    let start = pair[0];
+    let end = pair[1] + 1;
+    if (/[ \t]/.test(this.text[end] || '')) {
+      while (end < lineEnd && /[ \t]/.test(this.text[end])) end++;
+    } else {
+      while (start > lineStart && /[ \t]/.test(this.text[start - 1])) start--;
+    }
+    return { start, end, linewise: false };
+  }
+
+  getTagObject(inner, count) {
+    const tagPattern = /<(\/?)([A-Za-z][\w:.-]*)[^<>]*?(\/?)>/g;
+    const stack = [];
+    const pairs = [];
+    let match;
+
+    while ((match = tagPattern.exec(this.text)) !== null) {
+      const tag = { name: match[2], start: match.index, end: match.index + match[0].length };
+      if (match[3] === '/') continue; // Self-closing
+      if (match[1] === '/') {
+        for (let i = stack.length - 1; i >= 0; i--) {
+          if (stack[i].name === tag.name) {
+            pairs.push({ open: stack[i], close: tag });
+            stack.length = i;
+            break;
+          }
+        }
+      } else {
+        stack.push(tag);
+      }
+    }
+
+    const enclosing = pairs
+      .filter(pair => pair.open.start <= this.cursor && this.cursor < pair.close.end)
+      .sort((a, b) => (a.close.end - a.open.start) - (b.close.end - b.open.start));
+
+    const pair = enclosing[Math.min(count, enclosing.length) - 1];
+    if (!pair) return null;
+
+    return inner
+      ? { start: pair.open.end, end: pair.close.start, linewise: false }
+      : { start: pair.open.start, end: pair.close.end, linewise: false };
+  }
+
+  getParagraphObject(inner) {
+    const lineCount = this.getLineCount();
+    const isBlank = line => {
+      const lineStart = this.getLineStartByNumber(line);
+      return /^[ \t]*$/.test(this.text.substring(lineStart, this.getLineEnd(lineStart)));
+    };
+
+    const cursorLine = this.getLineNumber(this.cursor);
+    const blank = isBlank(cursorLine);
+    let first = cursorLine;
+    let last = cursorLine;
+
+    while (first > 0 && isBlank(first - 1) === blank) first--;
+    while (last < lineCount - 1 && isBlank(last + 1) === blank) last++;
+
+    if (!inner) {
+      while (last < lineCount - 1 && isBlank(last + 1) !== blank) last++;
+    }
+
+    const start = this.getLineStartByNumber(first);
+    const end = this.getLineEnd(this.getLineStartByNumber(last));
+    return { start, end: Math.min(end + 1, this.text.length), linewise: true };
+  }
+
+  // ========================================
+  // OPERATORS
+  // ========================================
+
+  executeOperator(command) {
+    const count = command.count || 1;
+    let range;
+
+    if (command.motion.key === 'line') {
+      // dd, cc, yy, >>, <<, guu...: count lines from the cursor line
+      const firstLine = this.getLineNumber(this.cursor);
+      const lastLine = Math.min(firstLine + count - 1, this.getLineCount() - 1);
+      range = this.getLinewiseRange(firstLine, lastLine);
+    } else {
+      const motion = this.getOperatorMotion(command);
+      const target = this.evaluateMotion(motion, command.count, true);
+      if (!target) return;
+      range = this.getMotionRange(target);
+    }
+
+    this.applyOperator(command.operator, range, command.register);
+  }
+
+  /**
+   * "cw" on a word behaves like "ce", except that it stays on the end of
+   * the word the cursor is in (so on a word's last character it changes just that)
+   */
+  getOperatorMotion(command) {
+    const { motion } = command;
+    if (command.operator === 'c' && (motion.key === 'w' || motion.key === 'W') &&
+        this.charClass(this.text[this.cursor]) !== 0) {
+      return { key: motion.key === 'w' ? 'e' : 'E', stayInWord: true };
+    }
+    return motion;
+  }
+
+  getLinewiseRange(firstLine, lastLine) {
+    const start = this.getLineStartByNumber(firstLine);
+    const end = this.getLineEnd(this.getLineStartByNumber(lastLine));
+    return { start, end, linewise: true };
+  }
+
+  /**
+   * Convert an evaluated motion into the operated range
+   */
+  getMotionRange(target) {
+    if (target.range) {
+      if (target.range.linewise) {
+        const firstLine = this.getLineNumber(target.range.start);
+        const lastLine = this.getLineNumber(Math.max(target.range.start, target.range.end - 1));
+        return this.getLinewiseRange(firstLine, lastLine);
+      }
+      return { start: target.range.start, end: target.range.end, linewise: false };
+    }
+
+    let start = Math.min(this.cursor, target.position);
+    let end = Math.max(this.cursor, target.position);
+
+    if (target.type === 'linewise') {
+      return this.getLinewiseRange(this.getLineNumber(start), this.getLineNumber(end));
+    }
+
+    if (target.type === 'inclusive') {
+      end = Math.min(end + 1, this.text.length);
+    } else if (end > start && this.getColumn(end) === 0 && this.getLineNumber(end) > this.getLineNumber(start)) {
+      // Exclusive motion ending in column 0: it stops at the end of the previous line,
+      // and becomes linewise when it started before the first non-blank
+      end -= 1;
+      if (start <= this.getFirstNonBlank(start)) {
+        return this.getLinewiseRange(this.getLineNumber(start), this.getLineNumber(end));
+      }
+    }
+
+    return { start, end, linewise: false };
+  }
+
+  /**
+   * Apply operator to { start, end, linewise } (linewise end is the last line's newline offset)
+   */
+  applyOperator(operator, range, register = '"') {
+    const { start, end, linewise } = range;
+
+    switch (operator) {
+      case 'y':
+        this.storeRegister(register, this.getRangeText(range), linewise);
+        // "yy" / "yj" leave the cursor alone, anything else moves it to the start
+        if (!linewise || this.getLineNumber(this.cursor) !== this.getLineNumber(start)) {
+          this.setCursor(start);
+        }
+        break;
+      case 'd':
+        this.storeRegister(register, this.getRangeText(range), linewise);
+        this.deleteRange(range);
+        if (linewise) {
+          this.setLinewiseCursor(this.getLineNumber(Math.min(start, this.text.length)));
+        } else {
+          this.setCursor(start);
+        }
+        break;
+      case 'c':
+        this.storeRegister(register, this.getRangeText(range), linewise);
+        if (linewise) {
+          // autoindent: keep the indent of the first line
+          const indent = this.options.autoindent ? this.getIndent(start) : '';
+          this.replaceText(start, end, indent);
+          this.enterInsertMode(start + indent.length);
+          this.autoIndented = indent !== '';
+        } else {
+          this.replaceText(start, end, '');
+          this.enterInsertMode(start);
+        }
+        break;
+      case '>':
+      case '<':
+        this.shiftLines(this.getLineNumber(start), this.getLineNumber(Math.max(start, end - (linewise ? 0 : 1))), operator === '>');
+        this.setLinewiseCursor(this.getLineNumber(start));
+        break;
+      case 'gu':
+      case 'gU':
+      case 'g~': {
+        const segment = this.text.substring(start, end);
+        const converted = operator === 'gu' ? segment.toLowerCase()
+          : operator === 'gU' ? segment.toUpperCase()
+            : this.toggleCase(segment);
+        this.replaceText(start, end, converted);
+        this.setCursor(start);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Cursor after a linewise delete or shift: the first non-blank with 'startofline',
+   * otherwise the preferred column (Neovim's default 'nostartofline')
+   */
+  setLinewiseCursor(lineNumber) {
+    const line = Math.max(0, Math.min(lineNumber, this.getLineCount() - 1));
+    if (this.options.startofline) {
+      this.setCursor(this.getFirstNonBlank(this.getLineStartByNumber(line)));
+    } else {
+      this.setCursor(this.getPositionInLine(line, this.curswant), true);
+    }
+  }
+
+  getRangeText(range) {
+    const text = this.text.substring(range.start, range.end);
+    return range.linewise ? `${text}\n` : text;
+  }
+
+  /**
+   * Delete a range; linewise ranges also take one newline with them
+   */
+  deleteRange(range) {
+    let { start, end } = range;
+    if (range.linewise) {
+      if (end < this.text.length) {
+        end += 1;
+      } else if (start > 0) {
+        start -= 1; // Last line: remove the newline before it instead
+      }
+    }
+    this.replaceText(start, end, '');
+  }
+
+  storeRegister(register, text, linewise) {
+    if (register === '_') return;
+    const value = { text, linewise };
+    this.registers['"'] = value;
+    if (register !== '"') this.registers[register] = value;
+  }
+
+  shiftLines(firstLine, lastLine, right, times = 1) {
+    const unit = this.options.expandtab ? ' '.repeat(this.options.shiftwidth) : '\t';
+
+    for (let line = lastLine; line >= firstLine; line--) {
+      const lineStart = this.getLineStartByNumber(line);
+      const lineEnd = this.getLineEnd(lineStart);
+      if (lineEnd === lineStart) continue; // Empty lines are not shifted
+
+      const indent = this.getIndent(lineStart);
+      let newIndent = indent;
+      for (let i = 0; i < times; i++) {
+        if (right) {
+          newIndent += unit;
+        } else if (newIndent.startsWith('\t')) {
+          newIndent = newIndent.substring(1);
+        } else {
+          const spaces = /^ */.exec(newIndent)[0].length;
+          newIndent = newIndent.substring(Math.min(spaces, this.options.shiftwidth));
+        }
+      }
+      this.replaceText(lineStart, lineStart + indent.length, newIndent);
+    }
+  }
+
+  toggleCase(text) {
+    return text.split('').map(char => {
+      const upper = char.toUpperCase();
+      return char === upper ? char.toLowerCase() : upper;
+    }).join('');
+  }
+
+  // ========================================
+  // VISUAL MODE
+  // ========================================
+
+  enterVisualMode(mode) {
+    if (this.mode === mode) {
+      this.exitVisualMode();
+      return;
+    }
+    if (!this.isVisualMode()) {
+      this.anchor = this.cursor;
+    }
+    this.mode = mode;
+  }
+
+  exitVisualMode() {
+    this.mode = 'normal';
+    this.setCursor(this.cursor);
+  }
+
+  /**
+   * Selection as a range: charwise, linewise, or a list of per-line block ranges
+   */
+  getVisualRange() {
+    const start = Math.min(this.anchor, this.cursor);
+    const last = Math.max(this.anchor, this.cursor);
+
+    if (this.mode === 'visual-line') {
+      return this.getLinewiseRange(this.getLineNumber(start), this.getLineNumber(last));
+    }
+
+    if (this.mode === 'visual-block') {
+      return { blocks: this.getBlockRanges(), start, end: last + 1, linewise: false };
+    }
+
+    return { start, end: Math.min(last + 1, this.text.length), linewise: false };
+  }
+
+  /**
+   * One { start, end } per line of a blockwise selection
+   */
+  getBlockRanges() {
+    const anchorColumn = this.getColumn(this.anchor);
+    const cursorColumn = this.getColumn(this.cursor);
+    const left = Math.min(anchorColumn, cursorColumn);
+    const right = this.curswant === Infinity ? Infinity : Math.max(anchorColumn, cursorColumn);
+    const firstLine = Math.min(this.getLineNumber(this.anchor), this.getLineNumber(this.cursor));
+    const lastLine = Math.max(this.getLineNumber(this.anchor), this.getLineNumber(this.cursor));
+    const ranges = [];
+
+    for (let line = firstLine; line <= lastLine; line++) {
+      const lineStart = this.getLineStartByNumber(line);
+      const lineLength = this.getLineEnd(lineStart) - lineStart;
+      ranges.push({
+        line,
+        left,
+        start: lineStart + Math.min(left, lineLength),
+        end: lineStart + Math.min(right + 1, lineLength)
+      });
+    }
+    return ranges;
+  }
+
+  executeVisualOperator(command) {
+    const range = this.getVisualRange();
+    const operator = command.operator;
+    this.mode = 'normal';
+
+    if (range.blocks) {
+      this.applyBlockOperator(operator, range.blocks, command.register);
+      return;
+    }
+
+    if (operator === '>' || operator === '<') {
+      const firstLine = this.getLineNumber(range.start);
+      const lastLine = this.getLineNumber(Math.max(range.start, range.end - (range.linewise ? 0 : 1)));
+      this.shiftLines(firstLine, lastLine, operator === '>', command.count || 1);
+      this.setLinewiseCursor(firstLine);
+      return;
+    }
+
+    this.applyOperator(operator, range, command.register);
+  }
+
+  applyBlockOperator(operator, blocks, register) {
+    const top = blocks[0];
+    const pieces = blocks.map(block => this.text.substring(block.start, block.end));
+
+    switch (operator) {
+      case 'y':
+        this.storeRegister(register, pieces.join('\n'), false);
+        this.setCursor(top.start);
+        break;
+      case 'd':
+      case 'c':
+        this.storeRegister(register, pieces.join('\n'), false);
+        for (let i = blocks.length - 1; i >= 0; i--) {
+          this.replaceText(blocks[i].start, blocks[i].end, '');
+        }
+        if (operator === 'c') {
+          this.startBlockInsert(blocks, top.left, top.start);
+        } else {
+          this.setCursor(top.start);
+        }
+        break;
+      case 'gu':
+      case 'gU':
+      case 'g~':
+        for (const block of blocks) {
+          const segment = this.text.substring(block.start, block.end);
+          const converted = operator === 'gu' ? segment.toLowerCase()
+            : operator === 'gU' ? segment.toUpperCase()
+              : this.toggleCase(segment);
+          this.replaceText(block.start, block.end, converted);
+        }
+        this.setCursor(top.start);
+        break;
+      case '>':
+      case '<':
+        this.shiftLines(blocks[0].line, blocks[blocks.length - 1].line, operator === '>');
+        this.setCursor(top.start);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Visual Block I / A / c: type on the first line, copied to the others on <Esc>
+   */
+  startBlockInsert(blocks, column, insertPosition, padShortLines = false) {
+    this.blockInsert = {
+      lines: blocks.slice(1).map(block => block.line),
+      column,
+      padShortLines,
+      lineStart: this.getLineStart(insertPosition),
+      insertStart: insertPosition,
+      originalLength: this.text.length
+    };
+    this.enterInsertMode(insertPosition);
+  }
+
+  finishBlockInsert() {
+    const blockInsert = this.blockInsert;
+    this.blockInsert = null;
+
+    const insertedLength = this.text.length - blockInsert.originalLength;
+    if (insertedLength <= 0) return;
+
+    const inserted = this.text.substring(blockInsert.insertStart, blockInsert.insertStart + insertedLength);
+    if (inserted.includes('\n')) return; // Vim only repeats single-line inserts
+
+    for (let i = blockInsert.lines.length - 1; i >= 0; i--) {
+      const lineStart = this.getLineStartByNumber(blockInsert.lines[i]);
+      const lineLength = this.getLineEnd(lineStart) - lineStart;
+
+      if (blockInsert.column === null) {
+        this.replaceText(lineStart + lineLength, lineStart + lineLength, inserted);
+      } else if (lineLength < blockInsert.column) {
+        if (!blockInsert.padShortLines) continue; // Short lines are left alone by "I"
+        this.replaceText(lineStart + lineLength, lineStart + lineLength, ' '.repeat(blockInsert.column - lineLength) + inserted);
+      } else {
+        this.replaceText(lineStart + blockInsert.column, lineStart + blockInsert.column, inserted);
+      }
+    }
+  }
+
+  // ========================================
+  // SIMPLE COMMANDS
+  // ========================================
+
+  executeSimpleCommand(command, keys) {
+    const count = command.count || 1;
+    const name = command.name;
+    const lineStart = this.getLineStart(this.cursor);
+    const lineEnd = this.getLineEnd(this.cursor);
+
+    if (this.isVisualMode() && this.executeVisualCommand(command, keys)) {
+      return;
+    }
+
+    switch (name) {
+      // Insert commands
+      case 'i':
+        this.startChange(keys);
+        this.enterInsertMode(this.cursor, count);
+        break;
+      case 'a':
+        this.startChange(keys);
+        this.enterInsertMode(lineEnd === lineStart ? this.cursor : this.cursor + 1, count);
+        break;
+      case 'I': {
+        this.startChange(keys);
+        // On a blank line "I" appends after the indent
+        const firstNonBlank = this.getFirstNonBlank(this.cursor);
+        const blankLine = /^[ \t]*$/.test(this.text.substring(lineStart, lineEnd));
+        this.enterInsertMode(blankLine ? lineEnd : firstNonBlank, count);
+        break;
+      }
+      case 'A':
+        this.startChange(keys);
+        this.enterInsertMode(lineEnd, count);
+        break;
+      case 'o':
+      case 'O': {
+        this.startChange(keys);
+        const indent = this.options.autoindent ? this.getIndent(this.cursor) : '';
+        if (name === 'o') {
+          this.replaceText(lineEnd, lineEnd, `\n${indent}`);
+          this.enterInsertMode(lineEnd + 1 + indent.length, count, `\n${indent}`);
+        } else {
+          this.replaceText(lineStart, lineStart, `${indent}\n`);
+          this.enterInsertMode(lineStart + indent.length, count, `\n${indent}`);
+        }
+        this.autoIndented = indent !== '';
+        break;
+      }
+
+      // Deleting / changing shortcuts
+      case 'x':
+      case 'X':
+      case 's': {
+        if (lineEnd === lineStart && name !== 's') break;
+        this.startChange(keys);
+        const start = name === 'X' ? Math.max(lineStart, this.cursor - count) : this.cursor;
+        const end = name === 'X' ? this.cursor : Math.min(lineEnd, this.cursor + count);
+        this.storeRegister(command.register, this.text.substring(start, end), false);
+        this.replaceText(start, end, '');
+        if (name === 's') {
+          this.enterInsertMode(start);
+        } else {
+          this.setCursor(start);
+        }
+        break;
+      }
+      case 'D':
+      case 'C':
+      case 'Y':
+      case 'S': {
+        const operator = { 'D': 'd', 'C': 'c', 'Y': 'y', 'S': 'c' }[name];
+        const motion = name === 'S' ? { key: 'line' } : { key: '$' };
+        this.startChange(keys, operator !== 'y');
+        this.executeOperator({ ...command, type: 'operator', operator, motion });
+        break;
+      }
+
+      // Replace
+      case 'r': {
+        if (this.cursor + count > lineEnd) break;
+        this.startChange(keys);
+        const replacement = command.arg === '<CR>' ? '\n' : command.arg.repeat(count);
+        this.replaceText(this.cursor, this.cursor + count, replacement);
+        this.setCursor(command.arg === '<CR>' ? this.cursor + 1 : this.cursor + count - 1);
+        break;
+      }
+      case 'R':
+      case 'gR':
+        this.startChange(keys);
+        this.mode = name === 'R' ? 'replace' : 'vreplace';
+        this.replaceStart = this.cursor;
+        this.replaceOriginals = [];
+        this.insertRepeat = count > 1 ? { count, start: this.cursor, linePrefix: '' } : null;
+        break;
+      case '~': {
+        if (lineEnd === lineStart) break;
+        this.startChange(keys);
+        const end = Math.min(lineEnd, this.cursor + count);
+        this.replaceText(this.cursor, end, this.toggleCase(this.text.substring(this.cursor, end)));
+        this.setCursor(Math.min(end, lineEnd - 1));
+        break;
+      }
+
+      // Join
+      case 'J':
+      case 'gJ': {
+        const lines = Math.max(2, count);
+        const firstLine = this.getLineNumber(this.cursor);
+        if (firstLine + 1 >= this.getLineCount()) break;
+        this.startChange(keys);
+        let joinPosition = this.cursor;
+        for (let i = 1; i < lines && firstLine + 1 < this.getLineCount(); i++) {
+          joinPosition = this.joinWithNextLine(this.getLineStartByNumber(firstLine), name === 'J');
+        }
+        this.setCursor(joinPosition);
+        break;
+      }
+
+      // Put
+      case 'p':
+      case 'P':
+        this.startChange(keys);
+        this.put(command.register, name === 'p', count);
+        break;
+
+      // Visual modes
+      case 'v':
+        this.enterVisualMode('visual');
+        break;
+      case 'V':
+        this.enterVisualMode('visual-line');
+        break;
+      case '<C-v>':
+        this.enterVisualMode('visual-block');
+        break;
+
+      // Undo / redo / repeat
+      case 'u':
+        this.undo(count);
+        break;
+      case '<C-r>':
+        this.redo(count);
+        break;
+      case '.':
+        this.repeatLastChange(command.count);
+        break;
+
+      // Command line and searches
+      case ':':
+      case '/':
+      case '?':
+        this.enterCommandLine(name);
+        break;
+      case '*':
+      case '#':
+        this.searchWordUnderCursor(name === '#', count);
+        break;
+
+      case '<Esc>':
+        break;
+
+      default:
+        console.log('⌨️ [KEYSTROKE DEBUG] Unsupported command', keys.join(''));
+    }
+  }
+
+  /**
+   * Commands with a Visual-mode meaning. Returns true when handled.
+   */
+  executeVisualCommand(command, keys) {
+    const name = command.name;
+    const range = this.getVisualRange();
+
+    switch (name) {
+      case 'x':
+      case 'X':
+      case 'D':
+        this.startChange(keys);
+        this.executeVisualOperator({ ...command, operator: 'd' });
+        return true;
+      case 's':
+      case 'S':
+      case 'C':
+        this.startChange(keys);
+        this.executeVisualOperator({ ...command, operator: 'c' });
+        return true;
+      case 'Y':
+        this.executeVisualOperator({ ...command, operator: 'y' });
+        return true;
+      case 'u':
+      case 'U':
+      case '~':
+        this.startChange(keys);
+        this.executeVisualOperator({ ...command, operator: CASE_OPERATORS[name] });
+        return true;
+      case 'J':
+      case 'gJ': {
+        const firstLine = this.getLineNumber(Math.min(this.anchor, this.cursor));
+        // Like in Normal mode, at least two lines are joined
+        const lastLine = Math.min(
+          Math.max(firstLine + 1, this.getLineNumber(Math.max(this.anchor, this.cursor))),
+          this.getLineCount() - 1
+        );
+        if (lastLine > firstLine) {
+          this.startChange(keys);
+        }
+        this.mode = 'normal';
+        const lineStart = this.getLineStartByNumber(firstLine);
+        for (let i = firstLine; i < lastLine; i++) {
+          this.cursor = this.joinWithNextLine(lineStart, name === 'J');
+        }
+        this.setCursor(this.cursor);
+        return true;
+      }
+      case 'r': {
+        this.startChange(keys);
+        const pieces = range.blocks || [range];
+        for (const piece of pieces) {
+          const segment = this.text.substring(piece.start, piece.end);
+          this.replaceText(piece.start, piece.end, segment.replace(/[^\n]/g, command.arg));
+        }
+        this.mode = 'normal';
+        this.setCursor(pieces[0].start);
+        return true;
+      }
+      case 'o':
+      case 'O': {
+        const anchor = this.anchor;
+        this.anchor = this.cursor;
+        this.setCursor(anchor);
+        return true;
+      }
+      case 'I':
+      case 'A': {
+        if (!range.blocks) return false;
+        this.startChange(keys);
+        const top = range.blocks[0];
+        this.mode = 'normal';
+        if (name === 'I') {
+          this.startBlockInsert(range.blocks, top.left, top.start);
+        } else {
+          // With "$" every line gets the text at its own end of line
+          const toEol = this.curswant === Infinity;
+          const topLineStart = this.getLineStartByNumber(top.line);
+          const topLength = this.getLineEnd(topLineStart) - topLineStart;
+          const column = toEol
+            ? topLength
+            : Math.max(this.getColumn(this.anchor), this.getColumn(this.cursor)) + 1;
+          if (topLength < column) {
+            this.replaceText(topLineStart + topLength, topLineStart + topLength, ' '.repeat(column - topLength));
+          }
+          this.startBlockInsert(range.blocks, toEol ? null : column, topLineStart + column, true);
+        }
+        return true;
+      }
+      case 'p':
+      case 'P': {
+        const register = this.registers[command.register] || this.registers['"'];
+        if (!register || range.blocks) return false;
+        this.startChange(keys);
+        this.mode = 'normal';
+        const replaced = this.getRangeText(range);
+        this.deleteRange(range);
+        this.cursor = range.start;
+        this.insertRegisterText(register, range.start);
+        this.storeRegister('"', replaced, range.linewise);
+        return true;
+      }
+      case ':':
+        this.lastVisualLines = {
+          firstLine: this.getLineNumber(Math.min(this.anchor, this.cursor)),
+          lastLine: this.getLineNumber(Math.max(this.anchor, this.cursor))
+        };
+        this.enterCommandLine(':', "'<,'>");
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * "J" / "gJ": returns the join point, where the cursor ends up
+   */
+  joinWithNextLine(lineStart, insertSpace) {
+    const lineEnd = this.getLineEnd(lineStart);
+    let end = lineEnd + 1;
+
+    if (insertSpace) {
+      while (end < this.text.length && /[ \t]/.test(this.text[end])) end++;
+    }
+
+    const next = this.text[end];
+    const previous = this.text[lineEnd - 1];
+    const needsSpace = insertSpace && lineEnd > lineStart && next !== undefined && next !== '\n' &&
+      next !== ')' && !/[ \t]/.test(previous);
+
+    this.replaceText(lineEnd, end, needsSpace ? ' ' : '');
+    return lineEnd;
+  }
+
+  put(register, after, count) {
+    const value = this.registers[register] || this.registers['"'];
+    if (!value) return;
+
+    const repeated = { text: value.text.repeat(count), linewise: value.linewise };
+
+    if (value.linewise) {
+      const insertAt = after
+        ? Math.min(this.getLineEnd(this.cursor) + 1, this.text.length)
+        : this.getLineStart(this.cursor);
+      this.insertRegisterText(repeated, insertAt, false);
+    } else {
+      const lineEnd = this.getLineEnd(this.cursor);
+      const insertAt = after && lineEnd > this.getLineStart(this.cursor) ? this.cursor + 1 : this.cursor;
+      this.insertRegisterText(repeated, insertAt, false);
+    }
+  }
+
+  /**
+   * Insert register contents at position and place the cursor like Vim does
+   */
+  insertRegisterText(register, position) {
+    if (register.linewise) {
+      let text = register.text;
+      let insertAt = position;
+
+      if (insertAt >= this.text.length && !this.text.endsWith('\n') && this.text.length > 0) {
+        text = `\n${text.replace(/\n$/, '')}`;
+      }
+      this.replaceText(insertAt, insertAt, text);
+      if (text.startsWith('\n')) insertAt += 1;
+      this.setCursor(this.getFirstNonBlank(insertAt));
+      return;
+    }
+
+    this.replaceText(position, position, register.text);
+    this.setCursor(position + Math.max(0, register.text.length - 1));
+  }
+
+  undo(count) {
+    for (let i = 0; i < count && this.undoStack.length > 0; i++) {
+      const state = this.undoStack.pop();
+      this.redoStack.push({ text: this.text, cursor: this.cursor });
+      this.text = state.text;
+      this.setCursor(state.cursor);
+    }
+  }
+
+  redo(count) {
+    for (let i = 0; i < count && this.redoStack.length > 0; i++) {
+      const state = this.redoStack.pop();
+      this.undoStack.push({ text: this.text, cursor: this.cursor });
+      this.text = state.text;
+      this.setCursor(state.cursor);
+    }
+  }
+
+  /**
+   * "." replays the last change; a count replaces the one the change was made with
+   */
+  repeatLastChange(count) {
+    if (!this.lastChange) return;
+    const { keys } = this.lastChange;
+    if (count) {
+      this.lastChange = { keys, count };
+    }
+
+    const registerLength = keys[0] === '"' ? 2 : 0;
+    const countKeys = this.lastChange.count ? String(this.lastChange.count).split('') : [];
+    const replayKeys = [...keys.slice(0, registerLength), ...countKeys, ...keys.slice(registerLength)];
+
+    this.replaying = true;
+    replayKeys.forEach(key => this.pressKey(key));
+    this.replaying = false;
+  }
+
+  searchWordUnderCursor(backward, count) {
+    const range = this.getWordObject(true, false, 1);
+    const word = this.text.substring(range.start, range.end);
+    if (!word.trim()) return;
+
+    this.lastSearch = { pattern: `\\<${word}\\>`, backward };
+    this.hlsearch = true;
+    let position = this.cursor;
+    for (let i = 0; i < count; i++) {
+      const found = this.findSearchMatch(this.lastSearch.pattern, position, backward);
+      if (found === null) return;
+      position = found;
+    }
+    this.setCursor(position);
+  }
+
+  // ========================================
+  // INSERT / REPLACE MODE
+  // ========================================
+
+  /**
+   * With a count (3ia<Esc>, 3ofoo<Esc>) the typed text is repeated on <Esc>;
+   * linePrefix is what "o" / "O" open before each repeated line
+   */
+  enterInsertMode(position, count = 1, linePrefix = '') {
+    this.mode = 'insert';
+    this.setCursor(position);
+    this.insertRepeat = count > 1 ? { count, start: this.cursor, linePrefix } : null;
+    this.autoIndented = false;
+  }
+
+  /**
+   * <Esc> right after an autoindent (nothing typed on the line) removes the indent again
+   */
+  removeAutoIndent() {
+    this.autoIndented = false;
+    if (this.getLineEnd(this.cursor) !== this.cursor) return;
+
+    const lineStart = this.getLineStart(this.cursor);
+    if (this.insertRepeat && this.insertRepeat.start === this.cursor) {
+      // "3o<Esc>": the repeated lines are empty too
+      this.insertRepeat.start = lineStart;
+      this.insertRepeat.linePrefix = this.insertRepeat.linePrefix.replace(/[ \t]+$/, '');
+    }
+    this.replaceText(lineStart, this.cursor, '');
+    this.setCursor(lineStart);
+  }
+
+  /**
+   * Leaving Insert / Replace mode after a count: type the text count - 1 more times
+   */
+  repeatInsertedText() {
+    const { count, start, linePrefix } = this.insertRepeat;
+    this.insertRepeat = null;
+    if (this.cursor < start) return;
+
+    const repeated = (linePrefix + this.text.substring(start, this.cursor)).repeat(count - 1);
+    if (this.mode === 'insert') {
+      this.replaceText(this.cursor, this.cursor, repeated);
+      this.setCursor(this.cursor + repeated.length);
+    } else {
+      // Replace mode keeps overtyping
+      repeated.split('').forEach(char => this.handleReplaceKey(char === '\n' ? '<CR>' : char));
+    }
+  }
+
+  handleInsertKey(key) {
+    const lineStart = this.getLineStart(this.cursor);
+
+    if (key !== '<Esc>') {
+      this.autoIndented = false;
+    }
+
+    switch (key) {
+      case '<Esc>': {
+        if (this.blockInsert) {
+          this.finishBlockInsert();
+        }
+        if (this.autoIndented) {
+          this.removeAutoIndent();
+        }
+        if (this.insertRepeat) {
+          this.repeatInsertedText();
+        }
+        const column = this.getColumn(this.cursor);
+        this.mode = 'normal';
+        this.setCursor(column > 0 ? this.cursor - 1 : this.cursor);
+        this.finishChangeIfDone();
+        break;
+      }
+      case '<CR>': {
+        const indent = this.options.autoindent ? this.getIndent(this.cursor) : '';
+        this.replaceText(this.cursor, this.cursor, `\n${indent}`);
+        this.setCursor(this.cursor + 1 + indent.length);
+        this.autoIndented = indent !== '';
+        break;
+      }
+      case '<BS>':
+        if (this.cursor > 0) {
+          this.replaceText(this.cursor - 1, this.cursor, '');
+          this.setCursor(this.cursor - 1);
+        }
+        break;
+      case '<Del>':
+        this.replaceText(this.cursor, this.cursor + 1, '');
+        break;
+      case '<C-w>': {
+        const start = this.cursor > lineStart ? this.previousWordStart(this.cursor, false) : this.cursor - 1;
+        const from = Math.max(0, Math.max(start, this.cursor > lineStart ? lineStart : 0));
+        this.replaceText(from, this.cursor, '');
+        this.setCursor(from);
+        break;
+      }
+      case '<Tab>': {
+        const tab = this.options.expandtab ? ' '.repeat(this.options.shiftwidth) : '\t';
+        this.replaceText(this.cursor, this.cursor, tab);
+        this.setCursor(this.cursor + tab.length);
+        break;
+      }
+      case '<Left>':
+        this.setCursor(Math.max(lineStart, this.cursor - 1));
+        break;
+      case '<Right>':
+        this.setCursor(Math.min(this.getLineEnd(this.cursor), this.cursor + 1));
+        break;
+      case '<Up>':
+      case '<Down>': {
+        const line = this.getLineNumber(this.cursor) + (key === '<Down>' ? 1 : -1);
+        if (line >= 0 && line < this.getLineCount()) {
+          const start = this.getLineStartByNumber(line);
+          this.setCursor(Math.min(start + this.getColumn(this.cursor), this.getLineEnd(start)));
+        }
+        break;
+      }
+      default:
+        if (key.length === 1) {
+          this.replaceText(this.cursor, this.cursor, key);
+          this.setCursor(this.cursor + 1);
+        }
+    }
+  }
+
+  handleReplaceKey(key) {
+    switch (key) {
+      case '<Esc>': {
+        if (this.insertRepeat) {
+          this.repeatInsertedText();
+        }
+        const lineStart = this.getLineStart(this.cursor);
+        this.mode = 'normal';
+        this.setCursor(this.cursor > lineStart ? this.cursor - 1 : this.cursor);
+        this.finishChangeIfDone();
+        break;
+      }
+      case '<BS>':
+        // Backspace restores what was overtyped
+        if (this.cursor > this.replaceStart) {
+          const original = this.replaceOriginals.pop();
+          this.replaceText(this.cursor - 1, this.cursor, original === null ? '' : original);
+          this.setCursor(this.cursor - 1);
+        } else {
+          this.setCursor(Math.max(this.getLineStart(this.cursor), this.cursor - 1));
+        }
+        break;
+      case '<CR>':
+        this.replaceText(this.cursor, this.cursor, '\n');
+        this.replaceOriginals.push(null);
+        this.setCursor(this.cursor + 1);
+        break;
+      default:
+        if (key.length !== 1) break;
+        if (this.cursor >= this.text.length || this.text[this.cursor] === '\n') {
+          this.replaceOriginals.push(null);
+          this.replaceText(this.cursor, this.cursor, key);
+        } else {
+          this.replaceOriginals.push(this.text[this.cursor]);
+          this.replaceText(this.cursor, this.cursor + 1, key);
+        }
+        this.setCursor(this.cursor + 1);
+    }
+  }
+
+  // ========================================
+  // COMMAND-LINE MODE
+  // ========================================
+
+  enterCommandLine(type, initialText = '') {
+    this.mode = 'command';
+    this.commandType = type;
+    this.commandLine = initialText;
+  }
+
+  handleCommandLineKey(key) {
+    switch (key) {
+      case '<Esc>':
+        this.mode = 'normal';
+        this.setCursor(this.cursor);
+        break;
+      case '<BS>':
+        if (this.commandLine === '') {
+          this.mode = 'normal';
+          this.setCursor(this.cursor);
+        } else {
+          this.commandLine = this.commandLine.slice(0, -1);
+        }
+        break;
+      case '<CR>':
+        this.mode = 'normal';
+        this.executeCommandLine(this.commandType, this.commandLine);
+        this.setCursor(this.cursor);
+        break;
+      default:
+        if (key.length === 1) {
+          this.commandLine += key;
+        }
+    }
+  }
+
+  executeCommandLine(type, commandLine) {
+    if (type === '/' || type === '?') {
+      const pattern = commandLine || (this.lastSearch && this.lastSearch.pattern);
+      if (!pattern) return;
+      this.lastSearch = { pattern, backward: type === '?' };
+      this.hlsearch = true;
+      const found = this.findSearchMatch(pattern, this.cursor, type === '?');
+      if (found !== null) this.setCursor(found);
+      return;
+    }
+
+    this.executeExCommand(commandLine.trim());
+  }
+
+  /**
+   * Small subset of Ex commands: :N, :[range]s/pat/rep/flags, :[range]d, :g/pat/d, :noh
+   */
+  executeExCommand(commandLine) {
+    if (/^\d+$/.test(commandLine)) {
+      const line = Math.min(parseInt(commandLine, 10), this.getLineCount()) - 1;
+      this.setCursor(this.getFirstNonBlank(this.getLineStartByNumber(Math.max(0, line))));
+      return;
+    }
+
+    if (/^noh(l(s(e(a(r(c(h)?)?)?)?)?)?)?$/.test(commandLine)) {
+      this.hlsearch = false;
+      return;
+    }
+
+    const parsed = this.parseExRange(commandLine);
+    const rest = parsed.rest;
+
+    const substitute = /^s(?:ubstitute)?([^\w\s])(.*)$/.exec(rest);
+    if (substitute) {
+      this.saveUndoState();
+      this.executeSubstitute(parsed.firstLine, parsed.lastLine, substitute[1], substitute[2]);
+      return;
+    }
+
+    const global = /^(g|v)(?:lobal)?(!?)([^\w\s])(.*?)\3(.*)$/.exec(rest);
+    if (global && /^d(elete)?$/.test(global[5].trim())) {
+      this.saveUndoState();
+      const invert = global[1] === 'v' || global[2] === '!';
+      this.executeGlobalDelete(global[4], invert);
+      return;
+    }
+
+    if (/^d(elete)?$/.test(rest)) {
+      this.saveUndoState();
+      const range = this.getLinewiseRange(parsed.firstLine, parsed.lastLine);
+      this.storeRegister('"', this.getRangeText(range), true);
+      this.deleteRange(range);
+      this.setCursor(this.getFirstNonBlank(Math.min(range.start, this.text.length)));
+      return;
+    }
+
+    console.log('⌨️ [KEYSTROKE DEBUG] Unsupported Ex command', commandLine);
+  }
+
+  parseExRange(commandLine) {
+    const currentLine = this.getLineNumber(this.cursor);
+    const visualRange = this.lastVisualLines;
+
+    if (commandLine.startsWith('%')) {
+      return { firstLine: 0, lastLine: this.getLineCount() - 1, rest: commandLine.substring(1) };
+    }
+    if (commandLine.startsWith("'<,'>") && visualRange) {
+      return { ...visualRange, rest: commandLine.substring(5) };
+    }
+
+    const numeric = /^(\d+|\.|\$)(?:,(\d+|\.|\$))?/.exec(commandLine);
+    if (numeric) {
+      const toLine = value => (value === '.' ? currentLine : value === '$' ? this.getLineCount() - 1 : parseInt(value, 10) - 1);
+      const firstLine = toLine(numeric[1]);
+      const lastLine = numeric[2] ? toLine(numeric[2]) : firstLine;
+      return { firstLine, lastLine, rest: commandLine.substring(numeric[0].length) };
+    }
+
+    return { firstLine: currentLine, lastLine: currentLine, rest: commandLine };
+  }
+
+  executeSubstitute(firstLine, lastLine, delimiter, body) {
+    const parts = this.splitOnDelimiter(body, delimiter);
+    const pattern = parts[0] || (this.lastSearch && this.lastSearch.pattern);
+    const replacement = parts[1] || '';
+    const flags = parts[2] || '';
+    if (!pattern) return;
+
+    const translator = this.createPatternTranslator({
+      ignorecase: flags.includes('i') || (this.options.ignorecase && !flags.includes('I'))
+    });
+    const translated = translator.translate(pattern);
+    const regexFlags = translated.flags.replace('g', '') + (flags.includes('g') ? 'g' : '');
+    const regex = new RegExp(translated.source, regexFlags);
+
+    let lastChangedLine = null;
+    for (let line = lastLine; line >= firstLine; line--) {
+      const lineStart = this.getLineStartByNumber(line);
+      const lineEnd = this.getLineEnd(lineStart);
+      const lineText = this.text.substring(lineStart, lineEnd);
+      regex.lastIndex = 0;
+      if (!regex.test(lineText)) continue;
+      regex.lastIndex = 0;
+
+      const newText = lineText.replace(regex, (...match) => this.expandReplacement(replacement, match));
+      this.replaceText(lineStart, lineEnd, newText);
+      if (lastChangedLine === null) lastChangedLine = line;
+    }
+
+    this.lastSearch = { pattern, backward: false };
+    this.lastSubstitute = replacement;
+    if (lastChangedLine !== null) {
+      this.setCursor(this.getFirstNonBlank(this.getLineStartByNumber(lastChangedLine)));
+    }
+  }
+
+  /**
+   * Pattern translator for the buffer options, with the last substitute string for "~"
+   */
+  createPatternTranslator(overrides = {}) {
+    return new VimPatternTranslator({ ...this.options, lastSubstitute: this.lastSubstitute, ...overrides });
+  }
+
+  /**
+   * Expand "&", "\0".."\9", "\r" / "\n" and "\u" / "\U" / "\l" / "\L" in a replacement
+   */
+  expandReplacement(replacement, match) {
+    let result = '';
+    let caseMode = null;
+    let nextCase = null;
+
+    const append = (text) => {
+      for (const char of text) {
+        let value = caseMode === 'U' ? char.toUpperCase() : caseMode === 'L' ? char.toLowerCase() : char;
+        if (nextCase) {
+          value = nextCase === 'u' ? value.toUpperCase() : value.toLowerCase();
+          nextCase = null;
+        }
+        result += value;
+      }
+    };
+
+    for (let i = 0; i < replacement.length; i++) {
+      const char = replacement[i];
+      if (char === '&') {
+        append(match[0]);
+      } else if (char === '\\' && i + 1 < replacement.length) {
+        const next = replacement[++i];
+        if (/[0-9]/.test(next)) append(match[parseInt(next, 10)] || '');
+        else if (next === 'r' || next === 'n') result += '\n';
+        else if (next === 't') result += '\t';
+        else if (next === 'u' || next === 'l') nextCase = next;
+        else if (next === 'U' || next === 'L') caseMode = next;
+        else if (next === 'e' || next === 'E') caseMode = null;
+        else append(next);
+      } else {
+        append(char);
+      }
+    }
+    return result;
+  }
+
+  splitOnDelimiter(body, delimiter) {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] === '\\' && body[i + 1] === delimiter) {
+        current += delimiter;
+        i++;
+      } else if (body[i] === delimiter && parts.length < 2) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += body[i];
+      }
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  executeGlobalDelete(pattern, invert) {
+    const regex = this.createPatternTranslator().toRegExp(pattern);
+    if (!regex) return;
+
+    const lines = this.text.split('\n');
+    const kept = lines.filter(line => {
+      regex.lastIndex = 0;
+      return regex.test(line) === invert;
+    });
+    this.text = kept.join('\n');
+    this.lastSearch = { pattern, backward: false };
+    this.setCursor(this.getFirstNonBlank(Math.min(this.cursor, this.text.length)));
+  }
+}
+
+// Export for ES module usage
+export {
+    VimKeyParser,
+    VimKeystrokeEngine
+};
@@ -0,0 +1,140 @@
+// Matching bracket highlight for VimCraft (Neovim's matchparen plugin)
+// When the cursor is on a bracket, the bracket and its partner get the
+// match-paren class; brackets inside strings and comments are skipped
+
+// 'matchpairs' plus the angle brackets of HTML/JSX tags
+const MATCH_PAIRS = {
+  '(': ')',
+  '[': ']',
+  '{': '}',
+  '<': '>'
+};
+
+// Angle brackets only pair up inside Prism tag tokens (not `a < b`)
+const TAG_BRACKETS = ['<', '>'];
+
+// Syntax groups whose brackets do not count (unless the cursor is inside one too)
+const SKIPPED_CLASSES = ['string', 'char', 'comment'];
+
+/**
+ * Paints the bracket under the cursor and its partner over a token stream
+ */
+class MatchParenOverlay {
+  constructor(visualEffectsProcessor) {
+    this.visualEffectsProcessor = visualEffectsProcessor;
+  }
+
+  /**
+   * Normal mode looks at the character under the cursor; Insert mode first at
+   * the one before it, like matchparen.vim
+   */
+  apply(tokens, cursorPosition, mode) {
+    const source = this.visualEffectsProcessor.getSourceText(tokens);
+    const classesAt = this.getCharacterClasses(tokens);
+
+    const candidates = mode === 'insert' ? [cursorPosition - 1, cursorPosition] : [cursorPosition];
+    const position = candidates.find(candidate =>
+      candidate >= 0 && source.charAt(candidate) !== '\n' && this.isBracket(source, classesAt, candidate));
+
+    if (position === undefined) {
+      return tokens;
+    }
+
+    const partner = this.findPartner(source, classesAt, position);
+
+    console.log('🔗 [MATCHPAREN DEBUG] Bracket match', {
+      cursorPosition,
+      bracket: source.charAt(position),
+      position,
+      partner
+    });
+
+    if (partner === -1) {
+      return tokens;
+    }
+
+    let result = this.visualEffectsProcessor.applyHighlight(tokens, position, position + 1, 'match-paren');
+    result = this.visualEffectsProcessor.applyHighlight(result, partner, partner + 1, 'match-paren');
+    return result;
+  }
+
+  isBracket(source, classesAt, position) {
+    const char = source.charAt(position);
+    const isPairChar = char in MATCH_PAIRS || Object.values(MATCH_PAIRS).includes(char);
+    if (!isPairChar) return false;
+
+    return !TAG_BRACKETS.includes(char) || classesAt[position].includes('tag');
+  }
+
+  isSkipped(classesAt, position) {
+    return classesAt[position].some(className => SKIPPED_CLASSES.includes(className));
+  }
+
+  /**
+   * Scan forward from an opening bracket (backward from a closing one), counting nesting
+   */
+  findPartner(source, classesAt, position) {
+    const char = source.charAt(position);
+    const isOpening = char in MATCH_PAIRS;
+    const open = isOpening ? char : Object.keys(MATCH_PAIRS).find(key => MATCH_PAIRS[key] === char);
+    const close = MATCH_PAIRS[open];
+    const step = isOpening ? 1 : -1;
+    const skipStringsAndComments = !this.isSkipped(classesAt, position);
+    let depth = 0;
+
+    for (let i = position + step; i >= 0 && i < source.length; i += step) {
+      const current = source.charAt(i);
+      if (current !== open && current !== close) continue;
+      if (!this.isBracket(source, classesAt, i)) continue;
+      if (skipStringsAndComments && this.isSkipped(classesAt, i)) continue;
+
+      if (current === char) {
+        depth++;
+      } else if (depth === 0) {
+        return i;
+      } else {
+        depth--;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Prism classes of every character, including those nested in a
+   * ComplexVimToken (e.g. the punctuation inside an HTML tag)
+   */
+  getCharacterClasses(tokens) {
+    const classesAt = [];
+
+    const walk = (structure, inherited) => {
+      if (typeof structure === 'string') {
+        for (let i = 0; i < structure.length; i++) classesAt.push(inherited);
+        return;
+      }
+      if (!structure || typeof structure !== 'object') return;
+
+      const classes = [...inherited, structure.type, ...[].concat(structure.alias || [])].filter(Boolean);
+      if (typeof structure.content === 'string') {
+        walk(structure.content, classes);
+      } else if (Array.isArray(structure.content)) {
+        structure.content.forEach(item => walk(item, classes));
+      }
+    };
+
+    for (const token of tokens) {
+      if (token.isComplex && token.nestedStructure) {
+        walk(token.nestedStructure, []);
+      } else {
+        walk(token.value || '', token.prismClasses || []);
+      }
+    }
+
+    return classesAt;
+  }
+}
+
+// Export for ES module usage
+export {
+    MatchParenOverlay
+};
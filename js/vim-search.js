@@ -0,0 +1,416 @@
+// Search highlighting for VimCraft (hlsearch / incsearch)
+// Translates Vim search patterns to JavaScript regexes and paints every
+// match over the token stream with the Search / CurSearch / IncSearch groups
+
+// Characters that must be escaped to be literal in a JavaScript regex
+const JS_REGEX_SPECIALS = '\\^$.*+?()[]{}|/';
+
+// Vim character class escapes (\a, \l, \u, ...) and their JavaScript equivalent
+const VIM_CHARACTER_CLASSES = {
+  's': '\\s', 'S': '\\S',
+  'd': '\\d', 'D': '\\D',
+  'w': '\\w', 'W': '\\W',
+  'a': '[A-Za-z]', 'A': '[^A-Za-z]',
+  'l': '[a-z]', 'L': '[^a-z]',
+  'u': '[A-Z]', 'U': '[^A-Z]',
+  'x': '[0-9A-Fa-f]', 'X': '[^0-9A-Fa-f]',
+  'o': '[0-7]', 'O': '[^0-7]',
+  'h': '[A-Za-z_]', 'H': '[^A-Za-z_]',
+  'k': '[\\w]', 'i': '[\\w]',
+  'f': '\\S', 'p': '\\S',
+  'n': '\\n', 't': '\\t', 'r': '\\r', 'e': '\\x1b'
+};
+
+// POSIX bracket classes allowed inside [] collections
+const POSIX_CLASSES = {
+  'alpha': 'A-Za-z', 'digit': '0-9', 'alnum': 'A-Za-z0-9',
+  'lower': 'a-z', 'upper': 'A-Z', 'space': '\\s',
+  'blank': ' \\t', 'xdigit': '0-9A-Fa-f', 'punct': '!-\\/:-@\\[-`{-~'
+};
+
+// Neovim stops counting matches after this many ("[>99/>99]")
+const SEARCH_COUNT_MAX = 99;
+
+/**
+ * Translates Vim regex syntax (magic levels, \< \>, \( \), \{n,m}, \zs ...)
+ * to an equivalent JavaScript RegExp
+ */
+class VimPatternTranslator {
+  constructor(options = {}) {
+    this.ignorecase = !!options.ignorecase;
+    this.smartcase = !!options.smartcase;
+    this.lastSubstitute = options.lastSubstitute || '';  // What "~" matches
+  }
+
+  /**
+   * Build a global RegExp for the pattern, or null if it cannot be translated
+   */
+  toRegExp(pattern) {
+    try {
+      const { source, flags } = this.translate(pattern);
+      return new RegExp(source, flags);
+    } catch (error) {
+      console.warn('🔎 [SEARCH DEBUG] Could not translate Vim pattern:', pattern, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Translate a Vim pattern to { source, flags }
+   */
+  translate(pattern) {
+    let magic = 'magic'; // 'very' (\v), 'magic' (\m), 'nomagic' (\M), 'verynomagic' (\V)
+    let caseOverride = null;
+    let out = '';
+    let zsIndex = null;
+    let zeIndex = null;
+
+    // Track where the last atom starts, so \@= and friends can wrap it
+    let lastAtomStart = 0;
+    const groupStack = [];
+
+    let i = 0;
+    while (i < pattern.length) {
+      let char = pattern[i];
+      let escaped = false;
+
+      if (char === '\\' && i + 1 < pattern.length) {
+        escaped = true;
+        char = pattern[i + 1];
+        i += 2;
+      } else {
+        i += 1;
+      }
+
+      // Magic level and case switches
+      if (escaped && 'vmMV'.includes(char)) {
+        magic = { 'v': 'very', 'm': 'magic', 'M': 'nomagic', 'V': 'verynomagic' }[char];
+        continue;
+      }
+      if (escaped && (char === 'c' || char === 'C')) {
+        caseOverride = char === 'c';
+        continue;
+      }
+
+      // Match start / end markers
+      if (escaped && char === 'z' && (pattern[i] === 's' || pattern[i] === 'e')) {
+        if (pattern[i] === 's') zsIndex = out.length;
+        else zeIndex = out.length;
+        i += 1;
+        continue;
+      }
+
+      if (!this.isSpecial(char, escaped, magic)) {
+        if (escaped && VIM_CHARACTER_CLASSES[char]) {
+          lastAtomStart = out.length;
+          out += VIM_CHARACTER_CLASSES[char];
+        } else if (escaped && /[1-9]/.test(char)) {
+          lastAtomStart = out.length;
+          out += `\\${char}`;
+        } else if (escaped && char === '_') {
+          // \_x: like \x but also matches a newline
+          const next = pattern[i];
+          i += 1;
+          lastAtomStart = out.length;
+          if (next === '.') {
+            out += '[\\s\\S]';
+          } else if (next === '^' || next === '$') {
+            out += next;
+          } else if (VIM_CHARACTER_CLASSES[next]) {
+            out += `(?:${VIM_CHARACTER_CLASSES[next]}|\\n)`;
+          } else {
+            out += this.escapeLiteral(next || '_');
+          }
+        } else {
+          lastAtomStart = out.length;
+          out += this.escapeLiteral(char);
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '(':
+          groupStack.push(out.length);
+          out += '(';
+          break;
+        case '%':
+          // \%( non-capturing group
+          if (pattern[i] === '(' || pattern.substring(i, i + 2) === '\\(') {
+            i += pattern[i] === '(' ? 1 : 2;
+            groupStack.push(out.length);
+            out += '(?:';
+          } else {
+            lastAtomStart = out.length;
+            out += '%';
+          }
+          break;
+        case ')':
+          lastAtomStart = groupStack.length > 0 ? groupStack.pop() : 0;
+          out += ')';
+          break;
+        case '|':
+          out += '|';
+          break;
+        case '+':
+        case '*':
+          out += char;
+          break;
+        case '?':
+        case '=':
+          out += '?';
+          break;
+        case '{': {
+          const closing = pattern.indexOf('}', i);
+          if (closing === -1) throw new Error('Unmatched \\{');
+          const body = pattern.substring(i, closing).replace(/\\$/, '');
+          i = closing + 1;
+          out += this.translateBraceQuantifier(body);
+          break;
+        }
+        case '@': {
+          const lookaround = ['<=', '<!', '=', '!', '>'].find(op => pattern.startsWith(op, i));
+          if (!lookaround) throw new Error('Unsupported \\@ item');
+          i += lookaround.length;
+          const atom = out.substring(lastAtomStart);
+          const prefix = { '=': '(?=', '!': '(?!', '<=': '(?<=', '<!': '(?<!', '>': '(?:' }[lookaround];
+          out = out.substring(0, lastAtomStart) + `${prefix}${atom})`;
+          break;
+        }
+        case '<':
+        case '>':
+          out += '\\b';
+          break;
+        case '.':
+          lastAtomStart = out.length;
+          out += '.';
+          break;
+        case '[': {
+          const collection = this.readCollection(pattern, i);
+          lastAtomStart = out.length;
+          if (collection) {
+            out += collection.source;
+            i = collection.end;
+          } else {
+            out += '\\[';
+          }
+          break;
+        }
+        case '~':
+          // The last substitute string, matched literally
+          lastAtomStart = out.length;
+          out += `(?:${this.lastSubstitute.split('').map(literal => this.escapeLiteral(literal)).join('')})`;
+          break;
+        case '^':
+          // Only an anchor at the start of a branch, otherwise literal
+          out += /(^|\(|\(\?:|\|)$/.test(out) ? '^' : '\\^';
+          break;
+        case '$': {
+          // Only an anchor at the end of a branch, otherwise literal
+          const rest = pattern.substring(i);
+          const endsBranch = rest === '' || /^\\[|)]/.test(rest) || (magic === 'very' && /^[|)]/.test(rest));
+          out += endsBranch ? '$' : '\\$';
+          break;
+        }
+        default:
+          lastAtomStart = out.length;
+          out += this.escapeLiteral(char);
+      }
+    }
+
+    // \zs and \ze become lookbehind / lookahead around the real match
+    if (zeIndex !== null) {
+      out = `${out.substring(0, zeIndex)}(?=${out.substring(zeIndex)})`;
+    }
+    if (zsIndex !== null) {
+      out = `(?<=${out.substring(0, zsIndex)})${out.substring(zsIndex)}`;
+    }
+
+    const ignoreCase = caseOverride !== null
+      ? caseOverride
+      : this.ignorecase && !(this.smartcase && /[A-Z]/.test(pattern));
+
+    // "m": ^ and $ anchor at every line of the buffer, like in Vim
+    return { source: out, flags: ignoreCase ? 'gim' : 'gm' };
+  }
+
+  /**
+   * Whether a character acts as a regex operator at the current magic level
+   */
+  isSpecial(char, escaped, magic) {
+    if ('()|+?={@<>%'.includes(char)) {
+      return magic === 'very' ? !escaped : escaped;
+    }
+    if ('.*[~'.includes(char)) {
+      return magic === 'very' || magic === 'magic' ? !escaped : escaped;
+    }
+    if ('^$'.includes(char)) {
+      return magic === 'verynomagic' ? escaped : !escaped;
+    }
+    return false;
+  }
+
+  /**
+   * Translate the body of \{n,m} (a leading "-" makes it non-greedy)
+   */
+  translateBraceQuantifier(body) {
+    const lazy = body.startsWith('-');
+    const range = lazy ? body.substring(1) : body;
+    let quantifier;
+
+    if (range === '') {
+      quantifier = '*';
+    } else if (/^\d+$/.test(range)) {
+      quantifier = `{${range}}`;
+    } else if (/^\d*,\d*$/.test(range)) {
+      const [min, max] = range.split(',');
+      quantifier = `{${min || 0},${max}}`;
+    } else {
+      throw new Error(`Invalid \\{${body}}`);
+    }
+
+    return lazy ? `${quantifier}?` : quantifier;
+  }
+
+  /**
+   * Read a [] collection starting after "[", returning { source, end } or null
+   */
+  readCollection(pattern, start) {
+    let i = start;
+    let source = '[';
+
+    if (pattern[i] === '^') {
+      source += '^';
+      i += 1;
+    }
+    // A "]" right after "[" or "[^" is literal
+    if (pattern[i] === ']') {
+      source += '\\]';
+      i += 1;
+    }
+
+    while (i < pattern.length && pattern[i] !== ']') {
+      const posix = /^\[:(\w+):\]/.exec(pattern.substring(i));
+      if (posix && POSIX_CLASSES[posix[1]]) {
+        source += POSIX_CLASSES[posix[1]];
+        i += posix[0].length;
+      } else if (pattern[i] === '\\' && i + 1 < pattern.length) {
+        const next = pattern[i + 1];
+        source += 'nterd'.includes(next) ? `\\${next}` : this.escapeLiteral(next);
+        i += 2;
+      } else {
+        source += pattern[i] === '[' ? '\\[' : pattern[i];
+        i += 1;
+      }
+    }
+
+    if (i >= pattern.length) {
+      return null;
+    }
+
+    return { source: `${source}]`, end: i + 1 };
+  }
+
+  escapeLiteral(char) {
+    return JS_REGEX_SPECIALS.includes(char) ? `\\${char}` : char;
+  }
+}
+
+/**
+ * Paints search matches over a token stream
+ */
+class SearchOverlay {
+  constructor(visualEffectsProcessor, options = {}) {
+    this.visualEffectsProcessor = visualEffectsProcessor;
+    this.options = options;
+    this.translator = new VimPatternTranslator(options);
+  }
+
+  /**
+   * Find every non-empty match of the Vim pattern in source
+   */
+  findMatches(source, pattern, translator = this.translator) {
+    const regex = translator.toRegExp(pattern);
+    const matches = [];
+
+    if (!regex) {
+      return matches;
+    }
+
+    let match;
+    while ((match = regex.exec(source)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex += 1; // Avoid looping forever on zero-width matches
+        continue;
+      }
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Index of the match the cursor jumps to: the first match at or after the
+   * cursor searching forward, the last one before it searching backward (wrapping)
+   */
+  findCurrentMatchIndex(matches, cursorPosition, backward = false) {
+    if (matches.length === 0) return -1;
+
+    if (backward) {
+      for (let i = matches.length - 1; i >= 0; i--) {
+        if (matches[i].start < cursorPosition) return i;
+      }
+      return matches.length - 1;
+    }
+
+    const index = matches.findIndex(match => match.end > cursorPosition);
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Highlight matches over the tokens.
+   * search: { pattern, current?, backward?, incremental?, lastSubstitute? }
+   * Returns { tokens, matches, currentIndex }
+   */
+  apply(tokens, search, cursorPosition) {
+    const translator = search.lastSubstitute
+      ? new VimPatternTranslator({ ...this.options, lastSubstitute: search.lastSubstitute })
+      : this.translator;
+    const source = this.visualEffectsProcessor.getSourceText(tokens);
+    const matches = this.findMatches(source, search.pattern, translator);
+    const currentIndex = typeof search.current === 'number'
+      ? Math.min(search.current, matches.length - 1)
+      : this.findCurrentMatchIndex(matches, cursorPosition, search.backward);
+
+    console.log('🔎 [SEARCH DEBUG] Search overlay', {
+      pattern: search.pattern,
+      regex: translator.toRegExp(search.pattern)?.source,
+      totalMatches: matches.length,
+      currentIndex
+    });
+
+    let result = tokens;
+    matches.forEach((match, index) => {
+      let className = 'Search';
+      if (index === currentIndex) {
+        className = search.incremental ? 'IncSearch' : 'CurSearch';
+      }
+      result = this.visualEffectsProcessor.applyHighlight(result, match.start, match.end, className);
+    });
+
+    return { tokens: result, matches, currentIndex };
+  }
+
+  /**
+   * Format the "[current/total]" search count like Neovim's shortmess-S
+   */
+  formatCount(currentIndex, total) {
+    const format = value => (value > SEARCH_COUNT_MAX ? `>${SEARCH_COUNT_MAX}` : String(value));
+    return `[${format(currentIndex + 1)}/${format(total)}]`;
+  }
+}
+
+// Export for ES module usage
+export {
+    VimPatternTranslator,
+    SearchOverlay
+};
@@ -0,0 +1,188 @@
+// Statusline for VimCraft
+// Builds the row above the command line from configurable left / center / right
+// segments (mode pill, file name, [+], filetype, line:col...), with presets for
+// the stock Neovim statusline and a lualine-like one
+
+import { HtmlEscaper } from './html-escape.js';
+
+const STATUSLINE_PRESETS = {
+  // Only the mode message ("-- INSERT --"), as VimCraft always rendered it
+  minimal: null,
+  // Stock 'statusline' (%<%f %h%m%r%=%-14.(%l,%c%V%) %P) with 'showmode'
+  neovim: {
+    style: 'neovim',
+    left: ['filename', 'modified'],
+    center: [],
+    right: ['ruler', 'percent'],
+    showmode: true
+  },
+  // lualine defaults: mode | filename ... encoding fileformat filetype | progress | location
+  lualine: {
+    style: 'lualine',
+    left: ['mode', 'filename', 'modified'],
+    center: [],
+    right: ['encoding', 'fileformat', 'filetype', 'progress', 'location'],
+    showmode: false,
+    // inactive_sections: filename ... location
+    inactive: { left: ['filename', 'modified'], center: [], right: ['location'] }
+  }
+};
+
+// Mode pill text and color group, as lualine shows them
+const MODE_PILLS = {
+  'normal': { label: 'NORMAL', group: 'normal' },
+  'insert': { label: 'INSERT', group: 'insert' },
+  'visual': { label: 'VISUAL', group: 'visual' },
+  'visual-line': { label: 'V-LINE', group: 'visual' },
+  'visual-block': { label: 'V-BLOCK', group: 'visual' },
+  'replace': { label: 'REPLACE', group: 'replace' },
+  'vreplace': { label: 'V-REPLACE', group: 'replace' },
+  'command': { label: 'COMMAND', group: 'command' }
+};
+
+// Prism language -> Neovim 'filetype'
+const FILETYPES = {
+  'markup': 'html',
+  'javascript': 'javascript',
+  'typescript': 'typescript',
+  'python': 'python',
+  'java': 'java',
+  'swift': 'swift',
+  'css': 'css'
+};
+
+class StatuslineBuilder {
+  /**
+   * config: preset name ('minimal', 'neovim', 'lualine') or
+   * { style?, left: [], center: [], right: [], showmode? } where a segment is a
+   * name (see getSegmentValue), { text } or a function(context) returning text
+   */
+  constructor(config = 'minimal') {
+    const preset = typeof config === 'string' ? STATUSLINE_PRESETS[config] : config;
+    this.config = preset ? { style: 'neovim', left: [], center: [], right: [], showmode: true, ...preset } : null;
+  }
+
+  isEnabled() {
+    return this.config !== null;
+  }
+
+  /**
+   * Builder for the statusline of a window that is not the current one
+   */
+  forInactiveWindow() {
+    if (!this.isEnabled() || !this.config.inactive) {
+      return this;
+    }
+    return new StatuslineBuilder({ ...this.config, ...this.config.inactive, inactive: null });
+  }
+
+  /**
+   * Whether the message row shows "-- INSERT --" ('showmode'; never in Normal mode)
+   */
+  showsMode(mode) {
+    return this.isEnabled() && this.config.showmode && mode !== 'normal';
+  }
+
+  /**
+   * context: { mode, line, column, virtualColumn, lineCount, fileName, modified, filetype, encoding, fileformat }
+   */
+  render(context) {
+    if (!this.isEnabled()) {
+      return '';
+    }
+
+    const { style, left, center, right } = this.config;
+    const renderSide = (segments, side) => segments
+      .map((segment, i) => this.renderSegment(segment, context, this.getSection(side, i, segments.length)))
+      .join('');
+
+    console.log('📊 [STATUSLINE DEBUG] Rendering statusline', {
+      style,
+      mode: context.mode,
+      line: context.line,
+      column: context.column
+    });
+
+    const centerHtml = center.length > 0
+      ? `${renderSide(center, 'center')}<span class="statusline-fill"></span>`
+      : '';
+
+    return `<div class="statusline-row statusline-${style}">` +
+      renderSide(left, 'left') +
+      '<span class="statusline-fill"></span>' +
+      centerHtml +
+      renderSide(right, 'right') +
+      '</div>';
+  }
+
+  /**
+   * lualine sections: a (mode colored) and b on the outer edges, c in between
+   */
+  getSection(side, index, count) {
+    const fromEdge = side === 'left' ? index : side === 'right' ? count - 1 - index : Infinity;
+    if (fromEdge === 0) return 'a';
+    if (fromEdge === 1) return 'b';
+    return 'c';
+  }
+
+  renderSegment(segment, context, section) {
+    const name = typeof segment === 'string' ? segment : 'custom';
+    const value = typeof segment === 'function'
+      ? segment(context)
+      : typeof segment === 'object' ? segment.text : this.getSegmentValue(segment, context);
+
+    if (!value) {
+      return '';
+    }
+
+    const classes = ['statusline-segment', `statusline-${name}`];
+    if (this.config.style === 'lualine') {
+      classes.push(`statusline-section-${section}`);
+      if (section === 'a') {
+        classes.push(`statusline-mode-${(MODE_PILLS[context.mode] || MODE_PILLS.normal).group}`);
+      }
+    }
+
+    return `<span class="${classes.join(' ')}">${HtmlEscaper.escape(String(value))}</span>`;
+  }
+
+  getSegmentValue(name, context) {
+    switch (name) {
+      case 'mode':
+        return (MODE_PILLS[context.mode] || { label: context.mode.toUpperCase() }).label;
+      case 'filename':
+        return context.fileName || '[No Name]';
+      case 'modified':
+        return context.modified ? '[+]' : '';
+      case 'filetype':
+        return context.filetype || FILETYPES[context.language] || context.language || '';
+      case 'encoding':
+        return context.encoding || 'utf-8';
+      case 'fileformat':
+        return context.fileformat || 'unix';
+      case 'ruler':
+        // %l,%c%V: byte column, plus the screen column when they differ (tabs, empty line)
+        return context.column === context.virtualColumn
+          ? `${context.line},${context.column}`
+          : `${context.line},${context.column}-${context.virtualColumn}`;
+      case 'location':
+        return `${context.line}:${context.virtualColumn}`;
+      case 'percent':
+        // %P: the whole buffer is on screen
+        return 'All';
+      case 'progress':
+        if (context.line === 1) return 'Top';
+        if (context.line === context.lineCount) return 'Bot';
+        return `${Math.floor((context.line / context.lineCount) * 100)}%`;
+      default:
+        console.warn('Unknown statusline segment:', name);
+        return '';
+    }
+  }
+}
+
+// Export for ES module usage
+export {
+    StatuslineBuilder,
+    STATUSLINE_PRESETS
+};
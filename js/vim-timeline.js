@@ -0,0 +1,92 @@
+// Frame-by-frame playback for VimCraft
+// Replays a key sequence through the keystroke engine and renders every
+// intermediate state with NeovimModeSimulator.processCode
+
+import { VimKeyParser, VimKeystrokeEngine } from './vim-keystroke-engine.js';
+
+// Modes where the keys typed so far are still part of one command (caption keeps growing)
+const CAPTION_CONTINUES_IN = ['insert', 'replace', 'vreplace', 'command'];
+
+/**
+ * Builds the frames of an edit: frame 0 is the start state, then one frame per key
+ */
+class KeystrokeTimeline {
+  constructor(simulator) {
+    this.simulator = simulator;
+  }
+
+  /**
+   * startState: { text, cursor }, keys: "ciwfoo<Esc>" or an array of keys
+   * options.engine: VimKeystrokeEngine options (shiftwidth, expandtab...)
+   * options.search: hlsearch pattern shown while the keys have not searched themselves
+   * options.render: extra processCode options for every frame (lineNumbers...)
+   * Returns [{ index, key, caption, mode, cursor, text, html, renderArgs }]
+   * (renderArgs re-renders the frame with processCode, e.g. in another render mode)
+   */
+  build(startState, keys, options = {}) {
+    const engine = new VimKeystrokeEngine(startState.text, startState.cursor || 0, options.engine);
+    const keyList = Array.isArray(keys) ? keys : VimKeyParser.parse(keys);
+    const frames = [this.createFrame(engine, 0, null, [], startState.text, options)];
+    let caption = [];
+
+    keyList.forEach((key, i) => {
+      if (this.isCommandComplete(engine)) {
+        caption = [];
+      }
+
+      engine.pressKey(key);
+      caption = [...caption, key];
+      frames.push(this.createFrame(engine, i + 1, key, caption, startState.text, options));
+    });
+
+    console.log('🎞️ [TIMELINE DEBUG] Built frames', {
+      keys: keyList.join(''),
+      frameCount: frames.length
+    });
+
+    return frames;
+  }
+
+  /**
+   * A new caption starts once the previous command has finished
+   */
+  isCommandComplete(engine) {
+    const state = engine.getState();
+    return state.pendingKeys === '' && !CAPTION_CONTINUES_IN.includes(state.mode);
+  }
+
+  createFrame(engine, index, key, caption, startText, options) {
+    const state = engine.getState();
+    const renderArgs = engine.getRenderArgs();
+    // The statusline's [+] flag: the buffer differs from the start state
+    renderArgs.options = { ...options.render, ...renderArgs.options, modified: state.text !== startText };
+
+    if (!renderArgs.options.search && options.search) {
+      renderArgs.options.search = { pattern: options.search };
+    }
+
+    const html = this.simulator.processCode(
+      renderArgs.sourceCode,
+      renderArgs.mode,
+      renderArgs.selectionStart,
+      renderArgs.selectionEnd,
+      renderArgs.options
+    );
+
+    return {
+      index,
+      key,
+      caption,
+      mode: state.mode,
+      cursor: state.cursor,
+      text: state.text,
+      html,
+      renderArgs
+    };
+  }
+}
+
+// Export for ES module usage
+export {
+    KeystrokeTimeline
+};
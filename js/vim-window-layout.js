@@ -0,0 +1,85 @@
+// Window layout for VimCraft (:split / :vsplit)
+// A tree like Neovim's winlayout(): 'row' nodes put windows side by side
+// (:vsplit), 'col' nodes stack them (:split), and every leaf is a window with
+// its own buffer, language, cursor and statusline. Only the active window
+// shows the cursor; vertical splits are divided by WinSeparator.
+
+import { PrismVimHighlighterFactory } from './prism-vim-integration.js';
+
+const LAYOUT_TYPES = ['row', 'col', 'leaf'];
+
+/**
+ * node: { type: 'row' | 'col', children: [node], size? } or a window
+ * { type?: 'leaf', sourceCode, language?, highlighter?, mode?, selectionStart?,
+ *   selectionEnd?, options?, active?, size? }; size is the share of the parent (default 1)
+ */
+class WindowLayout {
+  constructor(tree) {
+    this.root = this.normalize(tree);
+    this.leaves = this.collectLeaves(this.root);
+    this.active = this.leaves.find(leaf => leaf.active) || this.leaves[0];
+  }
+
+  normalize(node) {
+    if (!node || typeof node !== 'object') {
+      throw new Error('Window layout nodes must be objects');
+    }
+
+    const type = node.type || (node.children ? 'row' : 'leaf');
+    if (!LAYOUT_TYPES.includes(type)) {
+      throw new Error(`Unknown window layout node: ${type}`);
+    }
+
+    if (type === 'leaf') {
+      if (typeof node.sourceCode !== 'string') {
+        throw new Error('Every window needs its sourceCode');
+      }
+      return { ...node, type };
+    }
+
+    if (!Array.isArray(node.children) || node.children.length === 0) {
+      throw new Error(`A '${type}' split needs at least one window`);
+    }
+    return { ...node, type, children: node.children.map(child => this.normalize(child)) };
+  }
+
+  collectLeaves(node) {
+    return node.type === 'leaf' ? [node] : node.children.flatMap(child => this.collectLeaves(child));
+  }
+
+  isActive(leaf) {
+    return leaf === this.active;
+  }
+
+  /**
+   * Highlighter of a window: the one given, one for its language, or the fallback
+   */
+  getHighlighter(leaf, fallback) {
+    if (leaf.highlighter) {
+      return leaf.highlighter;
+    }
+    return leaf.language ? PrismVimHighlighterFactory.create(leaf.language) : fallback;
+  }
+
+  /**
+   * One frame for the whole tree; renderWindow(leaf, isActive) returns the HTML of a window
+   */
+  compose(renderWindow, node = this.root) {
+    const flex = `flex: ${node.size || 1} 1 0`;
+
+    if (node.type === 'leaf') {
+      const classes = this.isActive(node) ? 'vim-window vim-window-active' : 'vim-window';
+      return `<div class="${classes}" style="${flex}">${renderWindow(node, this.isActive(node))}</div>`;
+    }
+
+    // Stacked windows are divided by their statuslines; side by side ones by a separator column
+    const separator = node.type === 'row' ? '<div class="WinSeparator"></div>' : '';
+    const children = node.children.map(child => this.compose(renderWindow, child)).join(separator);
+    return `<div class="vim-layout vim-layout-${node.type}" style="${flex}">${children}</div>`;
+  }
+}
+
+// Export for ES module usage
+export {
+    WindowLayout
+};